@@ -0,0 +1,134 @@
+/**
+ * Loader Page Script
+ * Sends the entered URL and toggles to /launch, which checks the URL
+ * against the allowed hosts and stores the toggles in the session, then
+ * opens the returned proxy URL in an iframe, a new window or a new tab
+ */
+
+(function() {
+  'use strict';
+
+  const urlInput = document.getElementById('urlInput');
+  const modeSelect = document.getElementById('modeSelect');
+  const enableServiceWorker = document.getElementById('enableServiceWorker');
+  const enableCache = document.getElementById('enableCache');
+  const loadBtn = document.getElementById('loadBtn');
+  const errorText = document.getElementById('errorText');
+  const iframeContainer = document.getElementById('iframeContainer');
+  const statusText = document.getElementById('statusText');
+  const iframe = document.getElementById('geforcenowIframe');
+
+  /**
+   * Launch the entered URL in the selected mode
+   */
+  async function loadGeForceNow() {
+    const url = urlInput.value.trim() || urlInput.placeholder;
+    const mode = modeSelect.value;
+    showError(null);
+
+    // Popups must be opened while handling the click, before any await
+    const popup = mode === 'iframe' ? null : openPopup(mode);
+    if (mode !== 'iframe' && !popup) {
+      showError('The browser blocked the new window; allow popups for this site and try again');
+      return;
+    }
+
+    loadBtn.disabled = true;
+    try {
+      const launch = await requestLaunch(url, mode);
+      if (popup) {
+        popup.location.href = launch.proxyUrl;
+      } else {
+        openIframe(launch.proxyUrl);
+      }
+    } catch (error) {
+      if (popup) popup.close();
+      showError(error.message);
+    } finally {
+      loadBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Ask the proxy for the launch URL, storing the toggles for this session
+   * @param {string} url - URL entered by the user
+   * @param {string} mode - iframe, window or tab
+   * @returns {Promise<Object>} /launch response ({ proxyUrl, mode, preferences })
+   */
+  async function requestLaunch(url, mode) {
+    const response = await fetch('/launch', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        url,
+        mode,
+        serviceWorker: enableServiceWorker.checked,
+        cache: enableCache.checked
+      })
+    });
+
+    // Protected deployments need a login before launching
+    if (response.status === 401) {
+      window.location.href = '/login?next=' + encodeURIComponent(window.location.pathname);
+      throw new Error('Login required');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `Launch failed (${response.status})`);
+    }
+    return data;
+  }
+
+  /**
+   * @param {string} mode - window or tab
+   * @returns {Window|null} The opened window, or null if it was blocked
+   */
+  function openPopup(mode) {
+    const features = mode === 'window' ? 'popup,width=1280,height=800' : '';
+    const popup = window.open('about:blank', '_blank', features);
+    if (popup) {
+      popup.opener = null;
+    }
+    return popup;
+  }
+
+  /**
+   * Show the proxied page in the embedded iframe
+   * @param {string} proxyUrl - Proxy URL returned by /launch
+   */
+  function openIframe(proxyUrl) {
+    statusText.textContent = 'Loading...';
+    iframe.onload = () => {
+      statusText.textContent = 'Loaded';
+    };
+    iframe.src = proxyUrl;
+    iframeContainer.classList.remove('hidden');
+  }
+
+  /**
+   * Close the embedded iframe and unload its page
+   */
+  function closeIframe() {
+    iframe.onload = null;
+    iframe.src = 'about:blank';
+    iframeContainer.classList.add('hidden');
+  }
+
+  /**
+   * @param {string|null} message - Error to show, or null to hide it
+   */
+  function showError(message) {
+    errorText.textContent = message || '';
+    errorText.classList.toggle('hidden', !message);
+  }
+
+  urlInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') loadGeForceNow();
+  });
+
+  // Called from the inline onclick handlers in index.html
+  window.loadGeForceNow = loadGeForceNow;
+  window.closeIframe = closeIframe;
+})();
@@ -0,0 +1,365 @@
+/**
+ * Admin API Module
+ * Lets administrators inspect live sessions and relay connections and
+ * reset a user's state: kill a connection, clear upstream cookies or
+ * force a logout. Also serves a small HTML dashboard over the API.
+ */
+
+const express = require('express');
+const { createLogger, sessionRef } = require('./logger');
+
+const logger = createLogger('Admin');
+
+/**
+ * Admin API Class
+ */
+class AdminApi {
+  constructor(options = {}) {
+    this.options = {
+      storage: options.storage,
+      authState: options.authState,
+      cookieRelay: options.cookieRelay,
+      wsRelay: options.wsRelay,
+      // Extra components whose getStats() is shown on the dashboard
+      statsSources: options.statsSources || {},
+      maxSessions: options.maxSessions || 200
+    };
+  }
+
+  /**
+   * Express router with the dashboard and the API. Mount it behind
+   * authentication and an admin check.
+   * @returns {express.Router} Router
+   */
+  router() {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+      res.type('html').send(renderDashboard(req.baseUrl));
+    });
+    router.get('/api/stats', (req, res) => this.handle(res, () => this.getStats()));
+    router.get('/api/sessions', (req, res) =>
+      this.handle(res, () => this.listSessions(req.query.limit, req.query.offset)));
+    router.get('/api/connections', (req, res) => this.handle(res, () => ({ connections: this.listConnections() })));
+
+    router.delete('/api/connections/:id', (req, res) => {
+      if (!this.options.wsRelay.closeConnection(req.params.id)) {
+        return sendNotFound(res, `No connection ${req.params.id}`);
+      }
+      res.status(200).json({ closed: req.params.id, timestamp: new Date().toISOString() });
+    });
+
+    router.delete('/api/sessions/:ref/cookies', (req, res) => this.resetSession(req, res, (sessionId) => {
+      this.options.cookieRelay.clearCookies(sessionId);
+      logger.info('Cleared cookies', { sessionId });
+      return { cookiesCleared: true };
+    }));
+
+    router.delete('/api/sessions/:ref/auth', (req, res) => this.resetSession(req, res, (sessionId) => {
+      this.options.authState.clearAuthState(sessionId);
+      logger.info('Logged out session', { sessionId });
+      return { loggedOut: true };
+    }));
+
+    return router;
+  }
+
+  /**
+   * Run a handler and send its result as JSON
+   * @param {express.Response} res - Express response
+   * @param {Function} handler - Returns the response body or a promise for it
+   */
+  async handle(res, handler) {
+    try {
+      const body = await handler();
+      res.status(200).json({ ...body, timestamp: new Date().toISOString() });
+    } catch (error) {
+      logger.error('Request failed', { error });
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Reset part of a session's state, answering 404 for an unknown session
+   * @param {express.Request} req - Express request, with the session's log reference as :ref
+   * @param {express.Response} res - Express response
+   * @param {Function} reset - Called with the session ID, returns the response body
+   */
+  async resetSession(req, res, reset) {
+    try {
+      const sessionId = await this.findSession(req.params.ref);
+      if (!sessionId) {
+        return sendNotFound(res, `No session ${req.params.ref}`);
+      }
+      res.status(200).json({ session: req.params.ref, ...reset(sessionId), timestamp: new Date().toISOString() });
+    } catch (error) {
+      logger.error('Request failed', { error });
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Find the session with a log reference. The API never exposes session
+   * IDs, which would let anyone who sees the dashboard take over a session.
+   * @param {string} ref - Log reference, see sessionRef
+   * @returns {Promise<string|null>} Session ID
+   */
+  async findSession(ref) {
+    const stored = await this.options.storage.list('auth');
+    const sessionIds = new Set([...this.options.authState.states.keys(), ...stored.map(([sessionId]) => sessionId)]);
+    for (const sessionId of sessionIds) {
+      if (sessionRef(sessionId) === ref) return sessionId;
+    }
+    return null;
+  }
+
+  /**
+   * List a page of sessions, most recently active first. Sessions are
+   * identified by their log reference.
+   * @param {number|string} [limit] - Maximum number of sessions
+   * @param {number|string} [offset] - Number of sessions to skip
+   * @returns {Promise<Object>} { sessions, total, offset }
+   */
+  async listSessions(limit, offset) {
+    const { storage, authState, cookieRelay } = this.options;
+    const max = Math.min(parseInt(limit, 10) || this.options.maxSessions, this.options.maxSessions);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+    // Every session persists its auth state, so the auth namespace lists them all
+    const stored = await storage.list('auth');
+    const connectionsBySession = new Map();
+    for (const conn of this.listConnections()) {
+      connectionsBySession.set(conn.session, (connectionsBySession.get(conn.session) || 0) + 1);
+    }
+
+    const states = stored
+      .map(([sessionId, state]) => [sessionId, authState.states.get(sessionId) || state])
+      .sort((a, b) => (b[1].lastActivity || 0) - (a[1].lastActivity || 0));
+
+    const sessions = [];
+    for (const [sessionId, state] of states.slice(skip, skip + max)) {
+      sessions.push({
+        id: sessionRef(sessionId),
+        isAuthenticated: Boolean(state.isAuthenticated),
+        user: state.user || null,
+        loginTime: state.loginTime || null,
+        lastActivity: state.lastActivity || null,
+        // Read without caching, so listing does not load every session's jar
+        cookies: await cookieRelay.peekCookieNames(sessionId),
+        connections: connectionsBySession.get(sessionRef(sessionId)) || 0
+      });
+    }
+
+    return { sessions, total: stored.length, offset: skip };
+  }
+
+  /**
+   * List live WebSocket relay connections
+   * @returns {Array<Object>} Connections
+   */
+  listConnections() {
+    const now = Date.now();
+    return Array.from(this.options.wsRelay.connections.values()).map(conn => ({
+      id: conn.id,
+      session: conn.sessionId ? sessionRef(conn.sessionId) : null,
+      target: conn.target,
+      ip: conn.ip,
+      ageMs: now - conn.createdAt,
+      idleMs: now - conn.lastActivity,
+      messages: conn.messages
+    }));
+  }
+
+  /**
+   * Collect the components' statistics
+   * @returns {Object} Stats by component
+   */
+  getStats() {
+    const { authState, wsRelay, statsSources } = this.options;
+    const stats = {
+      sessions: authState.getStats(),
+      webSocketRelay: wsRelay.getStats()
+    };
+    for (const [name, source] of Object.entries(statsSources)) {
+      if (source) {
+        stats[name] = source.getStats();
+      }
+    }
+    return { stats };
+  }
+}
+
+/**
+ * @param {express.Response} res - Express response
+ * @param {string} message - Error message
+ */
+function sendNotFound(res, message) {
+  res.status(404).json({
+    error: 'Not Found',
+    message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Render the dashboard. All data is loaded from the API by the page.
+ * @param {string} basePath - Path the router is mounted at
+ * @returns {string} HTML page
+ */
+function renderDashboard(basePath) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Admin - GeForce NOW Proxy</title>
+  <style>
+    body { margin: 0; padding: 24px; background: #1a1a1a; color: #fff;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; }
+    h1 { margin: 0 0 8px; font-size: 22px; color: #76b900; }
+    h2 { margin: 32px 0 12px; font-size: 16px; }
+    #stats { color: #aaa; }
+    table { width: 100%; border-collapse: collapse; background: #2a2a2a; border-radius: 8px; overflow: hidden; }
+    th, td { padding: 8px 12px; text-align: left; border-bottom: 1px solid #333; vertical-align: top; }
+    th { background: #333; font-weight: 600; }
+    td.mono { font-family: monospace; font-size: 12px; word-break: break-all; }
+    button { padding: 4px 10px; margin: 2px; border: 0; border-radius: 4px; background: #444; color: #fff; cursor: pointer; }
+    button.danger { background: #8b2e2e; }
+    .empty { color: #888; text-align: center; }
+    #pager { margin-top: 8px; color: #aaa; }
+    button:disabled { opacity: 0.4; cursor: default; }
+  </style>
+</head>
+<body>
+  <h1>GeForce NOW Proxy Admin</h1>
+  <div id="stats">Loading…</div>
+
+  <h2>WebSocket connections</h2>
+  <table>
+    <thead><tr><th>ID</th><th>Session</th><th>Target</th><th>Client</th><th>Age</th><th>Idle</th><th>Messages</th><th></th></tr></thead>
+    <tbody id="connections"></tbody>
+  </table>
+
+  <h2>Sessions</h2>
+  <table>
+    <thead><tr><th>Session</th><th>User</th><th>Last activity</th><th>Upstream cookies</th><th>Connections</th><th></th></tr></thead>
+    <tbody id="sessions"></tbody>
+  </table>
+  <div id="pager">
+    <button id="previous">Previous</button> <span id="page"></span> <button id="next">Next</button>
+  </div>
+
+  <script>
+    const API = ${JSON.stringify(`${basePath}/api`)};
+    const PAGE_SIZE = 50;
+    let offset = 0;
+
+    function cell(row, text, className) {
+      const td = row.insertCell();
+      td.textContent = text;
+      if (className) td.className = className;
+      return td;
+    }
+
+    function action(td, label, method, path, danger) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      if (danger) button.className = 'danger';
+      button.onclick = async () => {
+        if (!confirm(label + '?')) return;
+        await fetch(API + path, { method, credentials: 'same-origin' });
+        refresh();
+      };
+      td.appendChild(button);
+    }
+
+    function duration(ms) {
+      const seconds = Math.floor(ms / 1000);
+      if (seconds < 60) return seconds + 's';
+      if (seconds < 3600) return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+      return Math.floor(seconds / 3600) + 'h ' + Math.floor((seconds % 3600) / 60) + 'm';
+    }
+
+    function fill(id, rows, columns, render) {
+      const body = document.getElementById(id);
+      body.textContent = '';
+      if (rows.length === 0) {
+        const td = body.insertRow().insertCell();
+        td.colSpan = columns;
+        td.className = 'empty';
+        td.textContent = 'None';
+        return;
+      }
+      rows.forEach(item => render(body.insertRow(), item));
+    }
+
+    async function refresh() {
+      const [stats, connections, sessions] = await Promise.all(
+        ['/stats', '/connections', '/sessions?limit=' + PAGE_SIZE + '&offset=' + offset].map(path =>
+          fetch(API + path, { credentials: 'same-origin' }).then(response => response.json())));
+
+      const summary = stats.stats || {};
+      document.getElementById('stats').textContent =
+        (summary.sessions ? summary.sessions.activeSessions + ' active sessions, ' +
+          summary.sessions.authenticatedUsers + ' logged in; ' : '') +
+        (summary.webSocketRelay ? summary.webSocketRelay.activeConnections + ' of ' +
+          summary.webSocketRelay.maxCapacity + ' WebSocket connections' : '');
+
+      fill('connections', connections.connections || [], 8, (row, conn) => {
+        cell(row, conn.id, 'mono');
+        cell(row, conn.session || '-', 'mono');
+        cell(row, conn.target, 'mono');
+        cell(row, conn.ip);
+        cell(row, duration(conn.ageMs));
+        cell(row, duration(conn.idleMs));
+        cell(row, conn.messages);
+        action(row.insertCell(), 'Kill', 'DELETE', '/connections/' + encodeURIComponent(conn.id), true);
+      });
+
+      fill('sessions', sessions.sessions || [], 6, (row, session) => {
+        cell(row, session.id, 'mono');
+        cell(row, session.isAuthenticated && session.user ? session.user.username || String(session.user) : '-');
+        cell(row, session.lastActivity ? new Date(session.lastActivity).toLocaleString() : '-');
+        cell(row, session.cookies.join(', ') || '-', 'mono');
+        cell(row, session.connections);
+        const actions = row.insertCell();
+        const path = '/sessions/' + encodeURIComponent(session.id);
+        action(actions, 'Clear cookies', 'DELETE', path + '/cookies');
+        if (session.isAuthenticated) action(actions, 'Log out', 'DELETE', path + '/auth', true);
+      });
+
+      const total = sessions.total || 0;
+      document.getElementById('page').textContent = total === 0 ? '' :
+        (offset + 1) + '-' + Math.min(offset + PAGE_SIZE, total) + ' of ' + total;
+      document.getElementById('previous').disabled = offset === 0;
+      document.getElementById('next').disabled = offset + PAGE_SIZE >= total;
+    }
+
+    document.getElementById('previous').onclick = () => {
+      offset = Math.max(offset - PAGE_SIZE, 0);
+      refresh();
+    };
+    document.getElementById('next').onclick = () => {
+      offset += PAGE_SIZE;
+      refresh();
+    };
+
+    refresh();
+    setInterval(refresh, 5000);
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  AdminApi
+};
@@ -0,0 +1,569 @@
+/**
+ * Asset Cache Module
+ * Shared HTTP cache for proxied responses, following the storage and
+ * freshness rules of RFC 9111 for a shared cache. Bodies are kept after
+ * rewriting, so cached HTML, CSS and JavaScript are not parsed again on
+ * a hit. Entries live in an in-memory LRU tier and, optionally, a disk
+ * tier that survives restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Asset Cache');
+
+// Statuses that may be stored (heuristically cacheable, RFC 9110 section 15.1)
+const STORABLE_STATUSES = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+
+// Responses that stay cacheable when the upstream request carried cookies
+const STATIC_CONTENT_TYPE = /^(text\/css|(application|text)\/(x-)?javascript|image\/|font\/|audio\/|video\/|application\/(wasm|font-woff))/i;
+
+// Upstream headers that are not kept with a cached entry
+const UNSTORED_HEADERS = ['set-cookie', 'connection', 'keep-alive', 'transfer-encoding', 'content-length', 'content-encoding'];
+
+/**
+ * Asset Cache Class
+ * Keeps one variant per URL; a response with different Vary header
+ * values replaces the stored one.
+ */
+class AssetCache {
+  constructor(options = {}) {
+    this.options = {
+      maxMemoryBytes: options.maxMemoryBytes || (64 * 1024 * 1024), // 64 MB
+      maxEntryBytes: options.maxEntryBytes || (8 * 1024 * 1024), // 8 MB
+      diskPath: options.diskPath || null,
+      maxDiskBytes: options.maxDiskBytes || (512 * 1024 * 1024), // 512 MB
+      // Heuristic freshness for responses with Last-Modified but no explicit lifetime
+      maxHeuristicTtl: options.maxHeuristicTtl || (24 * 60 * 60 * 1000), // 24 hours
+      namespace: options.namespace || ''
+    };
+    // Hashed, so the URL codec key does not end up in cache files
+    this.namespace = diskName(this.options.namespace).slice(0, 12);
+
+    this.memory = new Map();
+    this.memoryBytes = 0;
+    this.disk = new Map();
+    this.diskBytes = 0;
+    this.stats = { hits: 0, misses: 0, revalidated: 0, stored: 0, evicted: 0 };
+
+    if (this.options.diskPath) {
+      this.loadDiskIndex();
+    }
+  }
+
+  /**
+   * Cache key for a proxied URL. The proxy base URL is part of the key
+   * because rewritten bodies embed it.
+   * @param {string} targetUrl - Upstream URL
+   * @param {string} proxyBaseUrl - The proxy server base URL
+   * @returns {string} Cache key
+   */
+  keyFor(targetUrl, proxyBaseUrl) {
+    return `${this.namespace}|${proxyBaseUrl}|${targetUrl.split('#')[0]}`;
+  }
+
+  /**
+   * @param {express.Request} req - Express request
+   * @returns {boolean} True if the request may be answered from or stored in the cache
+   */
+  isRequestCacheable(req) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+    return !parseCacheControl(req.get('cache-control'))['no-store'];
+  }
+
+  /**
+   * Look up an entry and work out whether it can be served as is
+   * @param {string} key - Cache key
+   * @param {Object} requestHeaders - Headers of the upstream request, for Vary matching
+   * @param {express.Request} req - Express request, for its Cache-Control
+   * @returns {Promise<Object|null>} { entry, fresh } or null on a miss
+   */
+  async lookup(key, requestHeaders, req) {
+    const entry = await this.get(key);
+    if (!entry || !varyMatches(entry, requestHeaders)) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const requestDirectives = parseCacheControl(req.get('cache-control') || req.get('pragma'));
+    const age = this.currentAge(entry);
+    let fresh = !entry.noCache && age < entry.freshnessLifetime;
+    if (requestDirectives['no-cache'] || requestDirectives['max-age'] === 0) {
+      fresh = false;
+    } else if (requestDirectives['max-age'] !== undefined && age > requestDirectives['max-age'] * 1000) {
+      fresh = false;
+    }
+
+    // A stale entry without validators cannot be revalidated, so it is useless
+    if (!fresh && !entry.headers.etag && !entry.headers['last-modified']) {
+      await this.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    if (fresh) this.stats.hits++;
+    return { entry, fresh };
+  }
+
+  /**
+   * Conditional request headers for revalidating a stale entry
+   * @param {Object} entry - Cached entry
+   * @returns {Object} If-None-Match / If-Modified-Since headers
+   */
+  conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.headers.etag) {
+      headers['If-None-Match'] = entry.headers.etag;
+    }
+    if (entry.headers['last-modified']) {
+      headers['If-Modified-Since'] = entry.headers['last-modified'];
+    }
+    return headers;
+  }
+
+  /**
+   * Decide whether an upstream response may be stored
+   * @param {number} status - Upstream status
+   * @param {Object} headers - Upstream response headers
+   * @param {Object} requestHeaders - Headers of the upstream request
+   * @returns {boolean} True if storable
+   */
+  isStorable(status, headers, requestHeaders) {
+    if (!STORABLE_STATUSES.includes(status)) return false;
+
+    const directives = parseCacheControl(headers['cache-control']);
+    if (directives['no-store'] || directives.private) return false;
+    if ((headers.vary || '').split(',').some(name => name.trim() === '*')) return false;
+    if (headers['set-cookie']) return false;
+
+    const explicit = directives['s-maxage'] !== undefined || directives['max-age'] !== undefined ||
+      headers.expires !== undefined || directives.public;
+    if (!explicit && !headers['last-modified'] && !headers.etag) return false;
+
+    // Requests sent with the session's cookies may get personalized answers;
+    // only static assets or explicitly shared responses are kept
+    if (requestHeaders.Cookie && !directives.public && directives['s-maxage'] === undefined) {
+      return STATIC_CONTENT_TYPE.test(headers['content-type'] || '');
+    }
+    return true;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Object} params - Response details
+   * @param {string} params.url - Upstream URL
+   * @param {number} params.status - Upstream status
+   * @param {Object} params.headers - Upstream response headers
+   * @param {Buffer|string} params.body - Rewritten body
+   * @param {Object} params.requestHeaders - Headers of the upstream request
+   * @param {number} params.requestTime - When the upstream request was sent (ms)
+   * @returns {Promise<Object|null>} Stored entry, or null if it was too large
+   */
+  async store(key, { url, status, headers, body, requestHeaders, requestTime }) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
+    if (buffer.length > this.options.maxEntryBytes) return null;
+
+    const storedHeaders = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (!UNSTORED_HEADERS.includes(name)) {
+        storedHeaders[name] = value;
+      }
+    }
+
+    const entry = {
+      key,
+      url,
+      status,
+      headers: storedHeaders,
+      body: buffer,
+      varyHeaders: selectVaryHeaders(storedHeaders.vary, requestHeaders),
+      requestTime,
+      responseTime: Date.now()
+    };
+    applyFreshness(entry, this.options.maxHeuristicTtl);
+
+    this.setMemory(key, entry);
+    this.stats.stored++;
+    if (this.options.diskPath) {
+      await this.writeDisk(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Update a stale entry after the upstream answered 304 Not Modified
+   * @param {Object} entry - Cached entry
+   * @param {Object} headers - Headers of the 304 response
+   * @param {number} requestTime - When the revalidation request was sent (ms)
+   * @returns {Promise<Object>} Updated entry
+   */
+  async refresh(entry, headers, requestTime) {
+    for (const [name, value] of Object.entries(headers)) {
+      if (!UNSTORED_HEADERS.includes(name) && name !== 'content-type') {
+        entry.headers[name] = value;
+      }
+    }
+    entry.requestTime = requestTime;
+    entry.responseTime = Date.now();
+    applyFreshness(entry, this.options.maxHeuristicTtl);
+    this.stats.revalidated++;
+
+    if (this.options.diskPath) {
+      await this.writeDisk(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Current age of an entry (RFC 9111 section 4.2.3)
+   * @param {Object} entry - Cached entry
+   * @returns {number} Age in ms
+   */
+  currentAge(entry) {
+    const ageHeader = (parseInt(entry.headers.age, 10) || 0) * 1000;
+    const date = Date.parse(entry.headers.date);
+    const apparentAge = Number.isNaN(date) ? 0 : Math.max(entry.responseTime - date, 0);
+    const correctedAge = ageHeader + (entry.responseTime - entry.requestTime);
+    return Math.max(apparentAge, correctedAge) + (Date.now() - entry.responseTime);
+  }
+
+  /**
+   * Get an entry from memory, falling back to disk
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry
+   */
+  async get(key) {
+    const entry = this.memory.get(key);
+    if (entry) {
+      // Move to the most recently used end
+      this.memory.delete(key);
+      this.memory.set(key, entry);
+      return entry;
+    }
+
+    if (!this.options.diskPath) return null;
+    const fromDisk = await this.readDisk(key);
+    if (fromDisk) {
+      this.setMemory(key, fromDisk);
+    }
+    return fromDisk;
+  }
+
+  /**
+   * Add an entry to the memory tier, evicting the least recently used
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry
+   */
+  setMemory(key, entry) {
+    this.deleteMemory(key);
+    this.memory.set(key, entry);
+    this.memoryBytes += entry.body.length;
+
+    while (this.memoryBytes > this.options.maxMemoryBytes && this.memory.size > 0) {
+      const oldest = this.memory.keys().next().value;
+      this.deleteMemory(oldest);
+      this.stats.evicted++;
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   */
+  deleteMemory(key) {
+    const entry = this.memory.get(key);
+    if (entry) {
+      this.memoryBytes -= entry.body.length;
+      this.memory.delete(key);
+    }
+  }
+
+  /**
+   * Remove an entry from both tiers
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this.deleteMemory(key);
+    if (this.options.diskPath) {
+      await this.deleteDisk(diskName(key));
+    }
+  }
+
+  /**
+   * Remove every entry, or only entries for URLs starting with a prefix
+   * @param {string} [urlPrefix] - Upstream URL prefix
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purge(urlPrefix) {
+    const matches = url => !urlPrefix || url.startsWith(urlPrefix);
+    // Entries in both tiers are counted once
+    const removed = new Set();
+
+    for (const [key, entry] of Array.from(this.memory.entries())) {
+      if (matches(entry.url)) {
+        this.deleteMemory(key);
+        removed.add(diskName(key));
+      }
+    }
+
+    for (const [name, info] of Array.from(this.disk.entries())) {
+      if (matches(info.url)) {
+        await this.deleteDisk(name);
+        removed.add(name);
+      }
+    }
+
+    logger.info('Purged entries', { prefix: urlPrefix || null, removed: removed.size });
+    return removed.size;
+  }
+
+  /**
+   * Build the disk index from the cache directory
+   */
+  loadDiskIndex() {
+    try {
+      fs.mkdirSync(this.options.diskPath, { recursive: true });
+      for (const file of fs.readdirSync(this.options.diskPath)) {
+        if (!file.endsWith('.json')) continue;
+
+        const name = file.slice(0, -'.json'.length);
+        try {
+          const meta = JSON.parse(fs.readFileSync(path.join(this.options.diskPath, file), 'utf8'));
+          this.disk.set(name, { url: meta.url, size: meta.size, lastUsed: meta.responseTime });
+          this.diskBytes += meta.size;
+        } catch (error) {
+          this.deleteDiskSync(name);
+        }
+      }
+
+      // Oldest first, matching the LRU order of the memory tier
+      this.disk = new Map(Array.from(this.disk.entries()).sort((a, b) => a[1].lastUsed - b[1].lastUsed));
+      logger.info('Loaded disk index', { entries: this.disk.size, path: this.options.diskPath });
+    } catch (error) {
+      logger.error('Could not read cache directory', { path: this.options.diskPath, error });
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry from disk
+   */
+  async readDisk(key) {
+    const name = diskName(key);
+    const info = this.disk.get(name);
+    if (!info) return null;
+
+    try {
+      const base = path.join(this.options.diskPath, name);
+      const meta = JSON.parse(await fs.promises.readFile(`${base}.json`, 'utf8'));
+      if (meta.key !== key) return null;
+
+      const body = await fs.promises.readFile(`${base}.body`);
+      this.disk.delete(name);
+      this.disk.set(name, { ...info, lastUsed: Date.now() });
+      return { ...meta, body };
+    } catch (error) {
+      await this.deleteDisk(name);
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry to disk, evicting the least recently used entries
+   * @param {Object} entry - Entry
+   */
+  async writeDisk(entry) {
+    const name = diskName(entry.key);
+    const base = path.join(this.options.diskPath, name);
+    const { body, ...meta } = entry;
+    meta.size = body.length;
+
+    try {
+      await this.deleteDisk(name);
+      // Body first: an index file only exists once its body is complete
+      await fs.promises.writeFile(`${base}.body`, body);
+      await fs.promises.writeFile(`${base}.json.tmp`, JSON.stringify(meta));
+      await fs.promises.rename(`${base}.json.tmp`, `${base}.json`);
+      this.disk.set(name, { url: entry.url, size: body.length, lastUsed: Date.now() });
+      this.diskBytes += body.length;
+
+      while (this.diskBytes > this.options.maxDiskBytes && this.disk.size > 0) {
+        await this.deleteDisk(this.disk.keys().next().value);
+        this.stats.evicted++;
+      }
+    } catch (error) {
+      logger.error('Could not write entry', { url: entry.url, error });
+    }
+  }
+
+  /**
+   * @param {string} name - Disk entry name
+   */
+  async deleteDisk(name) {
+    const info = this.disk.get(name);
+    if (info) {
+      this.diskBytes -= info.size;
+      this.disk.delete(name);
+    }
+
+    const base = path.join(this.options.diskPath, name);
+    await Promise.all([`${base}.json`, `${base}.body`].map(file =>
+      fs.promises.unlink(file).catch(() => {})));
+  }
+
+  /**
+   * @param {string} name - Disk entry name
+   */
+  deleteDiskSync(name) {
+    const base = path.join(this.options.diskPath, name);
+    for (const file of [`${base}.json`, `${base}.body`]) {
+      try {
+        fs.unlinkSync(file);
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+
+  /**
+   * Get statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      memoryEntries: this.memory.size,
+      memoryBytes: this.memoryBytes,
+      diskEntries: this.disk.size,
+      diskBytes: this.diskBytes,
+      diskEnabled: Boolean(this.options.diskPath)
+    };
+  }
+}
+
+/**
+ * Parse a Cache-Control header
+ * @param {string} [value] - Header value
+ * @returns {Object} Directives; numeric ones as numbers, others as true
+ */
+function parseCacheControl(value) {
+  const directives = {};
+  if (!value) return directives;
+
+  for (const part of String(value).split(',')) {
+    const [rawName, rawValue] = part.split('=');
+    const name = rawName.trim().toLowerCase();
+    if (!name) continue;
+
+    if (rawValue === undefined) {
+      directives[name] = true;
+    } else {
+      const number = parseInt(rawValue.trim().replace(/^"|"$/g, ''), 10);
+      directives[name] = Number.isNaN(number) ? true : number;
+    }
+  }
+  return directives;
+}
+
+/**
+ * Work out an entry's freshness lifetime from its headers
+ * (RFC 9111 sections 4.2.1 and 4.2.2)
+ * @param {Object} entry - Entry to update
+ * @param {number} maxHeuristicTtl - Upper bound for heuristic freshness (ms)
+ */
+function applyFreshness(entry, maxHeuristicTtl) {
+  const { headers } = entry;
+  const directives = parseCacheControl(headers['cache-control']);
+  const date = Date.parse(headers.date) || entry.responseTime;
+
+  let lifetime = 0;
+  if (typeof directives['s-maxage'] === 'number') {
+    lifetime = directives['s-maxage'] * 1000;
+  } else if (typeof directives['max-age'] === 'number') {
+    lifetime = directives['max-age'] * 1000;
+  } else if (headers.expires !== undefined) {
+    const expires = Date.parse(headers.expires);
+    lifetime = Number.isNaN(expires) ? 0 : Math.max(expires - date, 0);
+  } else if (headers['last-modified']) {
+    const lastModified = Date.parse(headers['last-modified']);
+    if (!Number.isNaN(lastModified)) {
+      lifetime = Math.min(Math.max(date - lastModified, 0) / 10, maxHeuristicTtl);
+    }
+  }
+
+  entry.freshnessLifetime = lifetime;
+  entry.noCache = Boolean(directives['no-cache']);
+}
+
+/**
+ * @param {string} [vary] - Vary header of the response
+ * @param {Object} requestHeaders - Headers of the upstream request
+ * @returns {Object} Lower-case header name to request value, for each Vary name
+ */
+function selectVaryHeaders(vary, requestHeaders) {
+  const selected = {};
+  for (const name of (vary || '').split(',').map(n => n.trim().toLowerCase()).filter(Boolean)) {
+    selected[name] = headerValue(requestHeaders, name);
+  }
+  return selected;
+}
+
+/**
+ * @param {Object} entry - Cached entry
+ * @param {Object} requestHeaders - Headers of the new upstream request
+ * @returns {boolean} True if the request selects the stored variant
+ */
+function varyMatches(entry, requestHeaders) {
+  return Object.entries(entry.varyHeaders).every(([name, value]) => headerValue(requestHeaders, name) === value);
+}
+
+/**
+ * @param {Object} headers - Headers with any capitalization
+ * @param {string} name - Lower-case header name
+ * @returns {string} Header value, or '' if missing
+ */
+function headerValue(headers, name) {
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? String(headers[match]) : '';
+}
+
+/**
+ * @param {string} key - Cache key
+ * @returns {string} File name for the key
+ */
+function diskName(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create an asset cache from options or environment variables
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.maxMemoryBytes] - Defaults to CACHE_MEMORY_MB
+ * @param {string} [options.diskPath] - Defaults to CACHE_DIR; no disk tier if unset
+ * @param {number} [options.maxDiskBytes] - Defaults to CACHE_DISK_MB
+ * @param {number} [options.maxEntryBytes] - Defaults to CACHE_MAX_ENTRY_MB
+ * @param {string} [options.namespace] - Separates entries written with a different URL codec
+ * @returns {AssetCache|null} Asset cache, or null if CACHE_ENABLED is false
+ */
+function createAssetCache(options = {}) {
+  if (process.env.CACHE_ENABLED === 'false') {
+    return null;
+  }
+
+  const megabytes = value => (parseFloat(value) > 0 ? Math.floor(parseFloat(value) * 1024 * 1024) : undefined);
+  return new AssetCache({
+    ...options,
+    maxMemoryBytes: options.maxMemoryBytes || megabytes(process.env.CACHE_MEMORY_MB),
+    diskPath: options.diskPath || process.env.CACHE_DIR,
+    maxDiskBytes: options.maxDiskBytes || megabytes(process.env.CACHE_DISK_MB),
+    maxEntryBytes: options.maxEntryBytes || megabytes(process.env.CACHE_MAX_ENTRY_MB)
+  });
+}
+
+module.exports = {
+  AssetCache,
+  createAssetCache,
+  parseCacheControl
+};
@@ -0,0 +1,588 @@
+/**
+ * Auth Gate Module
+ * Keeps the proxy private: protected routes require a login through the
+ * form page, HTTP Basic or a bearer token. Users come from a JSON file
+ * with hashed passwords and/or PROXY_USER/PROXY_PASSWORD.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { TokenBucket, clientAddress } = require('./rate-limiter');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Auth Gate');
+
+// scrypt cost parameters for new password hashes
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEY_LENGTH = 32;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Auth Gate Class
+ * Checks the session's auth state first; requests without it may
+ * authenticate inline with an Authorization header
+ */
+class AuthGate {
+  constructor(options = {}) {
+    this.options = {
+      authState: options.authState,
+      // Upstream cookie jars, carried over when login regenerates the session
+      cookieRelay: options.cookieRelay || null,
+      // Proxy hops in front of the app, for client addresses of WebSocket upgrades
+      trustProxy: options.trustProxy || 0,
+      usersFile: options.usersFile || process.env.USERS_FILE || null,
+      realm: options.realm || 'GeForce NOW Proxy',
+      loginPath: options.loginPath || '/login',
+      logoutPath: options.logoutPath || '/logout',
+      // Everything that reaches upstream or hands out relay credentials
+      protectedPaths: options.protectedPaths || [
+        `${options.proxyPrefix || '/p'}/`,
+        '/proxy', '/api/', '/ws-relay', '/webrtc-signal', '/sw.js', '/sourcemap', '/turn-credentials', '/cache',
+        '/launch', '/metrics', '/admin'
+      ],
+      // Failed logins allowed per client address before it has to wait (0 disables the limit)
+      maxFailures: options.maxFailures !== undefined ? options.maxFailures : 10,
+      // Time in which an address earns back all of its failed attempts
+      failureWindow: options.failureWindow || (15 * 60 * 1000), // 15 minutes
+      ...options
+    };
+    this.users = new Map();
+    // Failed-login buckets per client address; credentials are not checked while one is empty
+    this.failures = new Map();
+    // Authorization headers that already verified, so Basic clients do not pay for scrypt on every request
+    this.verifiedHeaders = new Map();
+    // Compared against when the username is unknown, so timing does not reveal which users exist
+    this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+    this.loadUsers();
+  }
+
+  /**
+   * Load users from the users file and PROXY_USER/PROXY_PASSWORD
+   */
+  loadUsers() {
+    const { usersFile } = this.options;
+    // Built aside, so a bad file leaves the current users in place
+    const users = new Map();
+
+    if (usersFile) {
+      try {
+        const data = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+        for (const user of data.users || []) {
+          if (!user.username || (!user.passwordHash && !user.tokens)) {
+            throw new Error(`User entries need a username and a passwordHash or tokens`);
+          }
+          users.set(user.username, {
+            username: user.username,
+            passwordHash: user.passwordHash || null,
+            tokens: user.tokens || [],
+            admin: user.admin === true
+          });
+        }
+      } catch (error) {
+        throw new Error(`Could not load users from ${usersFile}: ${error.message}`);
+      }
+    }
+
+    const { PROXY_USER, PROXY_PASSWORD } = process.env;
+    // The single environment user is the operator, so it may use the admin API
+    if (PROXY_USER && PROXY_PASSWORD && !users.has(PROXY_USER)) {
+      users.set(PROXY_USER, { username: PROXY_USER, passwordHash: hashPassword(PROXY_PASSWORD), tokens: [], admin: true });
+    }
+
+    this.users = users;
+    this.verifiedHeaders.clear();
+
+    if (this.isEnabled()) {
+      logger.info('Users configured', { users: this.users.size });
+    } else {
+      logger.warn('No users configured; the proxy is open to anyone who can reach it');
+    }
+  }
+
+  /**
+   * Switch to another users file, or reload the current one
+   * @param {Object} options - { usersFile }
+   * @throws {Error} If the file cannot be loaded; the current users are kept
+   */
+  configure(options) {
+    const previous = this.options.usersFile;
+    if (options.usersFile !== undefined) {
+      this.options.usersFile = options.usersFile;
+    }
+    try {
+      this.loadUsers();
+    } catch (error) {
+      this.options.usersFile = previous;
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {boolean} True if any user is configured
+   */
+  isEnabled() {
+    return this.users.size > 0;
+  }
+
+  /**
+   * @param {string} path - Request path
+   * @returns {boolean} True if the path requires authentication
+   */
+  isProtected(path) {
+    return this.options.protectedPaths.some(prefix =>
+      path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`));
+  }
+
+  /**
+   * Express middleware guarding the protected paths
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (!this.isEnabled() || !this.isProtected(req.path) || req.getAuthState().isAuthenticated) {
+        return next();
+      }
+
+      const header = req.get('authorization');
+      let user;
+      try {
+        user = await this.verifyAuthorization(header, req.ip);
+      } catch (error) {
+        return next(error);
+      }
+      if (user) {
+        req.setAuthState({ username: user.username, method: user.method });
+        return next();
+      }
+
+      const retryAfter = header ? this.failureDelay(req.ip) : 0;
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Too Many Requests',
+          message: 'Too many failed logins; try again later',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Browsers navigating to a page are sent to the login form
+      if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+        return res.redirect(302, `${this.options.loginPath}?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+
+      res.set('WWW-Authenticate', `Basic realm="${this.options.realm}", Bearer realm="${this.options.realm}"`);
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication is required to use this proxy',
+        timestamp: new Date().toISOString()
+      });
+    };
+  }
+
+  /**
+   * Express middleware allowing only administrators through. Mount it
+   * behind middleware(), which handles requests without a login.
+   */
+  requireAdmin() {
+    return (req, res, next) => {
+      const { user } = req.getAuthState();
+      const account = user && this.users.get(user.username);
+      if (account && account.admin) {
+        return next();
+      }
+
+      res.status(403).json({
+        error: 'Forbidden',
+        message: this.isEnabled()
+          ? 'Administrator access is required'
+          : 'The admin API is only available when users are configured',
+        timestamp: new Date().toISOString()
+      });
+    };
+  }
+
+  /**
+   * Check a WebSocket upgrade, which does not pass through Express
+   * @param {http.IncomingMessage} request - Upgrade request
+   * @param {string|null} sessionId - Proxy session ID from the request's cookie
+   * @returns {Promise<boolean>} True if the upgrade may proceed
+   */
+  async authorizeUpgrade(request, sessionId) {
+    if (!this.isEnabled()) return true;
+
+    if (sessionId) {
+      const state = await this.options.authState.loadState(sessionId);
+      if (state.isAuthenticated) return true;
+    }
+    return Boolean(await this.verifyAuthorization(request.headers.authorization, clientAddress(request, this.options.trustProxy)));
+  }
+
+  /**
+   * Verify an Authorization header (Basic or Bearer). Headers that already
+   * verified are accepted from the cache; anything else takes one of the
+   * client address's attempts and is refused unchecked once none are left.
+   * @param {string} [header] - Authorization header value
+   * @param {string} [address] - Client address failures are counted against
+   * @returns {Promise<Object|null>} { username, method } if valid
+   */
+  async verifyAuthorization(header, address) {
+    if (!header) return null;
+
+    const cacheKey = crypto.createHash('sha256').update(header).digest('hex');
+    if (this.verifiedHeaders.has(cacheKey)) {
+      return this.verifiedHeaders.get(cacheKey);
+    }
+    if (address && this.takeAttempt(address)) return null;
+
+    const [scheme, value = ''] = header.split(/\s+/, 2);
+    let result = null;
+
+    if (/^basic$/i.test(scheme)) {
+      const decoded = Buffer.from(value, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator !== -1) {
+        const user = await this.verifyPassword(decoded.slice(0, separator), decoded.slice(separator + 1));
+        result = user && { username: user.username, method: 'basic' };
+      }
+    } else if (/^bearer$/i.test(scheme)) {
+      const user = this.verifyToken(value);
+      result = user && { username: user.username, method: 'bearer' };
+    }
+
+    if (result) {
+      // Bounded cache; the oldest entry goes first
+      if (this.verifiedHeaders.size >= 100) {
+        this.verifiedHeaders.delete(this.verifiedHeaders.keys().next().value);
+      }
+      this.verifiedHeaders.set(cacheKey, result);
+    }
+    if (address) {
+      this.settleAttempt(address, Boolean(result));
+    }
+    return result;
+  }
+
+  /**
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} User if the password matches
+   */
+  async verifyPassword(username, password) {
+    const user = this.users.get(username);
+    const valid = await verifyPasswordHash(password, (user && user.passwordHash) || this.dummyHash);
+    return user && user.passwordHash && valid ? user : null;
+  }
+
+  /**
+   * Seconds a client address has to wait before its credentials are
+   * checked again
+   * @param {string} address - Client address
+   * @returns {number} 0 if it may try now
+   */
+  failureDelay(address) {
+    const bucket = this.failures.get(address);
+    return bucket && bucket.available() < 1 ? bucket.secondsUntil(1) : 0;
+  }
+
+  /**
+   * Take one of a client address's attempts before its credentials are
+   * checked, so concurrent guesses cannot all get past the lockout while
+   * the first ones are still being verified
+   * @param {string} address - Client address
+   * @returns {number} 0 if the check may go ahead, else seconds to wait
+   */
+  takeAttempt(address) {
+    const { maxFailures, failureWindow } = this.options;
+    if (!maxFailures) return 0;
+
+    let bucket = this.failures.get(address);
+    if (!bucket) {
+      bucket = new TokenBucket(maxFailures, maxFailures / failureWindow);
+      this.failures.set(address, bucket);
+    }
+    return bucket.tryConsume(1) ? 0 : bucket.secondsUntil(1);
+  }
+
+  /**
+   * Finish an attempt taken with takeAttempt(): a success gives it back,
+   * a failure keeps it counted
+   * @param {string} address - Client address
+   * @param {boolean} succeeded - True if the credentials were valid
+   */
+  settleAttempt(address, succeeded) {
+    const bucket = this.failures.get(address);
+    if (!bucket) return;
+
+    if (succeeded) {
+      bucket.refund(1);
+    } else if (bucket.available() < 1) {
+      logger.warn('Too many failed logins; locking out address', { ip: address, retryAfter: bucket.secondsUntil(1) });
+    }
+  }
+
+  /**
+   * Forget addresses that have earned back all of their failed attempts
+   */
+  evictIdle() {
+    for (const [address, bucket] of this.failures) {
+      if (bucket.available() >= bucket.capacity) {
+        this.failures.delete(address);
+      }
+    }
+  }
+
+  /**
+   * @param {string} token - Bearer token
+   * @returns {Object|null} User owning the token
+   */
+  verifyToken(token) {
+    if (!token) return null;
+    const digest = hashToken(token);
+
+    for (const user of this.users.values()) {
+      if (user.tokens.some(stored => timingSafeEqualStrings(stored, digest))) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * GET /login: render the login form
+   * @param {express.Request} req - Express request
+   * @param {express.Response} res - Express response
+   */
+  loginPage(req, res) {
+    const next = safeRedirectPath(req.query.next);
+    if (req.getAuthState().isAuthenticated) {
+      return res.redirect(302, next);
+    }
+    res.type('html').send(renderLoginPage({ next, loginPath: this.options.loginPath }));
+  }
+
+  /**
+   * POST /login: verify credentials from the form or a JSON body and mark
+   * the session as authenticated
+   * @param {express.Request} req - Express request
+   * @param {express.Response} res - Express response
+   * @returns {Promise<void>} Resolves once the response is on its way
+   */
+  async login(req, res) {
+    const { username = '', password = '' } = req.body || {};
+    const next = safeRedirectPath(req.body && req.body.next);
+    const wantsJson = req.is('application/json');
+    const refuse = (status, error, message) => {
+      if (wantsJson) {
+        return res.status(status).json({ error, message, timestamp: new Date().toISOString() });
+      }
+      res.status(status).type('html').send(renderLoginPage({ next, loginPath: this.options.loginPath, error: message }));
+    };
+
+    const retryAfter = this.takeAttempt(req.ip);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return refuse(429, 'Too Many Requests', 'Too many failed logins; try again later');
+    }
+
+    const user = await this.verifyPassword(String(username), String(password));
+    this.settleAttempt(req.ip, Boolean(user));
+    if (!user) {
+      logger.warn('Failed login', { username, ip: req.ip });
+      return refuse(401, 'Unauthorized', 'Invalid username or password');
+    }
+
+    // New session ID on login, so a session fixed before login cannot be reused.
+    // Upstream cookies and launch preferences move over to the new ID.
+    const previousId = req.sessionID;
+    const { preferences } = req.session;
+    req.clearAuthState();
+    req.session.regenerate((error) => {
+      if (error) {
+        return res.status(500).json({
+          error: 'Internal Server Error',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (preferences) {
+        req.session.preferences = preferences;
+      }
+      req.session.username = user.username;
+      req.setAuthState({ username: user.username, method: 'form' });
+      logger.info('Logged in', { username: user.username });
+
+      const { cookieRelay } = this.options;
+      const moved = cookieRelay ? cookieRelay.moveJar(previousId, req.sessionID) : Promise.resolve();
+      moved.catch((moveError) => {
+        logger.error('Could not move upstream cookies to the new session', { error: moveError });
+      }).then(() => {
+        if (wantsJson) {
+          return res.status(200).json({ authenticated: true, user: user.username });
+        }
+        res.redirect(303, next);
+      });
+    });
+  }
+
+  /**
+   * POST /logout: clear the session's auth state and end the session
+   * @param {express.Request} req - Express request
+   * @param {express.Response} res - Express response
+   */
+  logout(req, res) {
+    const { user } = req.getAuthState();
+    req.clearAuthState();
+
+    req.session.destroy(() => {
+      res.clearCookie('geforcenow-session');
+      if (user) {
+        logger.info('Logged out', { username: user.username });
+      }
+
+      if (req.accepts(['json', 'html']) === 'html') {
+        return res.redirect(303, this.options.loginPath);
+      }
+      res.status(200).json({ authenticated: false });
+    });
+  }
+}
+
+/**
+ * Hash a password for the users file
+ * @param {string} password - Plain-text password
+ * @returns {string} scrypt$N$r$p$salt$hash
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password off the event loop; scrypt takes tens of milliseconds
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPasswordHash(password, stored) {
+  const [scheme, n, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hash a bearer token for the users file. Tokens are random, so a fast
+ * hash is enough.
+ * @param {string} token - Plain-text token
+ * @returns {string} sha256$hex
+ */
+function hashToken(token) {
+  return `sha256$${crypto.createHash('sha256').update(token).digest('hex')}`;
+}
+
+/**
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal, compared in constant time
+ */
+function timingSafeEqualStrings(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Only allow redirects to local paths after login
+ * @param {string} [value] - Requested redirect target
+ * @returns {string} Safe local path
+ */
+function safeRedirectPath(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.includes('\\')) {
+    return '/';
+  }
+  return value;
+}
+
+/**
+ * @param {string} value - Text
+ * @returns {string} Text escaped for HTML
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Render the login form
+ * @param {Object} params - Page parameters
+ * @param {string} params.next - Path to return to after login
+ * @param {string} params.loginPath - Form action
+ * @param {string} [params.error] - Error message to show
+ * @returns {string} HTML page
+ */
+function renderLoginPage({ next, loginPath, error }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Sign in - GeForce NOW Proxy</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      background: #1a1a1a; color: #fff; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+    form { background: #2a2a2a; padding: 32px; border-radius: 8px; width: 320px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4); }
+    h1 { margin: 0 0 24px; font-size: 20px; color: #76b900; }
+    label { display: block; margin-bottom: 16px; font-size: 14px; }
+    input { width: 100%; box-sizing: border-box; margin-top: 6px; padding: 10px; border: 1px solid #444;
+      border-radius: 4px; background: #1a1a1a; color: #fff; }
+    button { width: 100%; padding: 12px; border: 0; border-radius: 4px; background: #76b900; color: #000;
+      font-weight: 600; cursor: pointer; }
+    .error { margin-bottom: 16px; padding: 10px; border-radius: 4px; background: #5a1e1e; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <form method="POST" action="${escapeHtml(loginPath)}">
+    <h1>GeForce NOW Proxy</h1>
+    ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    <label>Username <input name="username" autocomplete="username" required autofocus></label>
+    <label>Password <input name="password" type="password" autocomplete="current-password" required></label>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>
+`;
+}
+
+// CLI: node src/auth-gate.js hash-password <password> | hash-token <token>
+if (require.main === module) {
+  const [command, value] = process.argv.slice(2);
+  if (command === 'hash-password' && value) {
+    console.log(hashPassword(value));
+  } else if (command === 'hash-token' && value) {
+    console.log(hashToken(value));
+  } else {
+    console.error('Usage: node src/auth-gate.js hash-password <password> | hash-token <token>');
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  AuthGate,
+  hashPassword,
+  verifyPasswordHash,
+  hashToken
+};
@@ -0,0 +1,292 @@
+/**
+ * Client Runtime Module
+ * Injects a script into proxied pages that patches browser networking APIs,
+ * so URLs the page builds at runtime are encoded into proxy form too
+ */
+
+const { createUrlCodec } = require('./url-codec');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Client Runtime');
+
+/**
+ * Generate the client runtime script
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The original URL of the page
+ * @param {Object} [options] - Runtime options
+ * @param {Array<Object>} [options.iceServers] - ICE servers to force on every RTCPeerConnection
+ * @param {string} [options.iceTransportPolicy] - ICE transport policy to force ('all' or 'relay')
+ * @param {UrlCodec} [options.urlCodec] - Codec for proxy URLs (defaults to the environment's)
+ * @returns {string} Client runtime code
+ */
+function generateClientRuntimeScript(proxyBaseUrl, targetUrl, options = {}) {
+  const urlCodec = options.urlCodec || createUrlCodec();
+  const config = {
+    proxyBase: proxyBaseUrl,
+    target: targetUrl,
+    iceServers: options.iceServers || null,
+    iceTransportPolicy: options.iceTransportPolicy || null
+  };
+
+  return `
+// Client runtime for GeForce NOW Proxy
+(function(window) {
+  'use strict';
+
+  if (window.__gfnProxy && window.__gfnProxy.runtime) return;
+
+  const CONFIG = ${toScriptJson(config)};
+  const CODEC = ${urlCodec.clientSource()};
+  const PROXY_BASE = CONFIG.proxyBase;
+  const PROXY_ORIGIN = new URL(PROXY_BASE).origin;
+  const WS_BASE = PROXY_BASE.replace(/^http/, 'ws');
+  const PROXY_PATHS = ['/proxy', '/sw.js', '/sourcemap', '/ws-relay', '/webrtc-signal', '/turn-credentials'];
+  const nativeLocation = window.location;
+
+  // Original URL of the current page; follows pushState navigations
+  function currentUrl() {
+    try {
+      const url = new URL(nativeLocation.href);
+      const target = url.origin === PROXY_ORIGIN && CODEC.decode(url.pathname + url.search + url.hash);
+      if (target) {
+        return target;
+      }
+    } catch (error) {
+      // Fall through to the URL the page was served for
+    }
+    return CONFIG.target;
+  }
+
+  // Resolve a URL as the original page would, undoing resolution against the proxy origin
+  function resolve(value) {
+    try {
+      const url = new URL(String(value), currentUrl());
+      if (url.origin === PROXY_ORIGIN && !isProxyPath(url.pathname)) {
+        return new URL(url.pathname + url.search + url.hash, currentUrl()).href;
+      }
+      return url.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function isProxyPath(pathname) {
+    return PROXY_PATHS.some(path => pathname === path || pathname.startsWith(path + '/')) ||
+      pathname.startsWith(CODEC.prefix + '/') || pathname.startsWith('/api/');
+  }
+
+  function isProxied(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.origin === PROXY_ORIGIN && isProxyPath(parsed.pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function proxyUrl(value) {
+    if (value == null || (typeof value === 'object' && !(value instanceof URL))) return value;
+    const str = String(value);
+    if (/^(data|blob|javascript|about|mailto|tel):/i.test(str)) return value;
+
+    const url = resolve(str);
+    if (!url || !/^https?:/i.test(url) || isProxied(url)) return url || value;
+    return PROXY_BASE + CODEC.encode(url);
+  }
+
+  function proxyWebSocketUrl(value) {
+    const str = String(value);
+    if (str.startsWith(WS_BASE + '/ws-relay')) return value;
+
+    const url = resolve(str);
+    if (!url) return value;
+    return WS_BASE + '/ws-relay?url=' + encodeURIComponent(url.replace(/^http/i, 'ws'));
+  }
+
+  function proxyOrigin(origin) {
+    if (typeof origin !== 'string' || origin === '*' || origin === '/') return origin;
+    try {
+      return new URL(origin).origin === new URL(currentUrl()).origin ? PROXY_ORIGIN : origin;
+    } catch (error) {
+      return origin;
+    }
+  }
+
+  // Location look-alike reporting the original URL; writes navigate through the proxy
+  const fakeLocation = Object.create(null);
+  ['href', 'origin', 'protocol', 'host', 'hostname', 'port', 'pathname', 'search', 'hash'].forEach(key => {
+    Object.defineProperty(fakeLocation, key, {
+      enumerable: true,
+      get() {
+        return new URL(currentUrl())[key];
+      },
+      set(value) {
+        if (key === 'origin') return;
+        if (key === 'hash') {
+          nativeLocation.hash = value;
+          return;
+        }
+        const url = new URL(currentUrl());
+        url[key] = value;
+        nativeLocation.href = proxyUrl(key === 'href' ? value : url.href);
+      }
+    });
+  });
+  Object.assign(fakeLocation, {
+    assign(url) { nativeLocation.assign(proxyUrl(url)); },
+    replace(url) { nativeLocation.replace(proxyUrl(url)); },
+    reload() { nativeLocation.reload(); },
+    toString() { return currentUrl(); },
+    valueOf() { return fakeLocation; },
+    [Symbol.toPrimitive]() { return currentUrl(); }
+  });
+  Object.defineProperty(fakeLocation, 'ancestorOrigins', { get: () => nativeLocation.ancestorOrigins });
+
+  // Used by scripts rewritten in src/http-rewriter.js
+  window.__gfnProxy = {
+    runtime: true,
+    url: proxyUrl,
+    ws: proxyWebSocketUrl,
+    origin: proxyOrigin,
+    loc(value) {
+      return value === nativeLocation ? fakeLocation : value;
+    }
+  };
+
+  // fetch()
+  const nativeFetch = window.fetch;
+  if (nativeFetch) {
+    window.fetch = function(input, init) {
+      if (input instanceof Request) {
+        const url = proxyUrl(input.url);
+        return nativeFetch.call(this, url === input.url ? input : new Request(url, input), init);
+      }
+      return nativeFetch.call(this, proxyUrl(input), init);
+    };
+  }
+
+  // XMLHttpRequest.open()
+  const nativeOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+    return nativeOpen.call(this, method, proxyUrl(url), ...rest);
+  };
+
+  // WebSocket and EventSource
+  patchConstructor('WebSocket', args => [proxyWebSocketUrl(args[0]), ...args.slice(1)]);
+  patchConstructor('EventSource', args => [proxyUrl(args[0]), ...args.slice(1)]);
+
+  // RTCPeerConnection: force the proxy's ICE servers so media is relayed through it
+  if (CONFIG.iceServers) {
+    const applyIceConfig = configuration => Object.assign({}, configuration, {
+      iceServers: CONFIG.iceServers,
+      iceTransportPolicy: CONFIG.iceTransportPolicy || (configuration && configuration.iceTransportPolicy) || 'all'
+    });
+    ['RTCPeerConnection', 'webkitRTCPeerConnection'].forEach(name => {
+      const Native = window[name];
+      if (!Native) return;
+      patchConstructor(name, args => [applyIceConfig(args[0]), ...args.slice(1)]);
+      const nativeSetConfiguration = Native.prototype.setConfiguration;
+      if (nativeSetConfiguration) {
+        Native.prototype.setConfiguration = function(configuration) {
+          return nativeSetConfiguration.call(this, applyIceConfig(configuration));
+        };
+      }
+    });
+  }
+
+  // window.open()
+  const nativeWindowOpen = window.open;
+  window.open = function(url, ...rest) {
+    return nativeWindowOpen.call(this, url === undefined || url === '' ? url : proxyUrl(url), ...rest);
+  };
+
+  // history.pushState() / replaceState()
+  ['pushState', 'replaceState'].forEach(method => {
+    const native = History.prototype[method];
+    History.prototype[method] = function(state, title, url) {
+      if (url === undefined || url === null) {
+        return native.call(this, state, title);
+      }
+      return native.call(this, state, title, proxyUrl(url));
+    };
+  });
+
+  // Location and origin reads
+  defineGetter(document, 'domain', () => new URL(currentUrl()).hostname, () => {});
+  defineGetter(document, 'URL', currentUrl);
+  defineGetter(document, 'documentURI', currentUrl);
+  defineGetter(window, 'origin', () => new URL(currentUrl()).origin);
+
+  function patchConstructor(name, mapArgs) {
+    const Native = window[name];
+    if (!Native) return;
+
+    const Patched = function(...args) {
+      if (!new.target) return Native.apply(this, args);
+      return Reflect.construct(Native, mapArgs(args), new.target === Patched ? Native : new.target);
+    };
+    Patched.prototype = Native.prototype;
+    Object.setPrototypeOf(Patched, Native);
+    Object.defineProperty(Patched, 'name', { value: name });
+    window[name] = Patched;
+  }
+
+  function defineGetter(object, property, get, set) {
+    try {
+      Object.defineProperty(object, property, { configurable: true, get, set });
+    } catch (error) {
+      console.warn('[GeForce NOW Proxy] Could not override', property);
+    }
+  }
+})(window);
+`;
+}
+
+/**
+ * Inject the client runtime into HTML content. It goes at the start of
+ * <head> so it runs before any of the page's own scripts.
+ * @param {string} html - The HTML content
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The original URL of the page
+ * @param {Object} [options] - Runtime options (see generateClientRuntimeScript)
+ * @returns {string} Modified HTML with the client runtime injected
+ */
+function injectClientRuntime(html, proxyBaseUrl, targetUrl, options = {}) {
+  try {
+    const injectCode = `
+<!-- Injected Client Runtime -->
+<script>${generateClientRuntimeScript(proxyBaseUrl, targetUrl, options)}</script>
+`;
+
+    const head = /<head(\s[^>]*)?>/i.exec(html);
+    if (head) {
+      const index = head.index + head[0].length;
+      return html.slice(0, index) + injectCode + html.slice(index);
+    }
+
+    // No <head>: insert after the doctype, if any, so standards mode is kept
+    const doctype = /^\s*<!doctype[^>]*>/i.exec(html);
+    const index = doctype ? doctype[0].length : 0;
+    return html.slice(0, index) + injectCode + html.slice(index);
+  } catch (error) {
+    logger.error('Error injecting client runtime', { url: targetUrl, error });
+    return html;
+  }
+}
+
+/**
+ * Serialize a value for embedding in an inline <script>
+ * @param {*} value - JSON-serializable value
+ * @returns {string} JSON safe to place inside a script element
+ */
+function toScriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+module.exports = {
+  generateClientRuntimeScript,
+  injectClientRuntime
+};
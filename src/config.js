@@ -0,0 +1,451 @@
+/**
+ * Configuration Module
+ * Loads the proxy's settings from an optional JSON or YAML file, merges
+ * environment variables over it and validates the result against one
+ * schema. Settings marked reloadable can change while the server runs,
+ * on SIGHUP or when the file changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const YAML = require('yaml');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Config');
+
+// Looked for in the working directory when CONFIG_FILE is not set
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+/**
+ * Every setting: its type, default, environment variable and whether it
+ * may change without a restart. Durations are in seconds and sizes in
+ * megabytes, like the environment variables; watermarks are in bytes.
+ */
+const SCHEMA = {
+  server: {
+    port: { type: 'integer', min: 1, max: 65535, default: 3000, env: 'PORT' },
+    targetUrl: { type: 'url', default: 'https://api.example.com', env: 'TARGET_URL' },
+    // How long a shutdown waits for requests and streams to finish
+    shutdownTimeout: { type: 'integer', min: 0, default: 25, env: 'SHUTDOWN_TIMEOUT', reload: true },
+    // Largest HTML, CSS or JavaScript body buffered for rewriting; other bodies are streamed
+    maxRewriteMb: { type: 'number', min: 1, default: 32, env: 'MAX_REWRITE_MB' },
+    // Reverse proxies in front of the app whose X-Forwarded-For is trusted (1 on Replit and Render)
+    trustProxy: { type: 'integer', min: 0, default: 0, env: 'TRUST_PROXY' }
+  },
+  session: {
+    secret: { type: 'string', default: 'geforcenow-proxy-secret', env: 'SESSION_SECRET', secret: true },
+    ttl: { type: 'integer', min: 60, default: 24 * 60 * 60, env: 'SESSION_TTL' },
+    // Defaults to true when NODE_ENV is production
+    secure: { type: 'boolean', optional: true },
+    httpOnly: { type: 'boolean', default: true },
+    sameSite: { type: 'enum', values: ['lax', 'strict', 'none'], default: 'lax' },
+    saveUninitialized: { type: 'boolean', default: true },
+    resave: { type: 'boolean', default: false }
+  },
+  storage: {
+    backend: { type: 'enum', values: ['memory', 'file', 'redis'], default: 'memory', env: 'STORAGE_BACKEND' },
+    path: { type: 'string', optional: true, env: 'STORAGE_PATH' },
+    redisUrl: { type: 'string', optional: true, env: 'REDIS_URL', secret: true },
+    sweepInterval: { type: 'integer', min: 1, default: 60, env: 'STORAGE_SWEEP_INTERVAL' }
+  },
+  urlCodec: {
+    codec: { type: 'enum', values: ['plain', 'base64url', 'xor'], default: 'plain', env: 'URL_CODEC' },
+    key: { type: 'string', optional: true, env: 'URL_CODEC_KEY', secret: true },
+    prefix: { type: 'string', pattern: /^\/[\w-]+$/, default: '/p' }
+  },
+  hostPolicy: {
+    allowedHosts: { type: 'list', lowercase: true, default: ['geforcenow.com', 'nvidia.com', 'nvidiagrid.net', 'nvidia.partners'], env: 'ALLOWED_HOSTS', reload: true },
+    deniedHosts: { type: 'list', lowercase: true, default: [], env: 'DENIED_HOSTS', reload: true },
+    allowPrivateTargets: { type: 'boolean', default: false, env: 'ALLOW_PRIVATE_TARGETS' }
+  },
+  cookies: {
+    whitelist: { type: 'list', default: [], reload: true },
+    blacklist: { type: 'list', default: [], reload: true },
+    stripSecure: { type: 'boolean', default: false, reload: true },
+    stripHttpOnly: { type: 'boolean', default: false, reload: true }
+  },
+  auth: {
+    usersFile: { type: 'string', optional: true, env: 'USERS_FILE', reload: true },
+    // Failed logins per client address before credentials stop being checked (0 disables)
+    maxFailures: { type: 'integer', min: 0, default: 10, env: 'AUTH_MAX_FAILURES' },
+    // Seconds in which an address earns back all of its attempts
+    failureWindow: { type: 'integer', min: 1, default: 15 * 60, env: 'AUTH_FAILURE_WINDOW' }
+  },
+  rateLimit: {
+    requestsPerMinute: { type: 'integer', min: 0, default: 600, env: 'RATE_LIMIT_REQUESTS', reload: true },
+    // Defaults to requestsPerMinute
+    burst: { type: 'integer', min: 1, optional: true, env: 'RATE_LIMIT_BURST', reload: true },
+    bandwidthQuotaMb: { type: 'number', min: 0, default: 0, env: 'BANDWIDTH_QUOTA_MB', reload: true },
+    bandwidthWindow: { type: 'integer', min: 1, default: 60 * 60, env: 'BANDWIDTH_WINDOW', reload: true }
+  },
+  cache: {
+    enabled: { type: 'boolean', default: true, env: 'CACHE_ENABLED' },
+    memoryMb: { type: 'number', min: 1, default: 64, env: 'CACHE_MEMORY_MB' },
+    dir: { type: 'string', optional: true, env: 'CACHE_DIR' },
+    diskMb: { type: 'number', min: 1, default: 512, env: 'CACHE_DISK_MB' },
+    maxEntryMb: { type: 'number', min: 0.01, default: 8, env: 'CACHE_MAX_ENTRY_MB' }
+  },
+  har: {
+    // record writes upstream traffic to dir; replay serves it instead of the network
+    mode: { type: 'enum', values: ['off', 'record', 'replay'], default: 'off', env: 'HAR_MODE' },
+    dir: { type: 'string', default: './data/har', env: 'HAR_DIR' },
+    maxBodyMb: { type: 'number', min: 0, default: 10, env: 'HAR_MAX_BODY_MB' },
+    // Recording stops once this much has been recorded
+    maxTotalMb: { type: 'number', min: 1, default: 1024, env: 'HAR_MAX_TOTAL_MB' }
+  },
+  webSocket: {
+    timeout: { type: 'integer', min: 1, default: 60, reload: true },
+    heartbeatInterval: { type: 'integer', min: 1, default: 30, reload: true },
+    maxConnections: { type: 'integer', min: 1, default: 1000, reload: true },
+    highWaterMark: { type: 'integer', min: 1024, default: 1024 * 1024, reload: true },
+    lowWaterMark: { type: 'integer', min: 0, default: 256 * 1024, reload: true }
+  },
+  webrtc: {
+    maxPeersPerRoom: { type: 'integer', min: 2, default: 8, reload: true }
+  },
+  turn: {
+    enabled: { type: 'boolean', default: false, env: 'TURN_ENABLED' },
+    port: { type: 'integer', min: 1, max: 65535, default: 3478, env: 'TURN_PORT' },
+    realm: { type: 'string', optional: true, env: 'TURN_REALM' },
+    secret: { type: 'string', optional: true, env: 'TURN_SECRET', secret: true },
+    externalIp: { type: 'string', optional: true, env: 'TURN_EXTERNAL_IP' },
+    relayOnly: { type: 'boolean', default: false, env: 'TURN_RELAY_ONLY' }
+  },
+  logging: {
+    level: { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info', env: 'LOG_LEVEL', reload: true },
+    format: { type: 'enum', values: ['json', 'text'], default: 'json', env: 'LOG_FORMAT', reload: true }
+  }
+};
+
+/**
+ * Error raised when the configuration is invalid; lists every problem
+ */
+class ConfigError extends Error {
+  /**
+   * @param {Array<string>} issues - One message per invalid setting
+   * @param {string|null} [file] - Configuration file, if any
+   */
+  constructor(issues, file = null) {
+    super(`Invalid configuration${file ? ` in ${file}` : ''}:\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.issues = issues;
+    this.file = file;
+  }
+}
+
+/**
+ * Configuration manager
+ * Holds the current configuration and emits 'reload' (config, changed)
+ * after a reload, with the paths of the reloadable settings that changed.
+ */
+class ConfigManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const env = options.env || process.env;
+    this.options = {
+      env,
+      file: options.file !== undefined ? options.file : (env.CONFIG_FILE || findConfigFile()),
+      watchInterval: options.watchInterval || 2000
+    };
+    this.config = null;
+    this.onSignal = () => this.reload();
+    this.onFileChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.reload();
+    };
+  }
+
+  /**
+   * Load and validate the configuration
+   * @returns {Object} Configuration
+   * @throws {ConfigError} If the file cannot be read or a setting is invalid
+   */
+  load() {
+    const { file, env } = this.options;
+    this.config = buildConfig(readConfigFile(file), env, file);
+    if (file) {
+      logger.info('Loaded configuration', { file });
+    }
+    return this.config;
+  }
+
+  /**
+   * Load the configuration again and apply the reloadable changes. An
+   * invalid configuration is logged and the current one is kept.
+   * @returns {Array<string>|null} Changed settings, or null if the reload failed
+   */
+  reload() {
+    const { file, env } = this.options;
+    let next;
+    try {
+      next = buildConfig(readConfigFile(file), env, file);
+    } catch (error) {
+      logger.error('Reload failed; keeping the current configuration', { file, issues: error.issues || [error.message] });
+      return null;
+    }
+
+    const changed = diffConfig(this.config, next);
+    const needRestart = changed.filter(setting => !fieldAt(setting).reload);
+    if (needRestart.length > 0) {
+      logger.warn('Changed settings need a restart and were not applied', { settings: needRestart });
+      // Keep the running values, so the configuration matches what the server does
+      for (const setting of needRestart) {
+        const [section, key] = setting.split('.');
+        next[section][key] = this.config[section][key];
+      }
+    }
+
+    const applied = changed.filter(setting => fieldAt(setting).reload);
+    this.config = next;
+    logger.info('Configuration reloaded', { changed: applied });
+    this.emit('reload', next, applied);
+    return applied;
+  }
+
+  /**
+   * Reload on SIGHUP and whenever the configuration file changes
+   */
+  watch() {
+    process.on('SIGHUP', this.onSignal);
+    if (this.options.file) {
+      fs.watchFile(this.options.file, { interval: this.options.watchInterval }, this.onFileChange);
+    }
+  }
+
+  /**
+   * Stop watching for changes
+   */
+  close() {
+    process.removeListener('SIGHUP', this.onSignal);
+    if (this.options.file) {
+      fs.unwatchFile(this.options.file, this.onFileChange);
+    }
+  }
+}
+
+/**
+ * Build a validated configuration: schema defaults, then the file, then
+ * environment variables
+ * @param {Object} fileData - Parsed configuration file (may be empty)
+ * @param {Object} env - Environment variables
+ * @param {string|null} [file] - File name, for error messages
+ * @returns {Object} Configuration
+ * @throws {ConfigError} If any setting is invalid
+ */
+function buildConfig(fileData, env, file = null) {
+  const issues = [];
+  const source = file ? path.basename(file) : 'config';
+
+  for (const [section, values] of Object.entries(fileData)) {
+    if (!SCHEMA[section]) {
+      issues.push(`${section}: unknown section (expected one of ${Object.keys(SCHEMA).join(', ')})`);
+    } else if (values === null) {
+      // A YAML section whose settings are all commented out
+      continue;
+    } else if (!isPlainObject(values)) {
+      issues.push(`${section}: must be an object`);
+    } else {
+      for (const key of Object.keys(values)) {
+        if (!SCHEMA[section][key]) {
+          issues.push(`${section}.${key}: unknown setting (expected one of ${Object.keys(SCHEMA[section]).join(', ')})`);
+        }
+      }
+    }
+  }
+
+  const config = {};
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    config[section] = {};
+    const fileSection = isPlainObject(fileData[section]) ? fileData[section] : {};
+
+    for (const [key, field] of Object.entries(fields)) {
+      let value = field.default;
+      let origin = 'default';
+      if (fileSection[key] !== undefined) {
+        value = fileSection[key];
+        origin = source;
+      }
+      if (field.env && env[field.env] !== undefined && env[field.env] !== '') {
+        value = parseEnvValue(field, env[field.env]);
+        origin = field.env;
+      }
+
+      const problem = validateValue(field, value);
+      if (problem) {
+        const shown = field.secret ? '' : ` (got ${JSON.stringify(value)})`;
+        issues.push(`${section}.${key} from ${origin}: ${problem}${shown}`);
+      } else {
+        config[section][key] = normalizeValue(field, value);
+      }
+    }
+  }
+
+  if (issues.length === 0 && config.webSocket.lowWaterMark > config.webSocket.highWaterMark) {
+    issues.push('webSocket.lowWaterMark: must not be larger than webSocket.highWaterMark');
+  }
+  if (issues.length > 0) {
+    throw new ConfigError(issues, file);
+  }
+  return config;
+}
+
+/**
+ * Read and parse a configuration file
+ * @param {string|null} file - JSON or YAML file
+ * @returns {Object} Parsed settings; empty without a file
+ * @throws {ConfigError} If the file cannot be read or parsed
+ */
+function readConfigFile(file) {
+  if (!file) return {};
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`Could not read ${file}: ${error.message}`], file);
+  }
+
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`Could not parse ${file}: ${error.message}`], file);
+  }
+
+  if (data === null || data === undefined) return {};
+  if (!isPlainObject(data)) {
+    throw new ConfigError(['The file must contain an object of sections'], file);
+  }
+  return data;
+}
+
+/**
+ * @returns {string|null} The first default configuration file that exists
+ */
+function findConfigFile() {
+  const found = DEFAULT_CONFIG_FILES.find(name => fs.existsSync(path.join(process.cwd(), name)));
+  return found ? path.join(process.cwd(), found) : null;
+}
+
+/**
+ * Convert an environment variable to the setting's type. Values that do
+ * not convert are returned unchanged so validation reports them.
+ * @param {Object} field - Schema entry
+ * @param {string} raw - Environment value
+ * @returns {*} Converted value
+ */
+function parseEnvValue(field, raw) {
+  const text = raw.trim();
+  switch (field.type) {
+    case 'integer':
+      return /^-?\d+$/.test(text) ? parseInt(text, 10) : raw;
+    case 'number':
+      return text !== '' && Number.isFinite(Number(text)) ? Number(text) : raw;
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(text.toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(text.toLowerCase())) return false;
+      return raw;
+    case 'list':
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return text;
+  }
+}
+
+/**
+ * @param {Object} field - Schema entry
+ * @param {*} value - Value to check
+ * @returns {string|null} Problem with the value, or null if it is valid
+ */
+function validateValue(field, value) {
+  if (value === undefined || value === null) {
+    return field.optional ? null : 'is required';
+  }
+
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string' || value === '') return 'must be a non-empty string';
+      if (field.pattern && !field.pattern.test(value)) return `must match ${field.pattern}`;
+      return null;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+        return `must be ${field.type === 'integer' ? 'an integer' : 'a number'}`;
+      }
+      if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'enum':
+      return field.values.includes(value) ? null : `must be one of ${field.values.join(', ')}`;
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item === 'string' && item !== '')
+        ? null
+        : 'must be a list of non-empty strings';
+    case 'url':
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http(s) URL';
+      } catch (error) {
+        return 'must be an absolute http(s) URL';
+      }
+    default:
+      return `has unknown type ${field.type}`;
+  }
+}
+
+/**
+ * @param {Object} field - Schema entry
+ * @param {*} value - Valid value
+ * @returns {*} Value in canonical form
+ */
+function normalizeValue(field, value) {
+  if (field.type === 'list') {
+    return value.map(item => (field.lowercase ? item.trim().toLowerCase() : item.trim()));
+  }
+  if (field.type === 'url') {
+    return value.replace(/\/+$/, '');
+  }
+  return value;
+}
+
+/**
+ * @param {Object} previous - Configuration
+ * @param {Object} next - Configuration
+ * @returns {Array<string>} Paths ('section.key') of the settings that differ
+ */
+function diffConfig(previous, next) {
+  const changed = [];
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    for (const key of Object.keys(fields)) {
+      if (JSON.stringify(previous[section][key]) !== JSON.stringify(next[section][key])) {
+        changed.push(`${section}.${key}`);
+      }
+    }
+  }
+  return changed;
+}
+
+/**
+ * @param {string} setting - 'section.key'
+ * @returns {Object} Schema entry
+ */
+function fieldAt(setting) {
+  const [section, key] = setting.split('.');
+  return SCHEMA[section][key];
+}
+
+/**
+ * @param {*} value - Value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  ConfigManager,
+  ConfigError,
+  buildConfig,
+  SCHEMA
+};
@@ -0,0 +1,991 @@
+/**
+ * HAR Module
+ * Records proxied traffic to HAR 1.2 files and replays it in place of the
+ * network. A recording holds every upstream exchange as the proxy made
+ * it, the rewritten response the browser received and the frames of
+ * relayed WebSockets. Replay serves the recorded upstream responses, so a
+ * broken page can be reproduced offline against the current rewriters.
+ * Recordings are meant to be shared, so credentials are redacted with the
+ * logger's rules: secret headers, query parameters and form or JSON
+ * request fields.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Readable, Transform } = require('stream');
+const axios = require('axios');
+const WebSocket = require('ws');
+const { version } = require('../package.json');
+const {
+  createLogger,
+  currentRequestId,
+  currentSessionId,
+  sessionRef,
+  redactUrl,
+  redactPath,
+  redactBody
+} = require('./logger');
+
+const logger = createLogger('HAR');
+
+// Header values that carry credentials and are never written to a recording
+const SECRET_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+// Header values that are URLs, recorded with their secret query parameters redacted
+const URL_HEADERS = ['location', 'content-location', 'referer'];
+const REDACTED = '[REDACTED]';
+
+// A recording file is written as this header, comma-separated entries and
+// the footer, so entries can be appended in place of the footer
+const HAR_FOOTER = ']}}';
+
+// Entries waiting for their rewritten body are written without it after this long
+const REWRITE_GRACE = 30 * 1000;
+
+// Bodies of these types are stored as text unless they are compressed
+const TEXT_CONTENT_TYPE = /^(text\/|application\/([\w.-]+\+)?(json|xml|javascript|x-javascript|x-www-form-urlencoded)|image\/svg\+xml)/i;
+
+/**
+ * HAR Recorder Class
+ * Writes one HAR file per proxy session, named after the session's log
+ * reference, so a user's recording can be picked out and shared without
+ * exposing the session ID. Credentials are redacted (see the module
+ * comment); replay redacts live requests the same way before matching.
+ * Finished entries are appended to their file and dropped from memory;
+ * only open WebSocket connections and just-finished exchanges are held.
+ */
+class HarRecorder {
+  constructor(options = {}) {
+    this.options = {
+      dir: options.dir || './data/har',
+      maxBodyBytes: options.maxBodyBytes !== undefined ? options.maxBodyBytes : (10 * 1024 * 1024), // 10 MB
+      // Recording stops once this much has been written (or is held for open WebSockets)
+      maxTotalBytes: options.maxTotalBytes || (1024 * 1024 * 1024), // 1 GB
+      maxWebSocketMessages: options.maxWebSocketMessages || 10000,
+      flushDelay: options.flushDelay || 1000
+    };
+    this.httpAdapter = axios.getAdapter('http');
+    // Per file name: bytes written so far and entries waiting to be written
+    this.files = new Map();
+    this.flushTimer = null;
+    // Resolves once the running flush has written everything it took
+    this.writing = Promise.resolve();
+    // Recorded entries of responses whose rewritten body is still to come
+    this.responses = new WeakMap();
+    // Bytes of frames held for open WebSocket connections
+    this.heldBytes = 0;
+    this.full = false;
+    this.stats = { entries: 0, webSockets: 0, messages: 0, bytes: 0, dropped: 0 };
+
+    logger.info('Recording', { dir: this.options.dir });
+  }
+
+  /**
+   * @returns {Object} axios request options that record the exchange
+   */
+  requestOptions() {
+    return { adapter: config => this.send(config) };
+  }
+
+  /**
+   * axios adapter: make the request over HTTP and record it. Streamed
+   * bodies are recorded as they pass through.
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  async send(config) {
+    const started = Date.now();
+    const file = fileName(currentSessionId());
+    const entry = {
+      startedDateTime: new Date(started).toISOString(),
+      time: 0,
+      request: requestEntry(config),
+      response: null,
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      _requestId: currentRequestId()
+    };
+
+    const requestBody = isStream(config.data) ? tapStream(config.data, this.options.maxBodyBytes) : null;
+    if (requestBody) {
+      config.data = requestBody.stream;
+    }
+
+    let response;
+    try {
+      response = await this.httpAdapter(config);
+    } catch (error) {
+      if (!error.response) {
+        entry.timings.wait = entry.time = Date.now() - started;
+        entry.response = failedResponseEntry(error);
+        this.finishRequest(file, entry, config, requestBody);
+        throw error;
+      }
+      // Rejected by validateStatus; record it all the same
+      this.recordResponse(file, entry, config, requestBody, error.response, started);
+      throw error;
+    }
+
+    this.recordResponse(file, entry, config, requestBody, response, started);
+    return response;
+  }
+
+  /**
+   * Complete an entry with its response. A streamed body is recorded once
+   * the stream closes; the caller reads it through a tap.
+   * @param {string} file - Recording file name
+   * @param {Object} entry - HAR entry
+   * @param {Object} config - axios request config
+   * @param {Object|null} requestBody - Tap on a streamed request body
+   * @param {Object} response - axios response
+   * @param {number} started - Request start time in ms
+   */
+  recordResponse(file, entry, config, requestBody, response, started) {
+    const headers = plainHeaders(response.headers);
+    entry.timings.wait = Date.now() - started;
+
+    const finish = (body, size = body ? body.length : 0) => {
+      entry.time = Date.now() - started;
+      entry.timings.receive = entry.time - entry.timings.wait;
+      entry.response = {
+        status: response.status,
+        statusText: response.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: harHeaders(headers),
+        cookies: [],
+        content: harContent(body, headers, this.options.maxBodyBytes, size),
+        redirectURL: headers.location ? redactLink(String(headers.location)) : '',
+        headersSize: -1,
+        bodySize: size
+      };
+      this.finishRequest(file, entry, config, requestBody);
+    };
+
+    if (isStream(response.data)) {
+      const tap = tapStream(response.data, this.options.maxBodyBytes);
+      response.data = tap.stream;
+      // Held back only if the caller rewrites the body (see holdForRewrite)
+      this.responses.set(response, { entry, file });
+      tap.done.then(() => finish(tap.body(), tap.size()));
+    } else {
+      // Held back until the rewritten body is known (see recordRewritten)
+      entry._waitingSince = Date.now();
+      this.responses.set(response, { entry, file });
+      finish(toBuffer(response.data));
+    }
+  }
+
+  /**
+   * Add the request body to an entry and store it
+   * @param {string} file - Recording file name
+   * @param {Object} entry - HAR entry
+   * @param {Object} config - axios request config
+   * @param {Object|null} requestBody - Tap on a streamed request body
+   */
+  finishRequest(file, entry, config, requestBody) {
+    const body = requestBody ? requestBody.body() : toBuffer(config.data);
+    const size = requestBody ? requestBody.size() : (body ? body.length : 0);
+    if (size > 0) {
+      const headers = plainHeaders(config.headers);
+      entry.request.bodySize = size;
+      entry.request.postData = harContent(redactedRequestBody(body, headers), headers, this.options.maxBodyBytes, size);
+    }
+    this.add(file, entry);
+  }
+
+  /**
+   * Hold back the entry of a streamed response the caller is going to
+   * buffer and rewrite, until recordRewritten() adds what the browser got
+   * @param {Object} response - axios response returned by this recorder
+   */
+  holdForRewrite(response) {
+    const recorded = this.responses.get(response);
+    if (recorded) {
+      recorded.entry._waitingSince = Date.now();
+    }
+  }
+
+  /**
+   * Record what the browser received for a recorded upstream response,
+   * after rewriting and injection
+   * @param {Object} response - axios response returned by this recorder
+   * @param {number} status - Status sent to the browser
+   * @param {Object} headers - Headers sent to the browser
+   * @param {Buffer|string} body - Body sent to the browser
+   */
+  recordRewritten(response, status, headers, body) {
+    const recorded = this.responses.get(response);
+    if (!recorded) return;
+    this.responses.delete(response);
+    // Too late: the entry was already written without it
+    if (!recorded.entry._waitingSince) return;
+
+    const sentHeaders = plainHeaders(headers);
+    recorded.entry._rewritten = {
+      status,
+      headers: harHeaders(sentHeaders),
+      content: harContent(toBuffer(body), sentHeaders, this.options.maxBodyBytes)
+    };
+    delete recorded.entry._waitingSince;
+    this.scheduleFlush();
+  }
+
+  /**
+   * Start recording a relayed WebSocket connection
+   * @param {string} url - Upstream WebSocket URL
+   * @param {Object} details - { sessionId, requestId, headers, protocol }
+   * @returns {Object} Recording handle for recordMessage() and finishWebSocket()
+   */
+  startWebSocket(url, details = {}) {
+    const started = Date.now();
+    const entry = {
+      startedDateTime: new Date(started).toISOString(),
+      time: 0,
+      request: {
+        method: 'GET',
+        url: redactUrl(url),
+        httpVersion: 'HTTP/1.1',
+        headers: harHeaders(details.headers || {}),
+        queryString: queryString(redactUrl(url)),
+        cookies: [],
+        headersSize: -1,
+        bodySize: 0
+      },
+      response: {
+        status: 101,
+        statusText: 'Switching Protocols',
+        httpVersion: 'HTTP/1.1',
+        headers: details.protocol ? [{ name: 'sec-websocket-protocol', value: details.protocol }] : [],
+        cookies: [],
+        content: { size: 0, mimeType: '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: 0
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      _requestId: details.requestId || undefined,
+      // Chrome's HAR extension for WebSocket frames
+      _resourceType: 'websocket',
+      _webSocketMessages: []
+    };
+
+    // The entry is written when the connection closes
+    const handle = { entry, file: fileName(details.sessionId), started, heldBytes: 0 };
+    this.stats.webSockets++;
+    return handle;
+  }
+
+  /**
+   * Record a relayed frame
+   * @param {Object} handle - Handle from startWebSocket()
+   * @param {string} type - 'send' (client to upstream) or 'receive'
+   * @param {Buffer} data - Frame payload
+   * @param {boolean} isBinary - Whether the frame was binary
+   */
+  recordMessage(handle, type, data, isBinary) {
+    const messages = handle.entry._webSocketMessages;
+    if (messages.length >= this.options.maxWebSocketMessages) {
+      handle.entry.comment = `Frames after the first ${this.options.maxWebSocketMessages} were not recorded`;
+      return;
+    }
+    if (this.isFull()) {
+      handle.entry.comment = 'Frames after the recording size limit were not recorded';
+      return;
+    }
+
+    const payload = toBuffer(data);
+    const recorded = payload.length > this.options.maxBodyBytes ? '' : payload.toString(isBinary ? 'base64' : 'utf8');
+    messages.push({ type, time: Date.now() / 1000, opcode: isBinary ? 2 : 1, data: recorded });
+    handle.heldBytes += recorded.length;
+    this.heldBytes += recorded.length;
+    this.stats.messages++;
+  }
+
+  /**
+   * Mark a recorded WebSocket connection as closed and queue it for writing
+   * @param {Object} handle - Handle from startWebSocket()
+   */
+  finishWebSocket(handle) {
+    handle.entry.time = Date.now() - handle.started;
+    this.heldBytes -= handle.heldBytes;
+    handle.heldBytes = 0;
+    this.add(handle.file, handle.entry);
+  }
+
+  /**
+   * @returns {boolean} True once the recording size limit is reached
+   */
+  isFull() {
+    if (!this.full && this.stats.bytes + this.heldBytes >= this.options.maxTotalBytes) {
+      this.full = true;
+      logger.warn('Recording size limit reached; not recording any more traffic', {
+        maxTotalBytes: this.options.maxTotalBytes
+      });
+    }
+    return this.full;
+  }
+
+  /**
+   * Queue a finished entry for writing
+   * @param {string} file - Recording file name
+   * @param {Object} entry - HAR entry
+   */
+  add(file, entry) {
+    if (this.isFull()) {
+      this.stats.dropped++;
+      return;
+    }
+    if (!this.files.has(file)) {
+      this.files.set(file, { size: 0, pending: [] });
+    }
+    this.files.get(file).pending.push(entry);
+    this.scheduleFlush();
+  }
+
+  /**
+   * Write soon, batching changes
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.options.flushDelay);
+  }
+
+  /**
+   * Append the ready entries of every file and drop them from memory.
+   * Entries still waiting for their rewritten body are kept for the next
+   * flush, unless they have waited too long (or force is set).
+   * @param {boolean} [force] - Write waiting entries too
+   * @returns {Promise<void>} Resolves once everything taken is written
+   */
+  flush(force = false) {
+    const cutoff = Date.now() - REWRITE_GRACE;
+    const batches = [];
+    for (const [file, state] of this.files) {
+      const ready = [];
+      state.pending = state.pending.filter((entry) => {
+        if (!force && entry._waitingSince > cutoff) return true;
+        delete entry._waitingSince;
+        if (this.isFull()) {
+          this.stats.dropped++;
+          return false;
+        }
+        // Counted now rather than once written, so queued writes cannot overshoot the limit
+        const serialized = JSON.stringify(entry);
+        this.stats.bytes += serialized.length;
+        this.stats.entries++;
+        ready.push(serialized);
+        return false;
+      });
+      if (ready.length > 0) {
+        batches.push([file, state, ready]);
+      }
+      if (state.pending.length > 0) {
+        this.scheduleFlush();
+      }
+    }
+
+    // Writes run one flush at a time, so appends to a file never overlap
+    this.writing = this.writing.then(async () => {
+      for (const [file, state, entries] of batches) {
+        await this.append(file, state, entries);
+      }
+    });
+    return this.writing;
+  }
+
+  /**
+   * Append serialized entries to a recording file, which stays valid HAR
+   * after every write
+   * @param {string} file - Recording file name
+   * @param {Object} state - { size } of the file as written by this recorder
+   * @param {Array<string>} entries - Serialized HAR entries
+   * @returns {Promise<void>} Resolves once written (errors are logged)
+   */
+  async append(file, state, entries) {
+    const filePath = path.join(this.options.dir, file);
+    let handle;
+    try {
+      await fs.promises.mkdir(this.options.dir, { recursive: true });
+      let data;
+      let position;
+      if (state.size === 0) {
+        // First write in this process replaces any older recording of the session
+        const header = JSON.stringify({ log: { version: '1.2', creator: { name: 'geforcenow-proxy', version }, pages: [] } });
+        data = Buffer.from(`${header.slice(0, -2)},"entries":[${entries.join(',')}${HAR_FOOTER}`);
+        position = 0;
+        handle = await fs.promises.open(filePath, 'w');
+      } else {
+        data = Buffer.from(`,${entries.join(',')}${HAR_FOOTER}`);
+        position = state.size - HAR_FOOTER.length;
+        handle = await fs.promises.open(filePath, 'r+');
+      }
+      await handle.write(data, 0, data.length, position);
+      state.size = position + data.length;
+    } catch (error) {
+      logger.error('Could not write recording', { path: filePath, error });
+    } finally {
+      if (handle) {
+        await handle.close();
+      }
+    }
+  }
+
+  /**
+   * Write everything still pending
+   * @returns {Promise<void>} Resolves once written
+   */
+  close() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    return this.flush(true);
+  }
+
+  /**
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { mode: 'record', dir: this.options.dir, files: this.files.size, full: this.full, ...this.stats };
+  }
+}
+
+/**
+ * HAR Replayer Class
+ * Loads every .har file in a directory and answers upstream requests from
+ * them. Requests match on method, URL and body; repeated requests get the
+ * recorded responses in order, then the last one again.
+ */
+class HarReplayer {
+  constructor(options = {}) {
+    this.options = {
+      dir: options.dir || './data/har'
+    };
+    // HTTP entries by method and URL, WebSocket entries by URL
+    this.entries = new Map();
+    this.webSockets = new Map();
+    this.positions = new Map();
+    this.stats = { served: 0, missed: 0, webSockets: 0 };
+
+    this.load();
+  }
+
+  /**
+   * Read the recordings
+   */
+  load() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.options.dir).filter(name => name.endsWith('.har')).sort();
+    } catch (error) {
+      logger.warn('No recordings to replay', { dir: this.options.dir, error });
+    }
+
+    for (const name of files) {
+      const filePath = path.join(this.options.dir, name);
+      let har;
+      try {
+        har = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        logger.error('Could not read recording', { path: filePath, error });
+        continue;
+      }
+
+      for (const entry of (har.log && har.log.entries) || []) {
+        if (entry._resourceType === 'websocket') {
+          addTo(this.webSockets, entry.request.url, entry);
+        } else {
+          addTo(this.entries, `${entry.request.method} ${entry.request.url}`, entry);
+        }
+      }
+    }
+
+    // Recordings made by browsers may not list frames in order
+    for (const entries of this.webSockets.values()) {
+      for (const entry of entries) {
+        entry._webSocketMessages = (entry._webSocketMessages || []).slice().sort((a, b) => a.time - b.time);
+      }
+    }
+
+    logger.info('Replaying recordings', { dir: this.options.dir, files: files.length, urls: this.entries.size, webSocketUrls: this.webSockets.size });
+  }
+
+  /**
+   * @returns {Object} axios request options that answer from the recordings
+   */
+  requestOptions() {
+    return { adapter: config => this.send(config) };
+  }
+
+  /**
+   * axios adapter: answer with the recorded response for the request
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  async send(config) {
+    const method = (config.method || 'get').toUpperCase();
+    // Recorded URLs and bodies are redacted, so live ones are compared redacted
+    const url = redactUrl(axios.getUri(config));
+    const data = isStream(config.data) ? await readStream(config.data) : toBuffer(config.data);
+    const body = redactedRequestBody(data, plainHeaders(config.headers));
+
+    const key = `${method} ${url}`;
+    const candidates = (this.entries.get(key) || []).filter(entry => bodyMatches(entry.request.postData, body));
+    if (candidates.length === 0) {
+      this.stats.missed++;
+      logger.warn('No recorded response', { method, url });
+      throw new axios.AxiosError(`No recorded response for ${method} ${url}`, 'ERR_HAR_NO_MATCH', config);
+    }
+
+    const position = `${key} ${body ? crypto.createHash('sha256').update(body).digest('hex') : ''}`;
+    const index = this.positions.get(position) || 0;
+    this.positions.set(position, index + 1);
+    const entry = candidates[Math.min(index, candidates.length - 1)];
+    this.stats.served++;
+
+    if (entry.response._error) {
+      throw new axios.AxiosError(entry.response._error.message, entry.response._error.code, config);
+    }
+
+    const recordedBody = contentBody(entry.response.content) || Buffer.alloc(0);
+    const response = {
+      data: responseData(recordedBody, config.responseType),
+      status: entry.response.status,
+      statusText: entry.response.statusText || '',
+      headers: headersObject(entry.response.headers),
+      config,
+      request: null
+    };
+
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      const code = response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST';
+      throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+    }
+    return response;
+  }
+
+  /**
+   * Open a replayed upstream WebSocket in place of a real one
+   * @param {string} url - Upstream WebSocket URL
+   * @returns {ReplaySocket} Socket emitting the recorded frames
+   */
+  connectWebSocket(url) {
+    const entries = this.webSockets.get(redactUrl(url)) || [];
+    const index = this.positions.get(`WS ${url}`) || 0;
+    this.positions.set(`WS ${url}`, index + 1);
+
+    const entry = entries.length ? entries[Math.min(index, entries.length - 1)] : null;
+    if (entry) {
+      this.stats.webSockets++;
+    } else {
+      this.stats.missed++;
+      logger.warn('No recorded WebSocket', { url });
+    }
+    return new ReplaySocket(url, entry);
+  }
+
+  /**
+   * Nothing to release; present so both modes shut down the same way
+   */
+  close() {}
+
+  /**
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { mode: 'replay', dir: this.options.dir, urls: this.entries.size, ...this.stats };
+  }
+}
+
+/**
+ * Replay Socket Class
+ * Stands in for the upstream ws.WebSocket of a relayed connection. Frames
+ * the upstream sent before the client's first frame are sent on open; each
+ * frame from the client then releases the upstream frames recorded after
+ * the matching client frame.
+ */
+class ReplaySocket extends EventEmitter {
+  constructor(url, entry) {
+    super();
+    this.url = url;
+    this.readyState = WebSocket.CONNECTING;
+    this.protocol = entry ? headersObject(entry.response.headers)['sec-websocket-protocol'] || '' : '';
+    this.bufferedAmount = 0;
+    this.isPaused = false;
+    this.script = entry ? entry._webSocketMessages.slice() : [];
+    this.queue = [];
+
+    // The relay listens for messages only once the client handshake is done
+    this.on('newListener', (event) => {
+      if (event === 'message') {
+        setImmediate(() => this.release());
+      }
+    });
+
+    setImmediate(() => {
+      if (this.readyState !== WebSocket.CONNECTING) return;
+      if (!entry) {
+        this.readyState = WebSocket.CLOSED;
+        this.emit('error', new Error(`No recorded WebSocket for ${url}`));
+        return;
+      }
+      this.readyState = WebSocket.OPEN;
+      this.emit('upgrade', { headers: headersObject(entry.response.headers) });
+      this.emit('open');
+    });
+  }
+
+  /**
+   * Take a frame from the client in place of the next recorded one
+   * @param {Buffer} data - Frame payload
+   * @param {Object} [options] - ws send options
+   * @param {Function} [callback] - Called once "sent"
+   */
+  send(data, options, callback) {
+    if (this.script.length && this.script[0].type === 'send') {
+      this.script.shift();
+    }
+    this.release();
+    if (callback) {
+      setImmediate(callback);
+    }
+  }
+
+  /**
+   * Queue the upstream frames up to the next client frame
+   */
+  release() {
+    while (this.script.length && this.script[0].type === 'receive') {
+      this.queue.push(this.script.shift());
+    }
+    this.flush();
+  }
+
+  /**
+   * Emit queued frames unless paused
+   */
+  flush() {
+    while (!this.isPaused && this.queue.length && this.readyState === WebSocket.OPEN && this.listenerCount('message')) {
+      const message = this.queue.shift();
+      const isBinary = message.opcode === 2;
+      this.emit('message', Buffer.from(message.data, isBinary ? 'base64' : 'utf8'), isBinary);
+    }
+  }
+
+  /**
+   * Hold back frames while the client is backed up
+   */
+  pause() {
+    this.isPaused = true;
+  }
+
+  /**
+   * Send the frames held back by pause()
+   */
+  resume() {
+    this.isPaused = false;
+    this.flush();
+  }
+
+  /**
+   * @param {number} [code] - Close code
+   * @param {string|Buffer} [reason] - Close reason
+   */
+  close(code, reason) {
+    if (this.readyState === WebSocket.CLOSING || this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSING;
+    setImmediate(() => {
+      this.readyState = WebSocket.CLOSED;
+      this.emit('close', code || 1005, Buffer.from(reason || ''));
+    });
+  }
+
+  /**
+   * Close at once, as after a dropped connection
+   */
+  terminate() {
+    this.close(1006);
+  }
+}
+
+/**
+ * @param {string} [sessionId] - Proxy session ID
+ * @returns {string} Recording file name for the session
+ */
+function fileName(sessionId) {
+  return `${sessionId ? sessionRef(sessionId) : 'no-session'}.har`;
+}
+
+/**
+ * HAR request for an axios config, without the body
+ * @param {Object} config - axios request config
+ * @returns {Object} HAR request
+ */
+function requestEntry(config) {
+  const url = redactUrl(axios.getUri(config));
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    url,
+    httpVersion: 'HTTP/1.1',
+    headers: harHeaders(plainHeaders(config.headers)),
+    queryString: queryString(url),
+    cookies: [],
+    headersSize: -1,
+    bodySize: 0
+  };
+}
+
+/**
+ * HAR response for a request that got no response
+ * @param {Error} error - Request error
+ * @returns {Object} HAR response with status 0
+ */
+function failedResponseEntry(error) {
+  return {
+    status: 0,
+    statusText: '',
+    httpVersion: 'HTTP/1.1',
+    headers: [],
+    cookies: [],
+    content: { size: 0, mimeType: '' },
+    redirectURL: '',
+    headersSize: -1,
+    bodySize: -1,
+    _error: { message: error.message, code: error.code }
+  };
+}
+
+/**
+ * @param {Object} headers - AxiosHeaders, Node or plain headers
+ * @returns {Object} Plain object with lowercase names
+ */
+function plainHeaders(headers) {
+  const source = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : headers || {};
+  const result = {};
+  for (const [name, value] of Object.entries(source)) {
+    if (value !== undefined && value !== null && value !== false) {
+      result[name.toLowerCase()] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {Object} headers - Plain headers
+ * @returns {Array<Object>} HAR headers with credentials redacted
+ */
+function harHeaders(headers) {
+  const list = [];
+  for (const [name, value] of Object.entries(headers)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      const key = name.toLowerCase();
+      let recorded = String(item);
+      if (SECRET_HEADERS.includes(key)) {
+        recorded = REDACTED;
+      } else if (URL_HEADERS.includes(key)) {
+        recorded = redactLink(recorded);
+      }
+      list.push({ name, value: recorded });
+    }
+  }
+  return list;
+}
+
+/**
+ * @param {string} url - Absolute or relative URL from a header
+ * @returns {string} The URL with secret query parameters redacted
+ */
+function redactLink(url) {
+  return /^[a-z][a-z\d+.-]*:/i.test(url) ? redactUrl(url) : redactPath(url);
+}
+
+/**
+ * A request body as it is recorded: secret form and JSON fields redacted
+ * @param {Buffer|null} body - Request body
+ * @param {Object} headers - Plain request headers
+ * @returns {Buffer|null} Body to record
+ */
+function redactedRequestBody(body, headers) {
+  if (!body || !body.length || headers['content-encoding']) return body;
+  const text = body.toString('utf8');
+  const redacted = redactBody(text, headers['content-type']);
+  return redacted === text ? body : Buffer.from(redacted);
+}
+
+/**
+ * @param {Array<Object>} list - HAR headers
+ * @returns {Object} Plain headers; redacted values are left out
+ */
+function headersObject(list) {
+  const headers = {};
+  for (const { name, value } of list || []) {
+    if (value === REDACTED) continue;
+    const key = name.toLowerCase();
+    if (key === 'set-cookie') {
+      headers[key] = (headers[key] || []).concat(value);
+    } else {
+      headers[key] = headers[key] !== undefined ? `${headers[key]}, ${value}` : value;
+    }
+  }
+  return headers;
+}
+
+/**
+ * @param {string} url - URL
+ * @returns {Array<Object>} HAR query string
+ */
+function queryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * HAR content (or postData) for a body: text for uncompressed text types,
+ * base64 otherwise, nothing if it is too large
+ * @param {Buffer|null} body - Body, or null if it was not kept
+ * @param {Object} headers - Plain headers of the message
+ * @param {number} maxBodyBytes - Largest body that is recorded
+ * @param {number} [size] - Body size, when the body was not kept
+ * @returns {Object} HAR content
+ */
+function harContent(body, headers, maxBodyBytes, size = body ? body.length : 0) {
+  const mimeType = String(headers['content-type'] || '');
+  const content = { size: Math.max(size, 0), mimeType };
+  if (size <= 0) return content;
+
+  if (!body || size > maxBodyBytes) {
+    content.comment = `Body of ${size} bytes not recorded`;
+  } else if (TEXT_CONTENT_TYPE.test(mimeType) && !headers['content-encoding']) {
+    content.text = body.toString('utf8');
+  } else {
+    content.text = body.toString('base64');
+    content.encoding = 'base64';
+  }
+  return content;
+}
+
+/**
+ * @param {Object} [content] - HAR content or postData
+ * @returns {Buffer|null} Body, or null if it was not recorded
+ */
+function contentBody(content) {
+  if (!content || content.text === undefined) return null;
+  return Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+/**
+ * @param {Object} [postData] - Recorded request body
+ * @param {Buffer|null} body - Body of the request being replayed
+ * @returns {boolean} True if the recording answers a request with this body
+ */
+function bodyMatches(postData, body) {
+  if (!postData) return !body || body.length === 0;
+  const recorded = contentBody(postData);
+  // Bodies too large to record match any body
+  if (!recorded) return true;
+  return recorded.equals(body || Buffer.alloc(0));
+}
+
+/**
+ * @param {Buffer} body - Recorded body
+ * @param {string} [responseType] - axios responseType
+ * @returns {*} Response data in the form the HTTP adapter returns it
+ */
+function responseData(body, responseType) {
+  if (responseType === 'stream') return Readable.from(body.length ? [body] : []);
+  if (responseType === 'arraybuffer') return body;
+  return body.toString('utf8');
+}
+
+/**
+ * @param {*} value - Value
+ * @returns {boolean} True for readable streams
+ */
+function isStream(value) {
+  return Boolean(value) && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
+
+/**
+ * @param {*} data - Request or response data
+ * @returns {Buffer|null} Data as bytes
+ */
+function toBuffer(data) {
+  if (data === undefined || data === null) return null;
+  if (Buffer.isBuffer(data)) return data;
+  if (typeof data === 'string') return Buffer.from(data);
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return Buffer.from(JSON.stringify(data));
+}
+
+/**
+ * Pass a stream through a tap that keeps a copy of what was read, up to
+ * a size limit
+ * @param {stream.Readable} source - Stream
+ * @param {number} maxBytes - Largest body that is kept
+ * @returns {Object} { stream, done, body(), size() }; done resolves once the tap closes
+ */
+function tapStream(source, maxBytes) {
+  let chunks = [];
+  let size = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size <= maxBytes) {
+        chunks.push(chunk);
+      } else {
+        chunks = null;
+      }
+      callback(null, chunk);
+    }
+  });
+  source.on('error', error => stream.destroy(error));
+  source.once('close', () => {
+    if (!source.readableEnded) stream.destroy();
+  });
+  source.pipe(stream);
+
+  return {
+    stream,
+    done: new Promise(resolve => stream.once('close', resolve)),
+    body: () => (chunks ? Buffer.concat(chunks) : null),
+    size: () => size
+  };
+}
+
+/**
+ * @param {stream.Readable} stream - Stream
+ * @returns {Promise<Buffer>} Everything it yields
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * @param {Map} map - Map of arrays
+ * @param {string} key - Key
+ * @param {*} value - Value to append
+ */
+function addTo(map, key, value) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(value);
+}
+
+module.exports = {
+  HarRecorder,
+  HarReplayer,
+  ReplaySocket
+};
@@ -0,0 +1,294 @@
+/**
+ * Host Policy Module
+ * Decides which upstream hosts the proxy may reach. Hosts are checked
+ * against an allowlist and a denylist, and every address a hostname
+ * resolves to is checked at connect time, so private, loopback and
+ * link-local targets are refused even through redirects or DNS rebinding.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// GeForce NOW web client, NVIDIA account and streaming infrastructure
+const DEFAULT_ALLOWED_HOSTS = [
+  'geforcenow.com',
+  'nvidia.com',
+  'nvidiagrid.net',
+  'nvidia.partners'
+];
+
+// Address ranges an upstream request must never reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'], // "This" network
+  ['10.0.0.0', 8, 'ipv4'], // Private
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // Loopback
+  ['169.254.0.0', 16, 'ipv4'], // Link-local, including cloud metadata
+  ['172.16.0.0', 12, 'ipv4'], // Private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // Private
+  ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+  ['::', 128, 'ipv6'], // Unspecified
+  ['::1', 128, 'ipv6'], // Loopback
+  ['fc00::', 7, 'ipv6'], // Unique local
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['ff00::', 8, 'ipv6'] // Multicast
+].forEach(([address, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, type));
+
+/**
+ * Error raised when a target is refused by the host policy
+ */
+class HostPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HostPolicyError';
+    this.code = 'EHOSTPOLICY';
+    this.status = 403;
+  }
+
+  /**
+   * Find a host policy error in an error's cause chain. axios and
+   * follow-redirects wrap errors raised during connect or redirects.
+   * @param {Error} error - Error to inspect
+   * @returns {HostPolicyError|null} The policy error, if any
+   */
+  static from(error) {
+    for (let current = error; current; current = current.cause) {
+      if (current instanceof HostPolicyError) return current;
+    }
+    return null;
+  }
+}
+
+/**
+ * Host policy
+ * Allowlist entries match the host and all of its subdomains; '*' allows
+ * any host. The denylist always wins.
+ */
+class HostPolicy {
+  constructor(options = {}) {
+    this.options = {
+      allowedHosts: options.allowedHosts || DEFAULT_ALLOWED_HOSTS,
+      deniedHosts: options.deniedHosts || [],
+      allowPrivate: options.allowPrivate === true
+    };
+
+    // Connections made through these agents are checked at DNS lookup time
+    this.lookup = this.lookup.bind(this);
+    this.httpAgent = new http.Agent({ keepAlive: true, lookup: this.lookup });
+    this.httpsAgent = new https.Agent({ keepAlive: true, lookup: this.lookup });
+  }
+
+  /**
+   * Replace the allowlist and denylist. Pooled connections to hosts that
+   * are no longer allowed are closed.
+   * @param {Object} options - { allowedHosts, deniedHosts }
+   */
+  configure(options) {
+    if (options.allowedHosts !== undefined) {
+      this.options.allowedHosts = options.allowedHosts;
+    }
+    if (options.deniedHosts !== undefined) {
+      this.options.deniedHosts = options.deniedHosts;
+    }
+    // Idle keep-alive sockets would otherwise be reused without a new lookup
+    for (const agent of [this.httpAgent, this.httpsAgent]) {
+      for (const sockets of Object.values(agent.freeSockets)) {
+        sockets.forEach(socket => socket.destroy());
+      }
+    }
+  }
+
+  /**
+   * Check a target URL before connecting. IP literals are checked here;
+   * hostnames are checked again when they are resolved.
+   * @param {string} url - Absolute target URL
+   * @throws {HostPolicyError} If the target is not allowed
+   */
+  assertAllowed(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      throw new HostPolicyError(`Invalid target URL: ${url}`);
+    }
+
+    if (!['http:', 'https:', 'ws:', 'wss:'].includes(target.protocol)) {
+      throw new HostPolicyError(`Protocol ${target.protocol} is not allowed`);
+    }
+
+    const hostname = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!this.isHostAllowed(hostname)) {
+      throw new HostPolicyError(`Host ${hostname} is not allowed`);
+    }
+    if (net.isIP(hostname) && !this.options.allowPrivate && isPrivateAddress(hostname)) {
+      throw new HostPolicyError(`Address ${hostname} is private and cannot be proxied`);
+    }
+  }
+
+  /**
+   * @param {string} hostname - Lower-case hostname
+   * @returns {boolean} True if the host passes the allowlist and denylist
+   */
+  isHostAllowed(hostname) {
+    const matches = pattern => pattern === '*' || hostname === pattern || hostname.endsWith(`.${pattern}`);
+
+    if (this.options.deniedHosts.some(matches)) return false;
+    return this.options.allowedHosts.some(matches);
+  }
+
+  /**
+   * dns.lookup replacement for sockets: resolves every address and fails
+   * if any of them is private, so the address that gets connected to is
+   * the one that was checked
+   * @param {string} hostname - Hostname to resolve
+   * @param {Object|Function} options - dns.lookup options
+   * @param {Function} callback - dns.lookup callback
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const blocked = !this.options.allowPrivate && addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked) {
+        return callback(new HostPolicyError(`Host ${hostname} resolves to private address ${blocked.address}`));
+      }
+      if (addresses.length === 0) {
+        return callback(Object.assign(new Error(`No addresses for ${hostname}`), { code: 'ENOTFOUND' }));
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * axios options that route connections through the checked agents
+   * @returns {Object} { httpAgent, httpsAgent }
+   */
+  requestOptions() {
+    return { httpAgent: this.httpAgent, httpsAgent: this.httpsAgent };
+  }
+
+  /**
+   * Release pooled connections
+   */
+  close() {
+    this.httpAgent.destroy();
+    this.httpsAgent.destroy();
+  }
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for private, loopback, link-local and other non-public addresses
+ */
+function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  if (type === 4) {
+    return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  }
+  if (type !== 6) {
+    return true;
+  }
+
+  // IPv4-mapped (::ffff:a.b.c.d), NAT64 (64:ff9b::) and 6to4 (2002::) embed an IPv4 address
+  const embedded = embeddedIpv4(address);
+  if (embedded) {
+    return BLOCKED_ADDRESSES.check(embedded, 'ipv4');
+  }
+  return BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+/**
+ * @param {string} address - IPv6 address
+ * @returns {string|null} IPv4 address embedded in a mapped, NAT64 or 6to4 address
+ */
+function embeddedIpv4(address) {
+  const groups = expandIpv6(address.split('%')[0].toLowerCase());
+  const toIpv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    return toIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+    return toIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) {
+    return toIpv4(groups[1], groups[2]);
+  }
+  return null;
+}
+
+/**
+ * @param {string} address - IPv6 address
+ * @returns {Array<number>} The eight 16-bit groups
+ */
+function expandIpv6(address) {
+  let text = address;
+
+  // Dotted IPv4 tail (::ffff:1.2.3.4)
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const octets = dotted[1].split('.').map(Number);
+    text = text.slice(0, dotted.index) +
+      ((octets[0] << 8) | octets[1]).toString(16) + ':' + ((octets[2] << 8) | octets[3]).toString(16);
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * Create a host policy from options or environment variables
+ * @param {Object} [options] - Configuration options
+ * @param {Array<string>} [options.allowedHosts] - Allowlist (defaults to ALLOWED_HOSTS or GeForce NOW/NVIDIA)
+ * @param {Array<string>} [options.deniedHosts] - Denylist (defaults to DENIED_HOSTS)
+ * @param {boolean} [options.allowPrivate] - Allow private addresses (defaults to ALLOW_PRIVATE_TARGETS)
+ * @param {Array<string>} [options.additionalHosts] - Extra hosts to allow, such as the TARGET_URL host
+ * @returns {HostPolicy} Host policy
+ */
+function createHostPolicy(options = {}) {
+  const allowedHosts = options.allowedHosts || parseHostList(process.env.ALLOWED_HOSTS) || DEFAULT_ALLOWED_HOSTS;
+
+  return new HostPolicy({
+    allowedHosts: [...allowedHosts, ...(options.additionalHosts || [])],
+    deniedHosts: options.deniedHosts || parseHostList(process.env.DENIED_HOSTS) || [],
+    allowPrivate: options.allowPrivate !== undefined
+      ? options.allowPrivate
+      : process.env.ALLOW_PRIVATE_TARGETS === 'true'
+  });
+}
+
+/**
+ * @param {string} [value] - Comma-separated host list
+ * @returns {Array<string>|null} Lower-case hosts, or null if unset
+ */
+function parseHostList(value) {
+  if (!value) return null;
+  return value.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = {
+  HostPolicy,
+  HostPolicyError,
+  createHostPolicy,
+  isPrivateAddress,
+  DEFAULT_ALLOWED_HOSTS
+};
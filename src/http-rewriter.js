@@ -5,119 +5,983 @@
  */
 
 const cheerio = require('cheerio');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const MagicString = require('magic-string');
+const { createUrlCodec } = require('./url-codec');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('HTTP Rewriter');
+
+// Global name of the runtime helper that rewritten scripts call
+const JS_PROXY_HELPER = '__gfnProxy';
+
+// Codec used when a caller passes none, configured from the environment
+const DEFAULT_URL_CODEC = createUrlCodec();
 
 /**
  * Rewrite HTML content to proxy URLs
  * @param {string} html - The HTML content
  * @param {string} proxyBaseUrl - The proxy server base URL
  * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options
+ * @param {UrlCodec} [options.urlCodec] - Codec for proxy URLs (defaults to the environment's)
  * @returns {string} Rewritten HTML
  */
-function rewriteHtml(html, proxyBaseUrl, targetUrl) {
+function rewriteHtml(html, proxyBaseUrl, targetUrl, options = {}) {
   try {
     const $ = cheerio.load(html);
-    
+
+    // Relative URLs resolve against <base href> when the page has one
+    const baseHref = $('base[href]').first().attr('href');
+    const documentUrl = resolveBaseUrl(baseHref, targetUrl);
+    const rewrite = url => rewriteUrl(url, proxyBaseUrl, documentUrl, options);
+
     // Rewrite src attributes
     $('[src]').each((i, elem) => {
       const src = $(elem).attr('src');
       if (src) {
-        $(elem).attr('src', rewriteUrl(src, proxyBaseUrl, targetUrl));
+        $(elem).attr('src', rewrite(src));
       }
     });
     
-    // Rewrite href attributes
+    // Rewrite href attributes (including <base href>, which is resolved against the page URL)
     $('[href]').each((i, elem) => {
       const href = $(elem).attr('href');
       if (href && !href.startsWith('javascript:')) {
-        $(elem).attr('href', rewriteUrl(href, proxyBaseUrl, targetUrl));
+        const base = elem.tagName === 'base' ? targetUrl : documentUrl;
+        $(elem).attr('href', rewriteUrl(href, proxyBaseUrl, base, options));
       }
     });
-    
-    // Rewrite action attributes
-    $('[action]').each((i, elem) => {
-      const action = $(elem).attr('action');
-      if (action) {
-        $(elem).attr('action', rewriteUrl(action, proxyBaseUrl, targetUrl));
+
+    // Rewrite SVG xlink:href attributes
+    $('[xlink\\:href]').each((i, elem) => {
+      const href = $(elem).attr('xlink:href');
+      if (href) {
+        $(elem).attr('xlink:href', rewrite(href));
       }
     });
     
+    // Rewrite action, formaction and poster attributes
+    ['action', 'formaction', 'poster'].forEach(attr => {
+      $(`[${attr}]`).each((i, elem) => {
+        const value = $(elem).attr(attr);
+        if (value) {
+          $(elem).attr(attr, rewrite(value));
+        }
+      });
+    });
+
+    // Rewrite responsive image candidate lists
+    ['srcset', 'imagesrcset'].forEach(attr => {
+      $(`[${attr}]`).each((i, elem) => {
+        $(elem).attr(attr, rewriteSrcset($(elem).attr(attr), proxyBaseUrl, documentUrl, options));
+      });
+    });
+    
     // Rewrite data-* attributes that might contain URLs
     $('[data-url], [data-src], [data-href]').each((i, elem) => {
       ['data-url', 'data-src', 'data-href'].forEach(attr => {
         const value = $(elem).attr(attr);
         if (value) {
-          $(elem).attr(attr, rewriteUrl(value, proxyBaseUrl, targetUrl));
+          $(elem).attr(attr, rewrite(value));
         }
       });
     });
+
+    // Rewrite <meta http-equiv="refresh" content="5; url=...">
+    $('meta[http-equiv]').each((i, elem) => {
+      const httpEquiv = ($(elem).attr('http-equiv') || '').toLowerCase();
+      if (httpEquiv === 'refresh') {
+        $(elem).attr('content', rewriteRefresh($(elem).attr('content') || '', proxyBaseUrl, documentUrl, options));
+      } else if (httpEquiv === 'content-security-policy' || httpEquiv === 'content-security-policy-report-only') {
+        // The policy names upstream origins and would block the proxied page and injected scripts
+        $(elem).remove();
+      }
+    });
+
+    // Rewrite inline styles and <style> blocks
+    $('[style]').each((i, elem) => {
+      $(elem).attr('style', rewriteCss($(elem).attr('style'), proxyBaseUrl, documentUrl, options));
+    });
+    $('style').each((i, elem) => {
+      $(elem).text(rewriteCss($(elem).text(), proxyBaseUrl, documentUrl, options));
+    });
+
+    // Rewrite inline <script> bodies and import maps
+    $('script:not([src])').each((i, elem) => {
+      const type = ($(elem).attr('type') || '').trim().toLowerCase();
+      const code = $(elem).text();
+      if (!code.trim()) return;
+
+      if (type === 'importmap') {
+        $(elem).text(rewriteImportMap(code, proxyBaseUrl, documentUrl, options));
+      } else if (!type || type === 'module' || JAVASCRIPT_TYPES.includes(type)) {
+        $(elem).text(rewriteJavaScript(code, proxyBaseUrl, documentUrl, { ...options, sourceMap: false }));
+      }
+    });
+
+    // Rewrite iframe srcdoc documents, which inherit the page's base URL
+    $('iframe[srcdoc]').each((i, elem) => {
+      $(elem).attr('srcdoc', rewriteHtml($(elem).attr('srcdoc'), proxyBaseUrl, documentUrl, options));
+    });
+
+    // Subresource integrity hashes no longer match rewritten bodies, and
+    // nonces belong to a policy the proxy does not serve
+    $('[integrity]').removeAttr('integrity');
+    $('[nonce]').removeAttr('nonce');
     
     return $.html();
   } catch (error) {
-    console.error('Error rewriting HTML:', error);
+    logger.error('Error rewriting HTML', { url: targetUrl, error });
     return html;
   }
 }
 
 /**
- * Rewrite CSS content to proxy URLs
- * @param {string} css - The CSS content
+ * Rewrite every URL in a srcset attribute, keeping the descriptors
+ * @param {string} srcset - Image candidate list ("a.png 1x, b.png 2x")
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options, see rewriteHtml
+ * @returns {string} Rewritten srcset
+ */
+function rewriteSrcset(srcset, proxyBaseUrl, targetUrl, options = {}) {
+  const candidates = [];
+  let position = 0;
+
+  while (position < srcset.length) {
+    // Skip separators, then read the URL up to the next whitespace
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+    if (position >= srcset.length) break;
+
+    let end = position;
+    while (end < srcset.length && !/\s/.test(srcset[end])) end++;
+    let url = srcset.slice(position, end);
+    position = end;
+
+    // A URL directly followed by a comma has no descriptors
+    const trailingCommas = /,+$/.exec(url);
+    if (trailingCommas) {
+      url = url.slice(0, trailingCommas.index);
+      candidates.push(rewriteUrl(url, proxyBaseUrl, targetUrl, options));
+      continue;
+    }
+
+    // Descriptors run to the next comma outside parentheses
+    let depth = 0;
+    end = position;
+    while (end < srcset.length && (depth > 0 || srcset[end] !== ',')) {
+      if (srcset[end] === '(') depth++;
+      if (srcset[end] === ')') depth--;
+      end++;
+    }
+    const descriptors = srcset.slice(position, end).trim();
+    position = end + 1;
+
+    const rewritten = rewriteUrl(url, proxyBaseUrl, targetUrl, options);
+    candidates.push(descriptors ? `${rewritten} ${descriptors}` : rewritten);
+  }
+
+  return candidates.join(', ');
+}
+
+/**
+ * Rewrite the URL in a refresh value ("5; url=/next")
+ * @param {string} content - Refresh value
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options, see rewriteHtml
+ * @returns {string} Rewritten refresh value
+ */
+function rewriteRefresh(content, proxyBaseUrl, targetUrl, options = {}) {
+  const match = /^(\s*[\d.]+\s*[;,]?\s*)(url\s*=\s*)?(['"]?)(.*?)\3\s*$/i.exec(content);
+  if (!match || !match[4]) return content;
+
+  const [, delay, prefix = 'url=', quote, url] = match;
+  return `${delay}${prefix}${quote}${rewriteUrl(url, proxyBaseUrl, targetUrl, options)}${quote}`;
+}
+
+/**
+ * Rewrite the addresses in an import map, so bare specifiers resolve
+ * to proxied modules
+ * @param {string} json - Import map JSON
  * @param {string} proxyBaseUrl - The proxy server base URL
  * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options, see rewriteHtml
+ * @returns {string} Rewritten import map
+ */
+function rewriteImportMap(json, proxyBaseUrl, targetUrl, options = {}) {
+  try {
+    const map = JSON.parse(json);
+    const rewriteAddresses = (imports = {}) => Object.fromEntries(Object.entries(imports).map(
+      ([specifier, address]) => [specifier, typeof address === 'string' ? rewriteUrl(address, proxyBaseUrl, targetUrl, options) : address]
+    ));
+
+    if (map.imports) {
+      map.imports = rewriteAddresses(map.imports);
+    }
+    if (map.scopes) {
+      map.scopes = Object.fromEntries(Object.entries(map.scopes).map(
+        ([scope, imports]) => [rewriteUrl(scope, proxyBaseUrl, targetUrl, options), rewriteAddresses(imports)]
+      ));
+    }
+    return JSON.stringify(map);
+  } catch (error) {
+    return json;
+  }
+}
+
+/**
+ * Resolve a <base href> against the page URL
+ * @param {string} [baseHref] - Value of the page's <base href>
+ * @param {string} targetUrl - The original target URL
+ * @returns {string} URL that relative references resolve against
+ */
+function resolveBaseUrl(baseHref, targetUrl) {
+  if (!baseHref) return targetUrl;
+  try {
+    const url = new URL(baseHref, targetUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : targetUrl;
+  } catch (error) {
+    return targetUrl;
+  }
+}
+
+/**
+ * Rewrite CSS content to proxy URLs. The stylesheet is tokenized so that
+ * url(), @import strings and image-set() candidates are found without
+ * touching comments, and each rewritten URL keeps its original quoting.
+ * @param {string} css - The CSS content (a stylesheet or a style attribute)
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options, see rewriteHtml
  * @returns {string} Rewritten CSS
  */
-function rewriteCss(css, proxyBaseUrl, targetUrl) {
+function rewriteCss(css, proxyBaseUrl, targetUrl, options = {}) {
   try {
-    // Rewrite url() references
-    const urlPattern = /url\(['"]?([^)'"]+)['"]?\)/gi;
-    return css.replace(urlPattern, (match, url) => {
-      const rewritten = rewriteUrl(url, proxyBaseUrl, targetUrl);
-      return `url('${rewritten}')`;
-    });
+    const tokens = tokenizeCss(css);
+    const edits = [];
+    const functions = [];
+    let expectUrlString = false;
+    let atRule = null;
+
+    const rewriteString = (token) => {
+      const rewritten = rewriteUrl(token.value, proxyBaseUrl, targetUrl, options);
+      if (rewritten !== token.value) {
+        edits.push({ start: token.start, end: token.end, text: token.quote + escapeCssString(rewritten, token.quote) + token.quote });
+      }
+    };
+
+    for (const token of tokens) {
+      if (token.type === 'comment' || token.type === 'whitespace') continue;
+
+      switch (token.type) {
+        case 'at-keyword':
+          atRule = token.value.toLowerCase();
+          expectUrlString = atRule === 'import';
+          continue;
+        case 'url':
+          // @namespace URLs are identifiers, not resources
+          if (atRule !== 'namespace') {
+            const rewritten = rewriteUrl(token.value, proxyBaseUrl, targetUrl, options);
+            if (rewritten !== token.value) {
+              edits.push({ start: token.start, end: token.end, text: `url(${escapeCssUrl(rewritten)})` });
+            }
+          }
+          break;
+        case 'string':
+          if (expectUrlString || /^(-webkit-)?image-set$/.test(functions[functions.length - 1])) {
+            rewriteString(token);
+          }
+          break;
+        case 'function':
+          functions.push(token.value.toLowerCase());
+          expectUrlString = token.value.toLowerCase() === 'url' || token.value.toLowerCase() === 'src';
+          continue;
+        case '(':
+          functions.push('(');
+          break;
+        case ')':
+          functions.pop();
+          break;
+        case ';':
+        case '{':
+        case '}':
+          atRule = null;
+          break;
+      }
+      expectUrlString = false;
+    }
+
+    let result = '';
+    let position = 0;
+    for (const edit of edits) {
+      result += css.slice(position, edit.start) + edit.text;
+      position = edit.end;
+    }
+    return result + css.slice(position);
   } catch (error) {
-    console.error('Error rewriting CSS:', error);
+    logger.error('Error rewriting CSS', { url: targetUrl, error });
     return css;
   }
 }
 
 /**
- * Rewrite JavaScript content to proxy URLs in strings
+ * Split CSS into the tokens rewriteCss needs, following the CSS Syntax
+ * Level 3 rules for comments, strings, escapes and url() tokens. Numbers,
+ * hashes and the like come out as single-character delimiters.
+ * @param {string} css - The CSS content
+ * @returns {Array<Object>} Tokens with type, value, start and end offsets
+ */
+function tokenizeCss(css) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < css.length) {
+    const start = i;
+    const char = css[i];
+
+    if (char === '/' && css[i + 1] === '*') {
+      const close = css.indexOf('*/', i + 2);
+      i = close === -1 ? css.length : close + 2;
+      tokens.push({ type: 'comment', start, end: i });
+    } else if (/\s/.test(char)) {
+      while (i < css.length && /\s/.test(css[i])) i++;
+      tokens.push({ type: 'whitespace', start, end: i });
+    } else if (char === '"' || char === "'") {
+      const { value, end, bad } = consumeCssString(css, i + 1, char);
+      i = end;
+      tokens.push({ type: bad ? 'bad-string' : 'string', value, quote: char, start, end });
+    } else if (startsCssIdentifier(css, i)) {
+      const name = consumeCssName(css, i);
+      i = name.end;
+      if (css[i] === '(' && name.value.toLowerCase() === 'url' && !/^\s*['"]/.test(css.slice(i + 1, i + 64))) {
+        const url = consumeCssUrl(css, i + 1);
+        i = url.end;
+        tokens.push({ type: url.bad ? 'bad-url' : 'url', value: url.value, start, end: i });
+      } else if (css[i] === '(') {
+        i++;
+        tokens.push({ type: 'function', value: name.value, start, end: i });
+      } else {
+        tokens.push({ type: 'ident', value: name.value, start, end: i });
+      }
+    } else if (char === '@' && startsCssIdentifier(css, i + 1)) {
+      const name = consumeCssName(css, i + 1);
+      i = name.end;
+      tokens.push({ type: 'at-keyword', value: name.value, start, end: i });
+    } else {
+      i++;
+      tokens.push({ type: '();{}'.includes(char) ? char : 'delim', value: char, start, end: i });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Consume a quoted string body (after the opening quote)
+ * @param {string} css - The CSS content
+ * @param {number} i - Offset after the opening quote
+ * @param {string} quote - Quote character
+ * @returns {Object} { value, end, bad } with escapes decoded
+ */
+function consumeCssString(css, i, quote) {
+  let value = '';
+
+  while (i < css.length) {
+    const char = css[i];
+    if (char === quote) {
+      return { value, end: i + 1, bad: false };
+    }
+    if (char === '\n') {
+      // Unescaped newline: a bad string that ends before the newline
+      return { value, end: i, bad: true };
+    }
+    if (char === '\\') {
+      if (css[i + 1] === '\n') {
+        i += 2;
+      } else if (i + 1 >= css.length) {
+        i++;
+      } else {
+        const escape = consumeCssEscape(css, i + 1);
+        value += escape.value;
+        i = escape.end;
+      }
+      continue;
+    }
+    value += char;
+    i++;
+  }
+
+  return { value, end: i, bad: false };
+}
+
+/**
+ * Consume an unquoted url( ) body (after the opening parenthesis)
+ * @param {string} css - The CSS content
+ * @param {number} i - Offset after "url("
+ * @returns {Object} { value, end, bad }
+ */
+function consumeCssUrl(css, i) {
+  let value = '';
+  while (i < css.length && /\s/.test(css[i])) i++;
+
+  while (i < css.length) {
+    const char = css[i];
+    if (char === ')') {
+      return { value, end: i + 1, bad: false };
+    }
+    if (/\s/.test(char)) {
+      while (i < css.length && /\s/.test(css[i])) i++;
+      if (css[i] === ')' || i >= css.length) {
+        return { value, end: Math.min(i + 1, css.length), bad: false };
+      }
+      break;
+    }
+    if (char === '"' || char === "'" || char === '(') {
+      break;
+    }
+    if (char === '\\') {
+      if (css[i + 1] === '\n') break;
+      const escape = consumeCssEscape(css, i + 1);
+      value += escape.value;
+      i = escape.end;
+      continue;
+    }
+    value += char;
+    i++;
+  }
+
+  if (i >= css.length) {
+    return { value, end: i, bad: false };
+  }
+
+  // Bad url: skip to the closing parenthesis, honoring escapes
+  while (i < css.length && css[i] !== ')') {
+    i += css[i] === '\\' ? 2 : 1;
+  }
+  return { value, end: Math.min(i + 1, css.length), bad: true };
+}
+
+/**
+ * Consume an identifier
+ * @param {string} css - The CSS content
+ * @param {number} i - Offset of the first character
+ * @returns {Object} { value, end } with escapes decoded
+ */
+function consumeCssName(css, i) {
+  let value = '';
+
+  while (i < css.length) {
+    const char = css[i];
+    if (/[a-zA-Z0-9_-]/.test(char) || char.charCodeAt(0) >= 0x80) {
+      value += char;
+      i++;
+    } else if (char === '\\' && css[i + 1] !== '\n' && i + 1 < css.length) {
+      const escape = consumeCssEscape(css, i + 1);
+      value += escape.value;
+      i = escape.end;
+    } else {
+      break;
+    }
+  }
+
+  return { value, end: i };
+}
+
+/**
+ * Consume an escape sequence (after the backslash)
+ * @param {string} css - The CSS content
+ * @param {number} i - Offset after the backslash
+ * @returns {Object} { value, end }
+ */
+function consumeCssEscape(css, i) {
+  const hex = /^[0-9a-fA-F]{1,6}/.exec(css.slice(i, i + 6));
+  if (!hex) {
+    return { value: css[i], end: i + 1 };
+  }
+
+  let end = i + hex[0].length;
+  if (css[end] === '\r' && css[end + 1] === '\n') {
+    end += 2;
+  } else if (/\s/.test(css[end] || '')) {
+    end++;
+  }
+
+  const codePoint = parseInt(hex[0], 16);
+  const valid = codePoint > 0 && codePoint <= 0x10ffff && !(codePoint >= 0xd800 && codePoint <= 0xdfff);
+  return { value: String.fromCodePoint(valid ? codePoint : 0xfffd), end };
+}
+
+/**
+ * @param {string} css - The CSS content
+ * @param {number} i - Offset
+ * @returns {boolean} True if an identifier starts at the offset
+ */
+function startsCssIdentifier(css, i) {
+  const isNameStart = char => char !== undefined && (/[a-zA-Z_]/.test(char) || char.charCodeAt(0) >= 0x80);
+  const isEscape = offset => css[offset] === '\\' && offset + 1 < css.length && css[offset + 1] !== '\n';
+
+  if (css[i] === '-') {
+    return isNameStart(css[i + 1]) || css[i + 1] === '-' || isEscape(i + 1);
+  }
+  return isNameStart(css[i]) || isEscape(i);
+}
+
+/**
+ * @param {string} value - String contents
+ * @param {string} quote - Quote character the string uses
+ * @returns {string} Contents escaped for a CSS string
+ */
+function escapeCssString(value, quote) {
+  return value.replace(new RegExp(`[\\\\${quote}\\n]`, 'g'), char => (char === '\n' ? '\\a ' : `\\${char}`));
+}
+
+/**
+ * @param {string} value - URL
+ * @returns {string} URL escaped for an unquoted url( ) token
+ */
+function escapeCssUrl(value) {
+  return value.replace(/[\\'"()\s]/g, char => (/\s/.test(char) ? `\\${char.charCodeAt(0).toString(16)} ` : `\\${char}`));
+}
+
+/**
+ * Rewrite JavaScript content so URL-bearing call sites go through the proxy.
+ * fetch(), new WebSocket(), import() and friends have their URL argument
+ * wrapped in a runtime helper; static import specifiers are rewritten
+ * in place. If the code does not parse, it is returned unchanged.
  * @param {string} js - The JavaScript content
  * @param {string} proxyBaseUrl - The proxy server base URL
  * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options
+ * @param {boolean} [options.sourceMap=true] - Point sourceMappingURL at the proxy's composed map
+ * @param {UrlCodec} [options.urlCodec] - Codec for proxy URLs (defaults to the environment's)
  * @returns {string} Rewritten JavaScript
  */
-function rewriteJavaScript(js, proxyBaseUrl, targetUrl) {
+function rewriteJavaScript(js, proxyBaseUrl, targetUrl, options = {}) {
+  const { sourceMap = true } = options;
+
   try {
-    // Basic rewriting of fetch/XMLHttpRequest URLs
-    // This is a simple implementation and may need enhancement
-    const stringPattern = /['"]((https?:)?\/\/[^'"]+)['"]|['"](\/[^'"]+)['"]|['"]([^'"\/][^'"]*(?:api|endpoint)[^'"]*)['"]'/gi;
-    
-    return js.replace(stringPattern, (match, fullUrl, protocol, relativePath, apiPath) => {
-      const urlToRewrite = fullUrl || relativePath || apiPath;
-      if (urlToRewrite) {
-        const rewritten = rewriteUrl(urlToRewrite, proxyBaseUrl, targetUrl);
-        return match.replace(urlToRewrite, rewritten);
-      }
-      return match;
-    });
+    const result = transformJavaScript(js, proxyBaseUrl, targetUrl, options);
+    if (!result) {
+      return sourceMap ? proxySourceMappingUrl(js, proxyBaseUrl, targetUrl, options) : js;
+    }
+
+    const { magic, sourceMapComment } = result;
+    if (sourceMapComment) {
+      magic.remove(sourceMapComment.start, sourceMapComment.end);
+    }
+    if (sourceMap) {
+      magic.append(`\n//# sourceMappingURL=${proxyBaseUrl}/sourcemap?url=${encodeURIComponent(targetUrl)}\n`);
+    }
+    return magic.toString();
   } catch (error) {
-    console.error('Error rewriting JavaScript:', error);
+    logger.error('Error rewriting JavaScript', { url: targetUrl, error });
     return js;
   }
 }
 
+/**
+ * Generate the source map for rewriteJavaScript's output, mapping the
+ * rewritten code back to the original file
+ * @param {string} js - The original JavaScript content
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options, see rewriteHtml
+ * @returns {Object|null} Source map, or null if the code does not parse
+ */
+function generateJavaScriptSourceMap(js, proxyBaseUrl, targetUrl, options = {}) {
+  const result = transformJavaScript(js, proxyBaseUrl, targetUrl, options);
+  if (!result) return null;
+
+  const { magic, sourceMapComment } = result;
+  if (sourceMapComment) {
+    magic.remove(sourceMapComment.start, sourceMapComment.end);
+  }
+
+  const map = magic.generateMap({ source: targetUrl, includeContent: true, hires: true });
+  return { ...JSON.parse(map.toString()), file: targetUrl };
+}
+
+/**
+ * Find the URL of the original source map, from a sourceMappingURL comment
+ * @param {string} js - The JavaScript content
+ * @param {string} targetUrl - URL the script was fetched from
+ * @returns {string|null} Absolute or data: URL of the source map
+ */
+function findSourceMappingUrl(js, targetUrl) {
+  const match = SOURCE_MAPPING_URL_PATTERN.exec(js);
+  if (!match) return null;
+
+  const url = match[1];
+  return url.startsWith('data:') ? url : new URL(url, targetUrl).href;
+}
+
+const SOURCE_MAPPING_URL_PATTERN = /\/\/[#@][ \t]*sourceMappingURL=(\S+)[ \t]*\s*$/;
+
+// Call sites whose first argument is a URL to proxy
+const URL_CALLEES = [
+  'fetch', 'window.fetch', 'self.fetch', 'globalThis.fetch',
+  'window.open', 'self.open', 'globalThis.open',
+  'navigator.sendBeacon', 'window.navigator.sendBeacon',
+  'location.assign', 'location.replace',
+  'window.location.assign', 'window.location.replace',
+  'document.location.assign', 'document.location.replace'
+];
+
+// Constructors whose first argument is a URL to proxy
+const URL_CONSTRUCTORS = ['EventSource', 'Worker', 'SharedWorker', 'window.EventSource', 'window.Worker'];
+const WEBSOCKET_CONSTRUCTORS = ['WebSocket', 'window.WebSocket', 'self.WebSocket', 'globalThis.WebSocket'];
+
+// Assignment targets that navigate the page
+const LOCATION_TARGETS = [
+  'location', 'location.href',
+  'window.location', 'window.location.href',
+  'document.location', 'document.location.href',
+  'self.location', 'self.location.href',
+  'top.location', 'top.location.href',
+  'parent.location', 'parent.location.href'
+];
+
+// Response headers never passed to the browser: the body is re-encoded,
+// and these policies would block the page under the proxy origin or in an iframe
+const DROPPED_RESPONSE_HEADERS = [
+  'content-length',
+  'content-encoding',
+  'content-security-policy',
+  'content-security-policy-report-only',
+  'x-content-security-policy',
+  'x-webkit-csp',
+  'x-frame-options',
+  'strict-transport-security',
+  'public-key-pins',
+  'expect-ct',
+  'alt-svc',
+  'sourcemap',
+  'x-sourcemap'
+];
+
+// Inline <script> types that hold JavaScript
+const JAVASCRIPT_TYPES = [
+  'text/javascript', 'application/javascript', 'application/x-javascript',
+  'text/ecmascript', 'application/ecmascript'
+];
+
+const HTTP_METHOD_PATTERN = /^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)$/i;
+
+/**
+ * Parse JavaScript and collect the edits needed to proxy its URLs
+ * @param {string} js - The JavaScript content
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options, see rewriteHtml
+ * @returns {Object|null} { magic, sourceMapComment }, or null if the code does not parse
+ */
+function transformJavaScript(js, proxyBaseUrl, targetUrl, options = {}) {
+  const ast = parseJavaScript(js);
+  if (!ast) return null;
+
+  const magic = new MagicString(js);
+  const helper = JS_PROXY_HELPER;
+  const wrap = (node, method) => {
+    if (!node || node.type === 'SpreadElement') return;
+    magic.prependRight(node.start, `${helper}.${method}(`);
+    magic.appendLeft(node.end, ')');
+  };
+  const rewriteSpecifier = (source) => {
+    if (!source || typeof source.value !== 'string' || !/^(\.{0,2}\/|https?:)/i.test(source.value)) return;
+    magic.overwrite(source.start, source.end, JSON.stringify(rewriteUrl(source.value, proxyBaseUrl, targetUrl, options)));
+  };
+
+  // Reads of location go through the client runtime's look-alike, which
+  // reports the original URL. This runs first so these wraps end up innermost.
+  walk.ancestor(ast, {
+    Identifier(node, state, ancestors) {
+      const parent = ancestors[ancestors.length - 2];
+      if (node.name !== 'location' || isWriteTarget(node, parent)) return;
+      if (parent && parent.type === 'Property' && parent.shorthand) return;
+      wrap(node, 'loc');
+    },
+    MemberExpression(node, state, ancestors) {
+      const parent = ancestors[ancestors.length - 2];
+      const path = memberPath(node);
+      if (!path || !path.endsWith('.location') || !LOCATION_TARGETS.includes(path)) return;
+      if (isWriteTarget(node, parent)) return;
+      wrap(node, 'loc');
+    }
+  });
+
+  walk.simple(ast, {
+    CallExpression(node) {
+      const callee = memberPath(node.callee);
+      const method = node.callee.type === 'MemberExpression' ? propertyName(node.callee) : null;
+
+      if (URL_CALLEES.includes(callee)) {
+        wrap(node.arguments[0], 'url');
+      } else if (callee === 'importScripts' || callee === 'self.importScripts') {
+        node.arguments.forEach(arg => wrap(arg, 'url'));
+      } else if (method === 'open' && node.arguments.length >= 2 && isHttpMethodLiteral(node.arguments[0])) {
+        // xhr.open('GET', url)
+        wrap(node.arguments[1], 'url');
+      } else if (method === 'postMessage' && node.arguments.length >= 2) {
+        wrap(node.arguments[1], 'origin');
+      }
+    },
+    NewExpression(node) {
+      const callee = memberPath(node.callee);
+      if (WEBSOCKET_CONSTRUCTORS.includes(callee)) {
+        wrap(node.arguments[0], 'ws');
+      } else if (URL_CONSTRUCTORS.includes(callee)) {
+        wrap(node.arguments[0], 'url');
+      }
+    },
+    ImportExpression(node) {
+      wrap(node.source, 'url');
+    },
+    ImportDeclaration(node) {
+      rewriteSpecifier(node.source);
+    },
+    ExportNamedDeclaration(node) {
+      rewriteSpecifier(node.source);
+    },
+    ExportAllDeclaration(node) {
+      rewriteSpecifier(node.source);
+    },
+    AssignmentExpression(node) {
+      if (node.operator === '=' && LOCATION_TARGETS.includes(memberPath(node.left))) {
+        wrap(node.right, 'url');
+      }
+    }
+  });
+
+  // The helper goes after any hashbang and directive prologue ('use strict').
+  // It is attached to the code before it, so wraps starting at the same
+  // offset stay intact after it.
+  let insertAt = js.startsWith('#!') ? js.indexOf('\n') + 1 : 0;
+  for (const statement of ast.body) {
+    if (!statement.directive) break;
+    insertAt = statement.end;
+  }
+  magic.prependLeft(insertAt, generateJavaScriptHelper(proxyBaseUrl, targetUrl, options.urlCodec || DEFAULT_URL_CODEC));
+
+  const match = SOURCE_MAPPING_URL_PATTERN.exec(js);
+  const sourceMapComment = match ? { start: match.index, end: match.index + match[0].length } : null;
+
+  return { magic, sourceMapComment };
+}
+
+/**
+ * Parse as an ES module, falling back to a classic script
+ * @param {string} js - The JavaScript content
+ * @returns {Object|null} ESTree program, or null on syntax error
+ */
+function parseJavaScript(js) {
+  const options = {
+    ecmaVersion: 'latest',
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true
+  };
+
+  for (const sourceType of ['module', 'script']) {
+    try {
+      return acorn.parse(js, { ...options, sourceType });
+    } catch (error) {
+      // Try the next source type
+    }
+  }
+  return null;
+}
+
+/**
+ * Runtime helper prepended to rewritten scripts. Resolves URLs against the
+ * page's original location and encodes them into proxy form; it is only
+ * defined once per global scope. In pages the client runtime
+ * (src/client-runtime.js) defines a fuller version first.
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The original target URL (fallback base)
+ * @param {UrlCodec} urlCodec - Codec for proxy URLs
+ * @returns {string} Single-line helper code
+ */
+function generateJavaScriptHelper(proxyBaseUrl, targetUrl, urlCodec) {
+  return `;(function(g){if(g.${JS_PROXY_HELPER})return;` +
+    `var B=${JSON.stringify(proxyBaseUrl)},W=B.replace(/^http/,'ws'),T=${JSON.stringify(targetUrl)};` +
+    `var C=${urlCodec.clientSource()};` +
+    'function base(){try{var u=new URL(g.location.href);if(u.origin===new URL(B).origin){return C.decode(u.pathname+u.search+u.hash)||T}}catch(e){}return T}' +
+    'function abs(u){try{return new URL(String(u),base()).href}catch(e){return null}}' +
+    `g.${JS_PROXY_HELPER}={` +
+    'url:function(u){if(u==null||(typeof u==="object"&&!(u instanceof URL)))return u;var s=String(u);' +
+    'if(s.indexOf(B)===0||/^(data|blob|javascript|about):/i.test(s))return u;' +
+    'var a=abs(s);return a&&/^https?:/i.test(a)?B+C.encode(a):u},' +
+    'ws:function(u){var s=String(u);if(s.indexOf(W)===0)return u;var a=abs(s);' +
+    'return a?W+"/ws-relay?url="+encodeURIComponent(a.replace(/^http/i,"ws")):u},' +
+    'origin:function(o){if(typeof o!=="string"||o==="*"||o==="/")return o;' +
+    'try{return new URL(o).origin===new URL(base()).origin?new URL(B).origin:o}catch(e){return o}},' +
+    'loc:function(l){return l}' +
+    '};})(typeof globalThis!=="undefined"?globalThis:self);';
+}
+
+/**
+ * Point an existing sourceMappingURL comment through the proxy, for code
+ * that could not be parsed and is served unchanged
+ * @param {string} js - The JavaScript content
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options, see rewriteHtml
+ * @returns {string} JavaScript with the comment rewritten
+ */
+function proxySourceMappingUrl(js, proxyBaseUrl, targetUrl, options = {}) {
+  return js.replace(SOURCE_MAPPING_URL_PATTERN, (match, url) => {
+    if (url.startsWith('data:')) return match;
+    return match.replace(url, rewriteUrl(url, proxyBaseUrl, targetUrl, options));
+  });
+}
+
+/**
+ * Whether a reference is assigned (directly or as a destructuring target),
+ * updated or exported by name, so that wrapping it in a call would be a
+ * syntax error. acorn-walk passes object pattern values to the visitor
+ * without their Property node, so the parent is then the ObjectPattern.
+ * @param {Object} node - ESTree node
+ * @param {Object} [parent] - Parent node
+ * @returns {boolean} True if the node must stay a plain reference
+ */
+function isWriteTarget(node, parent) {
+  if (!parent) return false;
+  switch (parent.type) {
+    case 'AssignmentExpression':
+    case 'AssignmentPattern':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      return parent.left === node;
+    case 'ArrayPattern':
+      return parent.elements.includes(node);
+    case 'ObjectPattern':
+      return parent.properties.some(property => property.value === node || property.argument === node);
+    case 'RestElement':
+    case 'UpdateExpression':
+      return parent.argument === node;
+    case 'ExportSpecifier':
+      return parent.local === node;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Dotted name of an identifier or non-computed member chain
+ * (`window.location.href`), or null for anything dynamic
+ * @param {Object} node - ESTree node
+ * @returns {string|null} Dotted path
+ */
+function memberPath(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'ChainExpression') return memberPath(node.expression);
+  if (node.type === 'MemberExpression') {
+    const object = memberPath(node.object);
+    const property = propertyName(node);
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+/**
+ * Static property name of a member expression (`a.b` or `a['b']`)
+ * @param {Object} node - MemberExpression node
+ * @returns {string|null} Property name
+ */
+function propertyName(node) {
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  if (node.computed && node.property.type === 'Literal' && typeof node.property.value === 'string') {
+    return node.property.value;
+  }
+  return null;
+}
+
+/**
+ * @param {Object} node - ESTree node
+ * @returns {boolean} True for a string literal naming an HTTP method
+ */
+function isHttpMethodLiteral(node) {
+  return node.type === 'Literal' && typeof node.value === 'string' && HTTP_METHOD_PATTERN.test(node.value);
+}
+
+/**
+ * Rewrite upstream response headers for the proxied origin. URL-bearing
+ * headers are passed through rewriteUrl, and headers that would stop the
+ * page from working under the proxy origin or inside the loader's iframe
+ * are dropped or relaxed. Content-Length and Content-Encoding are dropped
+ * as well, since the body is decoded and may be rewritten.
+ * @param {Object} headers - Upstream response headers (lower-case names)
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The URL the response came from
+ * @param {Object} [options] - Rewrite options
+ * @param {string} [options.requestOrigin] - Origin header of the browser's request
+ * @param {UrlCodec} [options.urlCodec] - Codec for proxy URLs (defaults to the environment's)
+ * @returns {Object} Headers to send to the browser
+ */
+function rewriteResponseHeaders(headers, proxyBaseUrl, targetUrl, options = {}) {
+  const result = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined || value === null || DROPPED_RESPONSE_HEADERS.includes(name)) continue;
+
+    switch (name) {
+      case 'location':
+      case 'content-location':
+        result[name] = rewriteUrl(String(value), proxyBaseUrl, targetUrl, options);
+        break;
+      case 'refresh':
+        result[name] = rewriteRefresh(String(value), proxyBaseUrl, targetUrl, options);
+        break;
+      case 'link':
+        result[name] = String(value).replace(/<([^>]*)>/g, (match, url) => `<${rewriteUrl(url.trim(), proxyBaseUrl, targetUrl, options)}>`);
+        break;
+      case 'access-control-allow-origin':
+        // A specific upstream origin would never match the proxy's
+        result[name] = value === '*' ? value : (options.requestOrigin || new URL(proxyBaseUrl).origin);
+        break;
+      default:
+        result[name] = value;
+    }
+  }
+
+  if (result['access-control-allow-origin'] && result['access-control-allow-origin'] !== '*') {
+    const vary = result.vary ? String(result.vary) : '';
+    if (!/(^|,)\s*(origin|\*)\s*(,|$)/i.test(vary)) {
+      result.vary = vary ? `${vary}, Origin` : 'Origin';
+    }
+  }
+
+  return result;
+}
+
 /**
  * Helper function to rewrite a single URL
  * @param {string} url - The URL to rewrite
  * @param {string} proxyBaseUrl - The proxy server base URL
  * @param {string} targetUrl - The original target URL
+ * @param {Object} [options] - Rewrite options
+ * @param {UrlCodec} [options.urlCodec] - Codec for proxy URLs (defaults to the environment's)
  * @returns {string} Rewritten URL
  */
-function rewriteUrl(url, proxyBaseUrl, targetUrl) {
+function rewriteUrl(url, proxyBaseUrl, targetUrl, options = {}) {
+  const urlCodec = options.urlCodec || DEFAULT_URL_CODEC;
+
   // Skip empty URLs, anchors, and javascript: URLs
   if (!url || url === '#' || url.startsWith('javascript:')) {
     return url;
   }
+
+  // Leave other schemes (data:, blob:, mailto:, ...) alone
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  if (scheme && !/^https?$/i.test(scheme[1])) {
+    return url;
+  }
   
   // Already proxied
   if (url.startsWith(proxyBaseUrl)) {
@@ -126,26 +990,25 @@ function rewriteUrl(url, proxyBaseUrl, targetUrl) {
   
   // Absolute URLs (http/https)
   if (url.startsWith('http://') || url.startsWith('https://')) {
-    return `${proxyBaseUrl}/proxy?url=${encodeURIComponent(url)}`;
+    return urlCodec.encode(url, proxyBaseUrl);
   }
   
   // Protocol-relative URLs
   if (url.startsWith('//')) {
-    return `${proxyBaseUrl}/proxy?url=${encodeURIComponent('https:' + url)}`;
+    return urlCodec.encode('https:' + url, proxyBaseUrl);
   }
   
   // Relative URLs
   if (url.startsWith('/')) {
     const targetBase = new URL(targetUrl);
     const absoluteUrl = `${targetBase.protocol}//${targetBase.host}${url}`;
-    return `${proxyBaseUrl}/proxy?url=${encodeURIComponent(absoluteUrl)}`;
+    return urlCodec.encode(absoluteUrl, proxyBaseUrl);
   }
   
   // Relative paths (relative to current page)
   if (!url.startsWith('#')) {
-    const targetBase = new URL(targetUrl);
     const absoluteUrl = new URL(url, targetUrl).href;
-    return `${proxyBaseUrl}/proxy?url=${encodeURIComponent(absoluteUrl)}`;
+    return urlCodec.encode(absoluteUrl, proxyBaseUrl);
   }
   
   return url;
@@ -155,5 +1018,8 @@ module.exports = {
   rewriteHtml,
   rewriteCss,
   rewriteJavaScript,
+  rewriteResponseHeaders,
+  generateJavaScriptSourceMap,
+  findSourceMappingUrl,
   rewriteUrl
 };
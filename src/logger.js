@@ -0,0 +1,446 @@
+/**
+ * Logger Module
+ * Structured JSON logging with levels, per-request correlation and
+ * automatic redaction of cookies, credentials, session IDs and query
+ * tokens. Log calls made while handling a request carry its request ID
+ * and session without having to pass them along.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REDACTED = '[REDACTED]';
+// Marker for redacted query values, which stays readable when URL-encoded
+const REDACTED_PARAM = 'REDACTED';
+
+// Field names whose values are never logged
+const SECRET_FIELD = /cookie|authorization|password|secret|token|credential|api[-_]?key/i;
+// Query parameters that carry credentials in URLs
+const SECRET_PARAM = /^(?:.*token.*|.*secret.*|.*password.*|.*session.*|auth|authorization|code|key|api[-_]?key|sig|signature|x-amz-signature|x-amz-credential|jwt|credential)$/i;
+// Client-supplied request IDs are reused only if they are short and plain
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+const URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>]+/gi;
+const SESSION_KEY_PATTERN = /\bsession:([\w-]{8,})/g;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Logger Class
+ * Writes one JSON object per line: time, level, module, msg, the request
+ * context and any fields passed to the call.
+ */
+class Logger {
+  constructor(options = {}) {
+    this.options = {
+      level: options.level || process.env.LOG_LEVEL || 'info',
+      // 'json' (default) or 'text' for reading logs in a terminal
+      format: options.format || process.env.LOG_FORMAT || 'json',
+      stream: options.stream || process.stdout
+    };
+    this.bindings = options.bindings || {};
+  }
+
+  /**
+   * Logger with extra fields added to every entry. It shares this
+   * logger's options, so configure() on either affects both.
+   * @param {Object} bindings - Fields, e.g. { module: 'Storage' }
+   * @returns {Logger} Child logger
+   */
+  child(bindings) {
+    const child = new Logger({ bindings: { ...this.bindings, ...bindings } });
+    child.options = this.options;
+    return child;
+  }
+
+  /**
+   * Change the level or format
+   * @param {Object} options - { level, format }
+   */
+  configure(options) {
+    for (const name of ['level', 'format']) {
+      if (options[name] !== undefined) {
+        this.options[name] = options[name];
+      }
+    }
+  }
+
+  /**
+   * @param {string} level - Level name
+   * @returns {boolean} True if entries at that level are written
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= (LEVELS[this.options.level] || LEVELS.info);
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   * @param {string} message - Message
+   * @param {Object} [fields] - Extra fields; Error values are serialized
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      ...this.bindings,
+      msg: message,
+      ...currentContext(),
+      ...fields
+    });
+
+    this.options.stream.write(`${this.options.format === 'text' ? formatText(entry) : safeStringify(entry)}\n`);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {Object} [fields] - Extra fields
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {Object} [fields] - Extra fields
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {Object} [fields] - Extra fields
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {Object} [fields] - Extra fields
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+const rootLogger = new Logger();
+
+/**
+ * Logger for a module
+ * @param {string} name - Module name, e.g. 'WebSocket Relay'
+ * @returns {Logger} Logger
+ */
+function createLogger(name) {
+  return rootLogger.child({ module: name });
+}
+
+/**
+ * Change the level or format of every module's logger
+ * @param {Object} options - { level, format }
+ */
+function configureLogging(options) {
+  rootLogger.configure(options);
+}
+
+/**
+ * Express middleware giving each request an ID, reusing a valid
+ * X-Request-Id from the client. The ID is returned in the response,
+ * available as req.id and included in every log entry made while the
+ * request is handled.
+ * @returns {Function} Middleware
+ */
+function requestContext() {
+  return (req, res, next) => {
+    req.id = resolveRequestId(req.headers);
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    // Read lazily: the session and login are attached by later middleware
+    const store = {
+      requestId: req.id,
+      get sessionId() {
+        return req.sessionID;
+      },
+      get user() {
+        const state = req.getAuthState ? req.getAuthState() : null;
+        return state && state.isAuthenticated && state.user ? state.user.username || state.user : undefined;
+      }
+    };
+
+    context.run(store, next);
+  };
+}
+
+/**
+ * Run a function with a log context, for work that does not pass through
+ * Express such as WebSocket upgrades
+ * @param {Object} store - Context fields, e.g. { requestId, sessionId }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+function runWithContext(store, fn) {
+  return context.run(store, fn);
+}
+
+/**
+ * @returns {string|undefined} ID of the request being handled
+ */
+function currentRequestId() {
+  const store = context.getStore();
+  return store ? store.requestId : undefined;
+}
+
+/**
+ * @returns {string|undefined} Session of the request being handled
+ */
+function currentSessionId() {
+  const store = context.getStore();
+  return store ? store.sessionId : undefined;
+}
+
+/**
+ * Request ID from the headers, or a new one
+ * @param {Object} headers - Request headers
+ * @returns {string} Request ID
+ */
+function resolveRequestId(headers) {
+  const incoming = headers[REQUEST_ID_HEADER.toLowerCase()];
+  return typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * Install an axios interceptor that sends the current request ID upstream
+ * @param {Object} axiosInstance - axios or an axios instance
+ */
+function propagateRequestId(axiosInstance) {
+  axiosInstance.interceptors.request.use(config => {
+    const requestId = currentRequestId();
+    if (requestId) {
+      config.headers[REQUEST_ID_HEADER] = requestId;
+    }
+    return config;
+  });
+}
+
+/**
+ * Stable, non-reversible reference to a session for logs. The session ID
+ * is a bearer credential, so it is never logged itself.
+ * @param {string} sessionId - Session ID
+ * @returns {string|undefined} Reference
+ */
+function sessionRef(sessionId) {
+  if (!sessionId) return undefined;
+  return crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Current context as plain fields
+ * @returns {Object} { requestId, sessionId, user }
+ */
+function currentContext() {
+  const store = context.getStore();
+  if (!store) return {};
+
+  const fields = {};
+  for (const name of ['requestId', 'sessionId', 'user']) {
+    if (store[name] !== undefined) {
+      fields[name] = store[name];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Redact a value for logging: secret fields are replaced, session IDs are
+ * hashed and credentials in URLs are removed
+ * @param {*} value - Value
+ * @param {string} [key] - Field name the value is stored under
+ * @param {number} [depth] - Nesting depth
+ * @returns {*} Redacted copy
+ */
+function redact(value, key = '', depth = 0) {
+  if (value === undefined || value === null) return value;
+  if (key === 'sessionId') return sessionRef(value);
+  if (key && SECRET_FIELD.test(key)) return REDACTED;
+
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code }, key, depth);
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 4) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, '', depth + 1));
+  }
+
+  const result = {};
+  for (const [name, item] of Object.entries(value)) {
+    if (item !== undefined) {
+      result[name] = redact(item, name, depth + 1);
+    }
+  }
+  return result;
+}
+
+/**
+ * Remove credentials from the URLs in a string and hash session-based
+ * rate limit keys
+ * @param {string} text - Text
+ * @returns {string} Redacted text
+ */
+function redactString(text) {
+  return text
+    .replace(URL_PATTERN, redactUrl)
+    .replace(SESSION_KEY_PATTERN, (match, sessionId) => `session:${sessionRef(sessionId)}`);
+}
+
+/**
+ * Remove credentials from a URL: userinfo and secret query parameters
+ * @param {string} url - URL
+ * @returns {string} Redacted URL
+ */
+function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  let changed = false;
+  if (parsed.username || parsed.password) {
+    parsed.username = '';
+    parsed.password = '';
+    changed = true;
+  }
+  for (const name of Array.from(parsed.searchParams.keys())) {
+    if (SECRET_PARAM.test(name)) {
+      parsed.searchParams.set(name, REDACTED_PARAM);
+      changed = true;
+    }
+  }
+  return changed ? parsed.toString() : url;
+}
+
+/**
+ * Redact credentials from a request path with a query string
+ * @param {string} path - Path such as req.originalUrl
+ * @returns {string} Redacted path
+ */
+function redactPath(path) {
+  const index = path.indexOf('?');
+  if (index === -1) return path;
+
+  const params = new URLSearchParams(path.slice(index + 1));
+  for (const name of Array.from(params.keys())) {
+    if (SECRET_PARAM.test(name)) {
+      params.set(name, REDACTED_PARAM);
+    }
+  }
+  return `${path.slice(0, index)}?${params.toString()}`;
+}
+
+/**
+ * Redact the secret fields of a form or JSON body, matched by the same
+ * names as secret log fields and query parameters
+ * @param {string} text - Body text
+ * @param {string} contentType - Content-Type of the body
+ * @returns {string} Redacted body; the original text if nothing was secret
+ */
+function redactBody(text, contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const isSecret = name => SECRET_FIELD.test(name) || SECRET_PARAM.test(name);
+  let changed = false;
+
+  if (type === 'application/x-www-form-urlencoded') {
+    const params = new URLSearchParams(text);
+    for (const name of Array.from(params.keys())) {
+      if (isSecret(name)) {
+        params.set(name, REDACTED_PARAM);
+        changed = true;
+      }
+    }
+    return changed ? params.toString() : text;
+  }
+
+  if (type === 'application/json' || type.endsWith('+json')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+    const walk = (value) => {
+      if (!value || typeof value !== 'object') return value;
+      if (Array.isArray(value)) return value.map(walk);
+      const result = {};
+      for (const [name, item] of Object.entries(value)) {
+        if (isSecret(name) && item !== null) {
+          result[name] = REDACTED;
+          changed = true;
+        } else {
+          result[name] = walk(item);
+        }
+      }
+      return result;
+    };
+    const redacted = walk(parsed);
+    return changed ? JSON.stringify(redacted) : text;
+  }
+
+  return text;
+}
+
+/**
+ * Format an entry as a line of text
+ * @param {Object} entry - Redacted entry
+ * @returns {string} Line
+ */
+function formatText(entry) {
+  const { time, level, module: name, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : safeStringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase()} ${name ? `[${name}] ` : ''}${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+/**
+ * JSON.stringify that does not throw on circular values or BigInts
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function safeStringify(value) {
+  try {
+    return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+  } catch (error) {
+    return JSON.stringify({ msg: 'Unserializable log entry', error: error.message });
+  }
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  configureLogging,
+  requestContext,
+  runWithContext,
+  currentRequestId,
+  currentSessionId,
+  resolveRequestId,
+  propagateRequestId,
+  sessionRef,
+  redact,
+  redactUrl,
+  redactPath,
+  redactBody,
+  REQUEST_ID_HEADER
+};
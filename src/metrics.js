@@ -0,0 +1,218 @@
+/**
+ * Metrics Module
+ * Prometheus metrics for HTTP proxying, the WebSocket relay, body
+ * rewriting and sessions, served in the text exposition format
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'geforcenow_proxy_';
+
+// Seconds; proxied pages range from cached hits to slow upstream pages
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const REWRITE_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+/**
+ * Metrics Class
+ * Counters are updated by the middleware and by components given this
+ * object; gauges read the components' getStats() at scrape time.
+ */
+class Metrics {
+  constructor(options = {}) {
+    this.options = {
+      collectDefaultMetrics: options.collectDefaultMetrics !== false
+    };
+    this.registry = new client.Registry();
+    this.sources = {};
+    // Socket byte counts already recorded, so keep-alive sockets are not counted twice
+    this.recordedBytes = new WeakMap();
+
+    if (this.options.collectDefaultMetrics) {
+      client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+    }
+
+    const registers = [this.registry];
+    this.httpRequests = new client.Counter({
+      name: `${PREFIX}http_requests_total`,
+      help: 'HTTP requests by route, response status and upstream status',
+      labelNames: ['method', 'route', 'status', 'upstream_status'],
+      registers
+    });
+    this.httpDuration = new client.Histogram({
+      name: `${PREFIX}http_request_duration_seconds`,
+      help: 'HTTP request latency by route, response status and upstream status',
+      labelNames: ['method', 'route', 'status', 'upstream_status'],
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+    this.upstreamErrors = new client.Counter({
+      name: `${PREFIX}upstream_errors_total`,
+      help: 'Upstream requests that failed without a response, by route and error code',
+      labelNames: ['route', 'code'],
+      registers
+    });
+    this.bytes = new client.Counter({
+      name: `${PREFIX}bytes_total`,
+      help: 'Bytes received from (in) and sent to (out) clients',
+      labelNames: ['protocol', 'direction'],
+      registers
+    });
+    this.rewriteDuration = new client.Histogram({
+      name: `${PREFIX}rewrite_duration_seconds`,
+      help: 'Time spent rewriting upstream bodies, by content type',
+      labelNames: ['content_type'],
+      buckets: REWRITE_BUCKETS,
+      registers
+    });
+    this.websocketMessages = new client.Counter({
+      name: `${PREFIX}websocket_messages_total`,
+      help: 'WebSocket messages relayed, by direction',
+      labelNames: ['direction'],
+      registers
+    });
+
+    const sources = this.sources;
+    new client.Gauge({
+      name: `${PREFIX}websocket_connections_active`,
+      help: 'Open WebSocket relay connections',
+      registers,
+      collect() {
+        this.set(sources.wsRelay ? sources.wsRelay.getStats().activeConnections : 0);
+      }
+    });
+    new client.Gauge({
+      name: `${PREFIX}webrtc_peers_active`,
+      help: 'Connected WebRTC signaling peers',
+      registers,
+      collect() {
+        this.set(sources.rtcRelay ? sources.rtcRelay.getStats().activePeers : 0);
+      }
+    });
+    new client.Gauge({
+      name: `${PREFIX}sessions_active`,
+      help: 'Sessions with auth state loaded in this process',
+      registers,
+      collect() {
+        this.set(sources.authState ? sources.authState.getStats().activeSessions : 0);
+      }
+    });
+    new client.Gauge({
+      name: `${PREFIX}sessions_authenticated`,
+      help: 'Loaded sessions that are logged in',
+      registers,
+      collect() {
+        this.set(sources.authState ? sources.authState.getStats().authenticatedUsers : 0);
+      }
+    });
+  }
+
+  /**
+   * Register components whose getStats() feeds the gauges
+   * @param {Object} sources - { wsRelay, rtcRelay, authState }
+   */
+  attach(sources) {
+    Object.assign(this.sources, sources);
+  }
+
+  /**
+   * Express middleware recording every request once its response closes.
+   * Handlers may set res.locals.upstreamStatus and res.locals.upstreamError.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const start = process.hrtime.bigint();
+      const { socket } = req;
+
+      res.once('close', () => {
+        const route = routeLabel(req);
+        const labels = {
+          method: req.method,
+          route,
+          status: res.statusCode,
+          upstream_status: res.locals.upstreamStatus || 'none'
+        };
+        this.httpRequests.inc(labels);
+        this.httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        this.recordSocketBytes(socket);
+
+        if (res.locals.upstreamError) {
+          this.upstreamErrors.inc({ route, code: res.locals.upstreamError.code || 'unknown' });
+        }
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Count the bytes a socket moved since it was last recorded. Socket
+   * counters include headers and bodies whether or not they are streamed.
+   * @param {net.Socket} socket - Client socket
+   */
+  recordSocketBytes(socket) {
+    const recorded = this.recordedBytes.get(socket) || { read: 0, written: 0 };
+    this.bytes.inc({ protocol: 'http', direction: 'in' }, socket.bytesRead - recorded.read);
+    this.bytes.inc({ protocol: 'http', direction: 'out' }, socket.bytesWritten - recorded.written);
+    this.recordedBytes.set(socket, { read: socket.bytesRead, written: socket.bytesWritten });
+  }
+
+  /**
+   * Time a body rewrite
+   * @param {string} contentType - 'html', 'css' or 'javascript'
+   * @param {Function} rewrite - Function doing the rewrite
+   * @returns {*} The rewrite's result
+   */
+  timeRewrite(contentType, rewrite) {
+    const end = this.rewriteDuration.startTimer({ content_type: contentType });
+    try {
+      return rewrite();
+    } finally {
+      end();
+    }
+  }
+
+  /**
+   * Count a relayed WebSocket message
+   * @param {string} direction - 'upstream' (from the client) or 'client' (to the client)
+   * @param {number} bytes - Message size
+   */
+  recordWebSocketMessage(direction, bytes) {
+    this.websocketMessages.inc({ direction });
+    this.bytes.inc({ protocol: 'websocket', direction: direction === 'upstream' ? 'in' : 'out' }, bytes);
+  }
+
+  /**
+   * Express handler serving the metrics
+   * @param {express.Request} req - Express request
+   * @param {express.Response} res - Express response
+   */
+  async handler(req, res) {
+    try {
+      res.set('Content-Type', this.registry.contentType);
+      res.send(await this.registry.metrics());
+    } catch (error) {
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+/**
+ * Route label for a request: the matched Express route pattern, so
+ * proxied URLs do not each become a separate series
+ * @param {express.Request} req - Express request
+ * @returns {string} Route label
+ */
+function routeLabel(req) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return 'unmatched';
+}
+
+module.exports = {
+  Metrics
+};
@@ -0,0 +1,407 @@
+/**
+ * Rate Limiter Module
+ * Per-user token buckets for request rate and bandwidth, shared by HTTP
+ * proxying and the WebSocket relay. Users are keyed by their
+ * authenticated username, then by session, and requests without a
+ * session cookie by client address.
+ */
+
+const { createLogger, redact } = require('./logger');
+
+const logger = createLogger('Rate Limiter');
+
+// WebSocket close code sent when a connection exceeds its quota (4000-4999 is for applications)
+const RATE_LIMIT_CLOSE_CODE = 4429;
+
+/**
+ * Token bucket refilled continuously at a fixed rate. Consuming more than
+ * is available leaves the bucket in debt, which later refills pay off.
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum tokens
+   * @param {number} refillPerMs - Tokens added per millisecond
+   */
+  constructor(capacity, refillPerMs) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add the tokens earned since the last update
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take tokens if enough are available
+   * @param {number} amount - Tokens to take
+   * @returns {boolean} True if they were taken
+   */
+  tryConsume(amount) {
+    this.refill();
+    if (this.tokens < amount) return false;
+    this.tokens -= amount;
+    return true;
+  }
+
+  /**
+   * Take tokens unconditionally, going into debt if needed
+   * @param {number} amount - Tokens to take
+   */
+  consume(amount) {
+    this.refill();
+    this.tokens -= amount;
+  }
+
+  /**
+   * Give back tokens taken for work that turned out not to count
+   * @param {number} amount - Tokens to return
+   */
+  refund(amount) {
+    this.refill();
+    this.tokens = Math.min(this.capacity, this.tokens + amount);
+  }
+
+  /**
+   * @returns {number} Tokens available now
+   */
+  available() {
+    this.refill();
+    return this.tokens;
+  }
+
+  /**
+   * @param {number} [amount] - Tokens needed
+   * @returns {number} Seconds until that many tokens are available
+   */
+  secondsUntil(amount = 1) {
+    const missing = Math.max(amount - this.available(), 0);
+    return Math.max(Math.ceil(missing / this.refillPerMs / 1000), 1);
+  }
+}
+
+/**
+ * Rate Limiter Class
+ * A limit of 0 disables that limit
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.options = {
+      authState: options.authState || null,
+      requestsPerMinute: options.requestsPerMinute || 0,
+      burst: options.burst || options.requestsPerMinute || 0,
+      bandwidthBytes: options.bandwidthBytes || 0,
+      bandwidthWindow: options.bandwidthWindow || (60 * 60 * 1000), // 1 hour
+      // Session ID carried by a request's signed session cookie, or null
+      readSessionId: options.readSessionId || (() => null),
+      // Proxy hops in front of the app whose X-Forwarded-For is trusted (Express 'trust proxy')
+      trustProxy: options.trustProxy || 0,
+      paths: options.paths || [`${options.proxyPrefix || '/p'}/`, '/proxy', '/api/', '/sourcemap']
+    };
+    this.users = new Map();
+  }
+
+  /**
+   * Apply new limits. Keys keep their usage: buckets are resized and
+   * start refilling at the new rate.
+   * @param {Object} options - { requestsPerMinute, burst, bandwidthBytes, bandwidthWindow }
+   */
+  configure(options) {
+    const { requestsPerMinute, burst, bandwidthBytes, bandwidthWindow } = options;
+    if (requestsPerMinute !== undefined) {
+      this.options.requestsPerMinute = requestsPerMinute;
+    }
+    this.options.burst = burst || this.options.requestsPerMinute;
+    if (bandwidthBytes !== undefined) {
+      this.options.bandwidthBytes = bandwidthBytes;
+    }
+    if (bandwidthWindow !== undefined) {
+      this.options.bandwidthWindow = bandwidthWindow;
+    }
+
+    for (const entry of this.users.values()) {
+      entry.requests = resizeBucket(entry.requests, this.options.burst, this.options.requestsPerMinute / 60000);
+      entry.bandwidth = resizeBucket(entry.bandwidth, this.options.bandwidthBytes,
+        this.options.bandwidthBytes / this.options.bandwidthWindow);
+    }
+  }
+
+  /**
+   * @returns {boolean} True if any limit is configured
+   */
+  isEnabled() {
+    return this.options.requestsPerMinute > 0 || this.options.bandwidthBytes > 0;
+  }
+
+  /**
+   * Rate limit key for a request: the authenticated user if there is one,
+   * so a user's sessions share one quota, else the session the request's
+   * cookie carries, so clients behind one NAT do not share a bucket.
+   * Requests without a session cookie are keyed by address, since a client
+   * that drops its cookie would otherwise get a full bucket every time.
+   * @param {Object} authState - Auth state of the session
+   * @param {string} address - Client address
+   * @param {string|null} [sessionId] - Session ID from the request's cookie
+   * @returns {string} Key
+   */
+  keyFor(authState, address, sessionId = null) {
+    if (authState && authState.isAuthenticated && authState.user) {
+      return `user:${authState.user.username || authState.user}`;
+    }
+    return sessionId ? `session:${sessionId}` : `ip:${address}`;
+  }
+
+  /**
+   * Rate limit key for an Express request
+   * @param {express.Request} req - Express request
+   * @returns {string} Key
+   */
+  keyForRequest(req) {
+    return this.keyFor(req.getAuthState(), req.ip, this.options.readSessionId(req));
+  }
+
+  /**
+   * Rate limit key for a WebSocket upgrade, which does not pass through Express
+   * @param {http.IncomingMessage} request - Upgrade request
+   * @param {string|null} sessionId - Proxy session ID from the request's cookie
+   * @returns {Promise<string>} Key
+   */
+  async keyForUpgrade(request, sessionId) {
+    const { authState } = this.options;
+    const state = authState && sessionId ? await authState.loadState(sessionId) : null;
+    return this.keyFor(state, clientAddress(request, this.options.trustProxy), sessionId);
+  }
+
+  /**
+   * Buckets and counters for a key, created on first use
+   * @param {string} key - Rate limit key
+   * @returns {Object} Usage entry
+   */
+  getEntry(key) {
+    let entry = this.users.get(key);
+    if (!entry) {
+      const { requestsPerMinute, burst, bandwidthBytes, bandwidthWindow } = this.options;
+      entry = {
+        requests: requestsPerMinute > 0 ? new TokenBucket(burst, requestsPerMinute / 60000) : null,
+        bandwidth: bandwidthBytes > 0 ? new TokenBucket(bandwidthBytes, bandwidthBytes / bandwidthWindow) : null,
+        totalRequests: 0,
+        totalBytes: 0,
+        limited: 0,
+        lastSeen: Date.now()
+      };
+      this.users.set(key, entry);
+    }
+    entry.lastSeen = Date.now();
+    return entry;
+  }
+
+  /**
+   * Count a request (an HTTP request or a new WebSocket connection)
+   * @param {string} key - Rate limit key
+   * @returns {Object} { allowed, retryAfter, reason }
+   */
+  consumeRequest(key) {
+    const entry = this.getEntry(key);
+
+    if (entry.bandwidth && entry.bandwidth.available() <= 0) {
+      entry.limited++;
+      return { allowed: false, retryAfter: entry.bandwidth.secondsUntil(1), reason: 'Bandwidth quota exceeded' };
+    }
+    if (entry.requests && !entry.requests.tryConsume(1)) {
+      entry.limited++;
+      return { allowed: false, retryAfter: entry.requests.secondsUntil(1), reason: 'Request rate limit exceeded' };
+    }
+
+    entry.totalRequests++;
+    return { allowed: true, retryAfter: 0, reason: null };
+  }
+
+  /**
+   * Count transferred bytes against the bandwidth quota
+   * @param {string} key - Rate limit key
+   * @param {number} bytes - Bytes transferred
+   * @returns {boolean} True while the key is still within its quota
+   */
+  recordBytes(key, bytes) {
+    const entry = this.getEntry(key);
+    entry.totalBytes += bytes;
+
+    if (!entry.bandwidth) return true;
+    entry.bandwidth.consume(bytes);
+    return entry.bandwidth.tokens > 0;
+  }
+
+  /**
+   * @param {string} path - Request path
+   * @returns {boolean} True if the path is rate limited
+   */
+  isLimited(path) {
+    return this.options.paths.some(prefix =>
+      path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`));
+  }
+
+  /**
+   * Express middleware: count each proxied request and the bytes it moves
+   * in both directions
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.isEnabled() || !this.isLimited(req.path)) {
+        return next();
+      }
+
+      const key = this.keyForRequest(req);
+      const result = this.consumeRequest(key);
+      if (!result.allowed) {
+        logger.warn('Request rate limited', { rateLimitKey: key, reason: result.reason });
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          error: 'Too Many Requests',
+          message: `${result.reason}; retry in ${result.retryAfter}s`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Socket counters include headers and bodies whether or not they are streamed
+      const { socket } = req;
+      const bytesRead = socket.bytesRead;
+      const bytesWritten = socket.bytesWritten;
+      res.once('close', () => {
+        this.recordBytes(key, (socket.bytesRead - bytesRead) + (socket.bytesWritten - bytesWritten));
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Current usage for a key
+   * @param {string} key - Rate limit key
+   * @returns {Object} Usage
+   */
+  getUsage(key) {
+    const entry = this.getEntry(key);
+    const { requestsPerMinute, burst, bandwidthBytes, bandwidthWindow } = this.options;
+
+    return {
+      // Session keys are shown as the session's log reference, like in the logs
+      key: redact(key),
+      requests: {
+        limitPerMinute: requestsPerMinute || null,
+        burst: requestsPerMinute ? burst : null,
+        remaining: entry.requests ? Math.floor(entry.requests.available()) : null,
+        total: entry.totalRequests
+      },
+      bandwidth: {
+        quotaBytes: bandwidthBytes || null,
+        windowSeconds: bandwidthWindow / 1000,
+        remainingBytes: entry.bandwidth ? Math.max(Math.floor(entry.bandwidth.available()), 0) : null,
+        totalBytes: entry.totalBytes
+      },
+      limited: entry.limited
+    };
+  }
+
+  /**
+   * Drop keys whose buckets have refilled completely; they are
+   * indistinguishable from new keys
+   */
+  evictIdle() {
+    const { bandwidthWindow } = this.options;
+    const cutoff = Date.now() - Math.max(bandwidthWindow, 60000);
+    for (const [key, entry] of this.users.entries()) {
+      if (entry.lastSeen < cutoff) {
+        this.users.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    let limited = 0;
+    for (const entry of this.users.values()) {
+      limited += entry.limited;
+    }
+
+    return {
+      enabled: this.isEnabled(),
+      trackedUsers: this.users.size,
+      limitedRequests: limited
+    };
+  }
+}
+
+/**
+ * Client address of a raw request, the way Express computes req.ip with
+ * 'trust proxy' set to a hop count: X-Forwarded-For entries are taken from
+ * the right, one per trusted proxy
+ * @param {http.IncomingMessage} request - HTTP request
+ * @param {number} [trustProxy] - Trusted proxy hops in front of the app
+ * @returns {string} Client address
+ */
+function clientAddress(request, trustProxy = 0) {
+  const forwarded = (request.headers['x-forwarded-for'] || '').split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  const chain = [request.socket.remoteAddress, ...forwarded.reverse()];
+  return chain[Math.min(trustProxy, chain.length - 1)];
+}
+
+/**
+ * Resize a bucket, keeping its tokens (or debt) up to the new capacity
+ * @param {TokenBucket|null} bucket - Existing bucket
+ * @param {number} capacity - New capacity; 0 removes the limit
+ * @param {number} refillPerMs - New refill rate
+ * @returns {TokenBucket|null} Bucket
+ */
+function resizeBucket(bucket, capacity, refillPerMs) {
+  if (!capacity || !refillPerMs) return null;
+  if (!bucket) return new TokenBucket(capacity, refillPerMs);
+
+  bucket.refill();
+  bucket.capacity = capacity;
+  bucket.refillPerMs = refillPerMs;
+  bucket.tokens = Math.min(bucket.tokens, capacity);
+  return bucket;
+}
+
+/**
+ * Create a rate limiter from options or environment variables
+ * @param {Object} [options] - Configuration options
+ * @param {AuthenticationStateMiddleware} [options.authState] - Auth state, for keying by user
+ * @param {number} [options.requestsPerMinute] - Defaults to RATE_LIMIT_REQUESTS
+ * @param {number} [options.burst] - Defaults to RATE_LIMIT_BURST
+ * @param {number} [options.bandwidthBytes] - Defaults to BANDWIDTH_QUOTA_MB
+ * @param {number} [options.bandwidthWindow] - Window in ms; defaults to BANDWIDTH_WINDOW (seconds)
+ * @returns {RateLimiter} Rate limiter
+ */
+function createRateLimiter(options = {}) {
+  const { RATE_LIMIT_REQUESTS, RATE_LIMIT_BURST, BANDWIDTH_QUOTA_MB, BANDWIDTH_WINDOW } = process.env;
+
+  return new RateLimiter({
+    ...options,
+    requestsPerMinute: options.requestsPerMinute !== undefined
+      ? options.requestsPerMinute
+      : (RATE_LIMIT_REQUESTS !== undefined ? parseInt(RATE_LIMIT_REQUESTS, 10) || 0 : 600),
+    burst: options.burst || parseInt(RATE_LIMIT_BURST, 10) || undefined,
+    bandwidthBytes: options.bandwidthBytes || Math.floor((parseFloat(BANDWIDTH_QUOTA_MB) || 0) * 1024 * 1024),
+    bandwidthWindow: options.bandwidthWindow || (parseInt(BANDWIDTH_WINDOW, 10) || 60 * 60) * 1000
+  });
+}
+
+module.exports = {
+  RateLimiter,
+  TokenBucket,
+  createRateLimiter,
+  clientAddress,
+  RATE_LIMIT_CLOSE_CODE
+};
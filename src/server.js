@@ -0,0 +1,1280 @@
+/**
+ * Server Module
+ * Builds the proxy from a configuration: the Express app with its
+ * components and routes, and the HTTP server the WebSocket and WebRTC
+ * relays are attached to. The returned handle starts listening, applies
+ * reloaded settings and shuts everything down gracefully.
+ */
+
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const cors = require('cors');
+
+const remapping = require('@ampproject/remapping');
+const {
+  rewriteHtml,
+  rewriteCss,
+  rewriteJavaScript,
+  rewriteResponseHeaders,
+  generateJavaScriptSourceMap,
+  findSourceMappingUrl,
+  rewriteUrl
+} = require('./http-rewriter');
+const {
+  generateServiceWorkerScript,
+  injectServiceWorker,
+  injectServiceWorkerRemoval
+} = require('./service-worker-injector');
+const { injectClientRuntime } = require('./client-runtime');
+const { WebSocketRelay, WebRTCRelay, TurnServer } = require('./websocket-webrtc-relay');
+const {
+  configureSessionMiddleware,
+  CookieRelayMiddleware,
+  AuthenticationStateMiddleware
+} = require('./session-cookie-middleware');
+const { createStorage } = require('./storage');
+const { createUrlCodec } = require('./url-codec');
+const { createHostPolicy, HostPolicyError } = require('./host-policy');
+const { AuthGate } = require('./auth-gate');
+const { createRateLimiter } = require('./rate-limiter');
+const { createAssetCache } = require('./asset-cache');
+const { Metrics } = require('./metrics');
+const { HarRecorder, HarReplayer } = require('./har');
+const { AdminApi } = require('./admin-api');
+const {
+  createLogger,
+  configureLogging,
+  requestContext,
+  propagateRequestId,
+  redactPath,
+  REQUEST_ID_HEADER
+} = require('./logger');
+
+const logger = createLogger('Server');
+// Upstream calls carry the ID of the request that caused them
+propagateRequestId(axios);
+
+// Loader page, its script and stylesheet
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// Ways the loader can open a launched URL
+const LAUNCH_MODES = ['iframe', 'window', 'tab'];
+
+// Loader toggles kept in the session; both stay on until a user turns them off
+const DEFAULT_PREFERENCES = { serviceWorker: true, cache: true };
+
+// Headers that describe a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+/**
+ * Build the proxy server. Nothing listens until listen() is called.
+ * @param {Object} config - Validated configuration, as loaded by ConfigManager
+ * @returns {Object} { app, server, listen(port), configure(config), close(options) }
+ */
+function createServer(config) {
+  configureLogging(config.logging);
+
+  const app = express();
+  const TARGET_URL = config.server.targetUrl;
+  const SESSION_SECRET = config.session.secret;
+  const SESSION_TTL = config.session.ttl * 1000;
+  const STORAGE_SWEEP_INTERVAL = config.storage.sweepInterval * 1000;
+  const MAX_REWRITE_BYTES = megabytes(config.server.maxRewriteMb);
+
+  // Shutdown state: the pending close() and the number of open requests
+  let shutdownTimeout = config.server.shutdownTimeout * 1000;
+  let closing = null;
+  let inFlight = 0;
+
+  const TURN_ENABLED = config.turn.enabled;
+  const TURN_RELAY_ONLY = config.turn.relayOnly;
+
+  const turnServer = TURN_ENABLED ? new TurnServer({
+    port: config.turn.port,
+    realm: config.turn.realm,
+    secret: config.turn.secret,
+    externalAddress: config.turn.externalIp,
+    allowPrivatePeers: config.hostPolicy.allowPrivateTargets
+  }) : null;
+
+  // Proxy URLs are /p/<encoded-origin>/<path>; the same codec is used by
+  // the rewriters, the service worker and the client runtime
+  const urlCodec = createUrlCodec(config.urlCodec);
+
+  // Upstream hosts the proxy may reach; TARGET_URL is configured by the operator
+  const hostPolicy = createHostPolicy({
+    ...hostPolicyOptions(config),
+    allowPrivate: config.hostPolicy.allowPrivateTargets
+  });
+
+  // Sessions, cookie jars and auth state share one storage backend
+  const storage = createStorage({
+    backend: config.storage.backend,
+    path: config.storage.path,
+    url: config.storage.redisUrl,
+    defaultTtl: SESSION_TTL
+  });
+  storage.startSweep(STORAGE_SWEEP_INTERVAL);
+
+  const cookieRelay = new CookieRelayMiddleware({
+    ...cookieRelayOptions(config),
+    sessionSecret: SESSION_SECRET,
+    storage,
+    ttl: SESSION_TTL
+  });
+  const authState = new AuthenticationStateMiddleware({ storage, ttl: SESSION_TTL });
+
+  // Login for the proxy itself; users come from USERS_FILE and PROXY_USER/PROXY_PASSWORD
+  const authGate = new AuthGate({
+    authState,
+    cookieRelay,
+    trustProxy: config.server.trustProxy,
+    usersFile: config.auth.usersFile || null,
+    proxyPrefix: urlCodec.options.prefix,
+    maxFailures: config.auth.maxFailures,
+    failureWindow: config.auth.failureWindow * 1000
+  });
+  const authorize = (request, sessionId) => authGate.authorizeUpgrade(request, sessionId);
+
+  // Per-user request rate and bandwidth quotas for HTTP proxying and relayed WebSocket frames
+  const rateLimiter = createRateLimiter({
+    ...rateLimiterOptions(config),
+    authState,
+    readSessionId: request => cookieRelay.getSessionIdFromRequest(request),
+    trustProxy: config.server.trustProxy,
+    proxyPrefix: urlCodec.options.prefix
+  });
+  storage.onSweep(() => rateLimiter.evictIdle());
+  storage.onSweep(() => authGate.evictIdle());
+
+  // HAR recording of upstream traffic, or replay of recordings in place of the network
+  const harOptions = {
+    dir: config.har.dir,
+    maxBodyBytes: megabytes(config.har.maxBodyMb) || 0,
+    maxTotalBytes: megabytes(config.har.maxTotalMb)
+  };
+  const harRecorder = config.har.mode === 'record' ? new HarRecorder(harOptions) : null;
+  const harReplayer = config.har.mode === 'replay' ? new HarReplayer(harOptions) : null;
+  const har = harRecorder || harReplayer;
+
+  // Cache of rewritten upstream responses; entries from another URL codec setup are never reused.
+  // Off while recording, so every exchange reaches the upstream and the recording
+  const assetCache = config.cache.enabled && !harRecorder ? createAssetCache({
+    maxMemoryBytes: megabytes(config.cache.memoryMb),
+    diskPath: config.cache.dir,
+    maxDiskBytes: megabytes(config.cache.diskMb),
+    maxEntryBytes: megabytes(config.cache.maxEntryMb),
+    namespace: [urlCodec.options.codec, urlCodec.options.key, urlCodec.options.prefix].join(':')
+  }) : null;
+
+  // Prometheus metrics; gauges read the relays' and auth state's stats at scrape time
+  const metrics = new Metrics();
+
+  const wsRelay = new WebSocketRelay({
+    ...webSocketOptions(config),
+    cookieRelay,
+    hostPolicy,
+    authorize,
+    rateLimiter,
+    metrics,
+    recorder: harRecorder,
+    ...(harReplayer && { createUpstream: url => harReplayer.connectWebSocket(url) })
+  });
+  const rtcRelay = new WebRTCRelay({
+    sessionSecret: SESSION_SECRET,
+    maxPeersPerRoom: config.webrtc.maxPeersPerRoom,
+    turnServer,
+    relayOnly: TURN_ENABLED && TURN_RELAY_ONLY,
+    authorize
+  });
+  metrics.attach({ wsRelay, rtcRelay, authState });
+
+  // Admin API and dashboard for inspecting and resetting sessions and connections
+  const adminApi = new AdminApi({
+    storage,
+    authState,
+    cookieRelay,
+    wsRelay,
+    statsSources: { webrtcRelay: rtcRelay, turnServer, rateLimiter, assetCache, har }
+  });
+
+  // Only the configured proxy hops are trusted, so clients cannot pick their
+  // own req.ip with X-Forwarded-For
+  app.set('trust proxy', config.server.trustProxy);
+
+  // Middleware
+  app.use(requestContext());
+
+  // Once shutdown starts, responses close their connection so keep-alive clients move on
+  app.use((req, res, next) => {
+    inFlight++;
+    res.once('close', () => {
+      inFlight--;
+    });
+    if (closing) {
+      res.set('Connection', 'close');
+    }
+    next();
+  });
+
+  // Request logging middleware: one entry per request once its response closes
+  app.use((req, res, next) => {
+    const start = Date.now();
+    res.once('close', () => {
+      logger.info('Request completed', {
+        requestId: req.id,
+        sessionId: req.sessionID,
+        method: req.method,
+        path: redactPath(req.originalUrl),
+        status: res.statusCode,
+        upstreamStatus: res.locals.upstreamStatus,
+        durationMs: Date.now() - start,
+        aborted: !res.writableFinished || undefined
+      });
+    });
+    next();
+  });
+
+  const corsMiddleware = cors({ exposedHeaders: [REQUEST_ID_HEADER] });
+  app.use((req, res, next) => {
+    // Plain OPTIONS requests (not CORS preflights) are proxied like any other method
+    if (req.method === 'OPTIONS' && !req.headers['access-control-request-method']) {
+      return next();
+    }
+    corsMiddleware(req, res, next);
+  });
+  app.use(metrics.middleware());
+  app.use(configureSessionMiddleware({
+    sessionSecret: SESSION_SECRET,
+    storage,
+    cookieMaxAge: SESSION_TTL,
+    httpOnly: config.session.httpOnly,
+    secure: config.session.secure,
+    sameSite: config.session.sameSite,
+    saveUninitialized: config.session.saveUninitialized,
+    resave: config.session.resave
+  }));
+  app.use(cookieRelay.middleware());
+  app.use(authState.middleware());
+  app.use(authGate.middleware());
+  app.use(rateLimiter.middleware());
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.status(200).json({
+      status: 'OK',
+      message: 'Proxy server is running',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Admin dashboard and API (administrators only)
+  app.use('/admin', authGate.requireAdmin(), adminApi.router());
+
+  // Prometheus metrics
+  app.get('/metrics', (req, res) => metrics.handler(req, res));
+
+  // Login form, form/JSON login and logout
+  app.get('/login', (req, res) => authGate.loginPage(req, res));
+  app.post('/login', express.urlencoded({ extended: false }), express.json(), (req, res, next) => authGate.login(req, res).catch(next));
+  app.post('/logout', (req, res) => authGate.logout(req, res));
+
+  // Rate limit and bandwidth usage for the current user or session
+  app.get('/usage', (req, res) => {
+    const key = rateLimiter.keyForRequest(req);
+    res.status(200).json({
+      ...rateLimiter.getUsage(key),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Asset cache statistics and purge (everything, or one URL prefix)
+  app.get('/cache', (req, res) => {
+    res.status(200).json({
+      enabled: Boolean(assetCache),
+      ...(assetCache && assetCache.getStats()),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // The cache is shared by every user, so only administrators may empty it
+  app.post('/cache/purge', authGate.requireAdmin(), express.json(), async (req, res) => {
+    const url = req.query.url || (req.body && req.body.url) || undefined;
+    const removed = assetCache ? await assetCache.purge(url) : 0;
+
+    res.status(200).json({
+      purged: removed,
+      url: url || null,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Proxy endpoint for every method, streaming bodies in both directions
+  app.all('/api/*', async (req, res) => {
+    const path = req.params[0];
+    const queryIndex = req.originalUrl.indexOf('?');
+    const queryString = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+    const url = `${TARGET_URL}/${path}${queryString}`;
+
+    // Stop the upstream transfer if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+      logger.debug('Proxying API request', { method: req.method, url });
+      hostPolicy.assertAllowed(url);
+
+      const response = await axios.request({
+        url,
+        method: req.method,
+        data: hasRequestBody(req) ? req : undefined,
+        responseType: 'stream',
+        decompress: false,
+        maxRedirects: 0,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        validateStatus: () => true,
+        signal: controller.signal,
+        ...hostPolicy.requestOptions(),
+        ...(har && har.requestOptions()),
+        ...withCookieJar(req, url, {
+          ...getForwardHeaders(req),
+          'X-Forwarded-For': req.ip,
+          'X-Original-URL': req.originalUrl
+        })
+      });
+
+      cookieRelay.storeResponseCookies(req.sessionID, response.headers, url);
+      res.locals.upstreamStatus = response.status;
+
+      res.status(response.status);
+      for (const [name, value] of Object.entries(response.headers)) {
+        if (!HOP_BY_HOP_HEADERS.includes(name) && name !== 'set-cookie') {
+          res.setHeader(name, value);
+        }
+      }
+
+      response.data.on('error', (error) => {
+        logger.error('Upstream stream failed', { url, error });
+        res.destroy(error);
+      });
+      response.data.pipe(res);
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      res.locals.upstreamError = error;
+
+      logger.error('Proxy request failed', { url, error });
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      if (sendHostPolicyError(res, error)) return;
+      res.status(502).json({
+        error: 'Proxy request failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Service worker registered by the injected page script
+  app.get('/sw.js', (req, res) => {
+    const preferences = getPreferences(req);
+    if (!preferences.serviceWorker) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'The service worker is turned off for this session',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set('Content-Type', 'application/javascript; charset=utf-8');
+    res.set('Service-Worker-Allowed', '/');
+    res.set('Cache-Control', 'no-cache');
+    res.send(generateServiceWorkerScript(getProxyBaseUrl(req), urlCodec, { cache: preferences.cache }));
+  });
+
+  // TURN credentials for the current proxy session
+  app.get('/turn-credentials', (req, res) => {
+    if (!turnServer) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'The TURN server is not enabled',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      iceServers: turnServer.getIceServers(req.sessionID, req.hostname),
+      iceTransportPolicy: TURN_RELAY_ONLY ? 'relay' : 'all'
+    });
+  });
+
+  // Proxy endpoint for rewritten pages and assets: /p/<encoded-origin>/<path>
+  app.all(`${urlCodec.options.prefix}/*`, express.raw({ type: () => true, limit: '50mb' }), (req, res) => {
+    const targetUrl = urlCodec.decode(req.originalUrl);
+
+    if (!targetUrl) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'The proxy path does not encode a valid http(s) origin',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // /p/<origin> needs a trailing slash for relative URLs to resolve under it
+    const originSegment = req.path.slice(urlCodec.options.prefix.length + 1);
+    if (!originSegment.includes('/') && (req.method === 'GET' || req.method === 'HEAD')) {
+      return res.redirect(301, `${urlCodec.options.prefix}/${originSegment}/${req.originalUrl.slice(req.path.length)}`);
+    }
+
+    proxyPage(req, res, targetUrl);
+  });
+
+  // Legacy query-string form; page loads are redirected to the path form so
+  // the browser resolves relative URLs inside the proxy
+  app.all('/proxy', express.raw({ type: () => true, limit: '50mb' }), (req, res) => {
+    const targetUrl = req.query.url;
+
+    if (!targetUrl || !/^https?:\/\//i.test(targetUrl)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Query parameter "url" must be an absolute http(s) URL',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      return res.redirect(302, rewriteUrl(targetUrl, getProxyBaseUrl(req), targetUrl, { urlCodec }));
+    }
+    proxyPage(req, res, targetUrl);
+  });
+
+  // Source map for a rewritten script, composed with the upstream map if any
+  app.get('/sourcemap', async (req, res) => {
+    const targetUrl = req.query.url;
+
+    if (!targetUrl || !/^https?:\/\//i.test(targetUrl)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Query parameter "url" must be an absolute http(s) URL',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      hostPolicy.assertAllowed(targetUrl);
+      const response = await axios.get(targetUrl, {
+        responseType: 'text',
+        transformResponse: data => data,
+        ...hostPolicy.requestOptions(),
+        ...(har && har.requestOptions()),
+        ...withCookieJar(req, targetUrl, { 'User-Agent': req.get('user-agent') || 'Mozilla/5.0' })
+      });
+      res.locals.upstreamStatus = response.status;
+      const js = response.data;
+
+      const map = generateJavaScriptSourceMap(js, getProxyBaseUrl(req), targetUrl, { urlCodec });
+      if (!map) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'The script could not be parsed, so it is served unmodified',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const originalMapUrl = findSourceMappingUrl(js, targetUrl) ||
+        resolveHeaderUrl(response.headers.sourcemap || response.headers['x-sourcemap'], targetUrl);
+      const originalMap = originalMapUrl ? await fetchSourceMap(req, originalMapUrl) : null;
+
+      const composed = originalMap
+        ? remapping(map, file => (file === targetUrl ? originalMap : null))
+        : map;
+
+      res.set('Content-Type', 'application/json; charset=utf-8');
+      res.send(JSON.stringify(composed));
+    } catch (error) {
+      logger.error('Source map request failed', { url: targetUrl, error });
+      if (error.response) {
+        res.locals.upstreamStatus = error.response.status;
+      } else {
+        res.locals.upstreamError = error;
+      }
+      if (sendHostPolicyError(res, error)) return;
+      res.status(502).json({
+        error: 'Source map request failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Launch a URL from the loader: check it against the host policy, store
+  // the session's toggles and hand back the proxy URL to open
+  app.post('/launch', express.json(), (req, res) => {
+    const { url, mode = 'iframe', serviceWorker, cache } = req.body || {};
+    const badRequest = message => res.status(400).json({
+      error: 'Bad Request',
+      message,
+      timestamp: new Date().toISOString()
+    });
+
+    if (typeof url !== 'string' || !/^https?:\/\/[^/]/i.test(url.trim())) {
+      return badRequest('Field "url" must be an absolute http(s) URL');
+    }
+    if (!LAUNCH_MODES.includes(mode)) {
+      return badRequest(`Field "mode" must be one of: ${LAUNCH_MODES.join(', ')}`);
+    }
+    if ([serviceWorker, cache].some(value => value !== undefined && typeof value !== 'boolean')) {
+      return badRequest('Fields "serviceWorker" and "cache" must be booleans');
+    }
+
+    let targetUrl;
+    try {
+      targetUrl = new URL(url.trim()).href;
+      hostPolicy.assertAllowed(targetUrl);
+    } catch (error) {
+      if (sendHostPolicyError(res, error)) return;
+      return badRequest(`Invalid URL: ${error.message}`);
+    }
+
+    req.session.preferences = {
+      serviceWorker: serviceWorker !== false,
+      cache: cache !== false
+    };
+    logger.info('Launch', { url: targetUrl, mode, preferences: req.session.preferences });
+
+    res.status(200).json({
+      proxyUrl: urlCodec.encode(targetUrl, getProxyBaseUrl(req)),
+      mode,
+      preferences: req.session.preferences,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Loader page assets (index.html is served by the root endpoint)
+  app.use(express.static(PUBLIC_DIR, { index: false }));
+
+  // Root endpoint: the loader page for browsers, this listing for API clients
+  app.get('/', (req, res) => {
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+    }
+
+    res.status(200).json({
+      name: 'GeForce NOW Proxy Server',
+      version: '1.0.0',
+      description: 'A Node.js Express-based proxy server for GeForce NOW',
+      endpoints: {
+        health: '/health',
+        launch: '/launch',
+        metrics: '/metrics',
+        admin: '/admin',
+        login: '/login',
+        logout: '/logout',
+        usage: '/usage',
+        cache: '/cache',
+        cachePurge: '/cache/purge',
+        api: '/api/*',
+        proxy: `${urlCodec.options.prefix}/<encoded-origin>/<path>`,
+        legacyProxy: '/proxy?url=<target>',
+        sourcemap: '/sourcemap?url=<script>',
+        wsRelay: '/ws-relay?url=<wss-target>',
+        webrtcSignal: '/webrtc-signal',
+        turnCredentials: '/turn-credentials'
+      }
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      error: 'Not Found',
+      message: `The endpoint ${req.method} ${req.path} does not exist`,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Error handler
+  app.use((err, req, res, next) => {
+    logger.error('Unhandled error', { error: err, stack: err.stack });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: err.message,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // The relays share the HTTP server with Express and take over its upgrade requests
+  const server = http.createServer(app);
+  wsRelay.initialize(server);
+  rtcRelay.initialize(server);
+
+  /**
+   * Start accepting connections, and start the TURN server if it is enabled
+   * @param {number} [port] - Port; defaults to server.port
+   * @returns {Promise<http.Server>} Resolves once the server is listening
+   */
+  function listen(port = config.server.port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.removeListener('error', reject);
+        const address = `http://localhost:${server.address().port}`;
+        logger.info('Proxy server started', {
+          url: address,
+          target: TARGET_URL,
+          health: `${address}/health`
+        });
+
+        if (turnServer) {
+          turnServer.start().catch((error) => {
+            logger.error('TURN server failed to start', { error });
+          });
+        }
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Apply reloaded settings; lists and limits change without a restart
+   * @param {Object} next - New configuration
+   */
+  function configure(next) {
+    configureLogging(next.logging);
+    hostPolicy.configure(hostPolicyOptions(next));
+    cookieRelay.configure(cookieRelayOptions(next));
+    rateLimiter.configure(rateLimiterOptions(next));
+    wsRelay.configure(webSocketOptions(next));
+    rtcRelay.configure({ maxPeersPerRoom: next.webrtc.maxPeersPerRoom });
+    shutdownTimeout = next.server.shutdownTimeout * 1000;
+    try {
+      authGate.configure({ usersFile: next.auth.usersFile || null });
+    } catch (error) {
+      logger.error('Could not reload users; keeping the current ones', { error });
+    }
+  }
+
+  /**
+   * Shut down gracefully: stop accepting connections, send close frames to
+   * WebSocket and signaling clients, wait for in-flight requests and streams
+   * until the deadline, drop whatever is left, then release timers, sockets
+   * and storage. Later calls return the same promise.
+   * @param {Object} [options] - { timeout } in ms; defaults to server.shutdownTimeout
+   * @returns {Promise<void>} Resolves once everything is closed
+   */
+  function close(options = {}) {
+    if (!closing) {
+      closing = shutdown(options.timeout !== undefined ? options.timeout : shutdownTimeout);
+    }
+    return closing;
+  }
+
+  /**
+   * @param {number} timeout - Time to wait for connections to finish, in ms
+   * @returns {Promise<void>} Resolves once everything is closed
+   */
+  async function shutdown(timeout) {
+    logger.info('Shutting down', { timeoutMs: timeout, ...activity() });
+
+    // Idle keep-alive connections close now, busy ones after their response
+    const serverClosed = new Promise(resolve => server.close(() => resolve()));
+    server.closeIdleConnections();
+    const drained = Promise.all([serverClosed, wsRelay.close(), rtcRelay.close()]);
+
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(resolve, timeout);
+    });
+    const finished = await Promise.race([drained.then(() => true), deadline.then(() => false)]);
+    clearTimeout(timer);
+
+    if (!finished) {
+      logger.warn('Shutdown deadline reached; dropping remaining connections', activity());
+      wsRelay.terminate();
+      rtcRelay.terminate();
+      server.closeAllConnections();
+    }
+
+    if (turnServer) {
+      turnServer.close();
+    }
+    if (har) {
+      await har.close();
+    }
+    hostPolicy.close();
+    await storage.close();
+    logger.info('Shutdown complete');
+  }
+
+  /**
+   * @returns {Object} Open requests, relayed WebSockets and signaling peers
+   */
+  function activity() {
+    return {
+      requests: inFlight,
+      webSockets: wsRelay.connections.size,
+      signalingPeers: rtcRelay.peers.size
+    };
+  }
+
+  return { app, server, listen, configure, close };
+
+  // Request helpers that use this server's components
+
+  /**
+   * Fetch a page or asset for the browser. HTML, CSS and JavaScript are
+   * buffered and rewritten; everything else is streamed through.
+   * @param {express.Request} req - Express request (body parsed as a raw Buffer)
+   * @param {express.Response} res - Express response
+   * @param {string} targetUrl - Absolute upstream URL
+   */
+  async function proxyPage(req, res, targetUrl) {
+    // Stop the upstream transfer if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+      logger.debug('Proxying page', { method: req.method, url: targetUrl });
+      hostPolicy.assertAllowed(targetUrl);
+
+      const headers = {
+        'User-Agent': req.get('user-agent') || 'Mozilla/5.0',
+        'Accept': req.get('accept') || '*/*',
+        'Accept-Language': req.get('accept-language') || 'en-US,en;q=0.9'
+      };
+      if (req.get('content-type')) {
+        headers['Content-Type'] = req.get('content-type');
+      }
+
+      const proxyBaseUrl = getProxyBaseUrl(req);
+      const upstream = withCookieJar(req, targetUrl, headers, getCookieContext(req));
+
+      // Fresh cached responses are served directly; stale ones are revalidated
+      // Sessions that turned caching off in the loader always go upstream
+      const cacheKey = assetCache && getPreferences(req).cache && assetCache.isRequestCacheable(req)
+        ? assetCache.keyFor(targetUrl, proxyBaseUrl)
+        : null;
+      const cached = cacheKey && await assetCache.lookup(cacheKey, upstream.headers, req);
+      if (cached && cached.fresh) {
+        res.locals.upstreamStatus = 'cached';
+        return sendPage(req, res, targetUrl, cached.entry, 'HIT');
+      }
+      if (cached) {
+        upstream.headers = { ...upstream.headers, ...assetCache.conditionalHeaders(cached.entry) };
+      }
+
+      const requestTime = Date.now();
+      const response = await axios.request({
+        url: targetUrl,
+        method: req.method,
+        data: Buffer.isBuffer(req.body) && req.body.length ? req.body : undefined,
+        responseType: 'stream',
+        // Redirects go back to the browser with a rewritten Location
+        maxRedirects: 0,
+        maxContentLength: Infinity,
+        validateStatus: () => true,
+        signal: controller.signal,
+        ...hostPolicy.requestOptions(),
+        ...(har && har.requestOptions()),
+        ...upstream
+      });
+
+      cookieRelay.storeResponseCookies(req.sessionID, response.headers, targetUrl);
+      res.locals.upstreamStatus = response.status;
+      if (cached && response.status === 304) {
+        response.data.resume();
+        const entry = await assetCache.refresh(cached.entry, response.headers, requestTime);
+        return sendPage(req, res, targetUrl, entry, 'REVALIDATED');
+      }
+
+      const storable = cacheKey && req.method === 'GET' &&
+        assetCache.isStorable(response.status, response.headers, upstream.headers);
+      if (cached && !storable) {
+        await assetCache.delete(cacheKey);
+      }
+      const store = storable
+        ? page => assetCache.store(cacheKey, { ...page, url: targetUrl, requestHeaders: upstream.headers, requestTime })
+        : null;
+
+      const contentType = response.headers['content-type'] || 'application/octet-stream';
+      if (!getBodyType(contentType)) {
+        return streamPage(req, res, targetUrl, response, cacheKey ? 'MISS' : 'BYPASS', store);
+      }
+
+      if (harRecorder) {
+        harRecorder.holdForRewrite(response);
+      }
+      const body = await readBody(response.data, MAX_REWRITE_BYTES);
+      const page = {
+        status: response.status,
+        headers: response.headers,
+        body: rewriteBody(body, contentType, proxyBaseUrl, targetUrl)
+      };
+
+      if (store) {
+        await store(page);
+      }
+      const sent = sendPage(req, res, targetUrl, page, cacheKey ? 'MISS' : 'BYPASS');
+      if (harRecorder) {
+        harRecorder.recordRewritten(response, res.statusCode, res.getHeaders(), sent);
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      res.locals.upstreamError = error;
+
+      logger.error('Proxy request failed', { url: targetUrl, error });
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      if (sendHostPolicyError(res, error)) return;
+      res.status(502).json({
+        error: 'Proxy request failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Set the status and rewritten headers of an upstream response
+   * @param {express.Request} req - Express request
+   * @param {express.Response} res - Express response
+   * @param {string} targetUrl - Upstream URL
+   * @param {Object} page - { status, headers } as received from upstream or cached
+   * @param {string} cacheStatus - X-Cache value (HIT, REVALIDATED, MISS or BYPASS)
+   */
+  function setPageHeaders(req, res, targetUrl, page, cacheStatus) {
+    const responseHeaders = rewriteResponseHeaders(page.headers, getProxyBaseUrl(req), targetUrl, {
+      requestOrigin: req.get('origin'),
+      urlCodec
+    });
+
+    res.status(page.status);
+    for (const [name, value] of Object.entries(responseHeaders)) {
+      if (!HOP_BY_HOP_HEADERS.includes(name) && name !== 'set-cookie') {
+        res.set(name, value);
+      }
+    }
+    res.set('Content-Type', page.headers['content-type'] || 'application/octet-stream');
+    res.set('X-Cache', cacheStatus);
+    if (cacheStatus === 'HIT' || cacheStatus === 'REVALIDATED') {
+      res.set('Age', String(Math.floor(assetCache.currentAge(page) / 1000)));
+    }
+    if (!getPreferences(req).cache) {
+      res.set('Cache-Control', 'no-store');
+    }
+  }
+
+  /**
+   * Send a rewritten upstream response, fresh or from the cache
+   * @param {express.Request} req - Express request
+   * @param {express.Response} res - Express response
+   * @param {string} targetUrl - Upstream URL
+   * @param {Object} page - { status, headers, body } with upstream headers and the rewritten body
+   * @param {string} cacheStatus - X-Cache value (HIT, REVALIDATED, MISS or BYPASS)
+   * @returns {Buffer|string} Body sent to the browser
+   */
+  function sendPage(req, res, targetUrl, page, cacheStatus) {
+    const contentType = page.headers['content-type'] || 'application/octet-stream';
+    setPageHeaders(req, res, targetUrl, page, cacheStatus);
+
+    // Express answers 304 itself when the browser's validators match
+    const body = finishBody(
+      page.body, contentType, getProxyBaseUrl(req), targetUrl, getClientRuntimeOptions(req),
+      getPreferences(req).serviceWorker
+    );
+    res.send(body);
+    return body;
+  }
+
+  /**
+   * Stream an upstream response the proxy does not rewrite, such as media,
+   * wasm or downloads. A body small enough for the asset cache is collected
+   * on the way and stored once complete.
+   * @param {express.Request} req - Express request
+   * @param {express.Response} res - Express response
+   * @param {string} targetUrl - Upstream URL
+   * @param {Object} response - axios response with a stream body
+   * @param {string} cacheStatus - X-Cache value (MISS or BYPASS)
+   * @param {Function|null} store - Stores a complete page in the cache, if it may be stored
+   */
+  function streamPage(req, res, targetUrl, response, cacheStatus, store) {
+    setPageHeaders(req, res, targetUrl, response, cacheStatus);
+
+    // Answer 304 when the browser's validators match, as res.send() would
+    if (res.statusCode >= 200 && res.statusCode < 300 && req.fresh) {
+      response.data.destroy();
+      res.status(304).end();
+      return;
+    }
+
+    let chunks = store ? [] : null;
+    let size = 0;
+    response.data.on('data', (chunk) => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > assetCache.options.maxEntryBytes) {
+        chunks = null;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.data.on('end', () => {
+      if (!chunks) return;
+      store({ status: response.status, headers: response.headers, body: Buffer.concat(chunks) }).catch((error) => {
+        logger.error('Could not store response in the cache', { url: targetUrl, error });
+      });
+    });
+    response.data.on('error', (error) => {
+      logger.error('Upstream stream failed', { url: targetUrl, error });
+      res.destroy(error);
+    });
+    response.data.pipe(res);
+  }
+
+  /**
+   * Build axios options that send the session's upstream cookies and record
+   * Set-Cookie headers from every redirect hop along the way
+   * @param {express.Request} req - Express request
+   * @param {string} targetUrl - First upstream URL
+   * @param {Object} headers - Upstream request headers
+   * @param {Object} [context] - SameSite context for the cookie jar
+   * @returns {Object} axios request options
+   */
+  function withCookieJar(req, targetUrl, headers, context = {}) {
+    const cookieContext = { method: req.method, ...context };
+    const cookie = cookieRelay.getCookieHeader(req.sessionID, targetUrl, cookieContext);
+
+    return {
+      headers: cookie ? { ...headers, Cookie: cookie } : headers,
+      beforeRedirect: (options, responseDetails, requestDetails) => {
+        // Every redirect hop is checked; throwing aborts the request
+        hostPolicy.assertAllowed(options.href);
+        cookieRelay.storeResponseCookies(req.sessionID, responseDetails.headers, requestDetails.url);
+
+        const nextCookie = cookieRelay.getCookieHeader(req.sessionID, options.href, cookieContext);
+        delete options.headers.cookie;
+        delete options.headers.Cookie;
+        if (nextCookie) {
+          options.headers.Cookie = nextCookie;
+        }
+      }
+    };
+  }
+
+  /**
+   * Work out the SameSite context of a proxied request from the proxied page
+   * that issued it (its Referer) and the browser's fetch metadata
+   * @param {express.Request} req - Express request
+   * @returns {Object} { siteForCookies, topLevelNavigation }
+   */
+  function getCookieContext(req) {
+    const topLevelNavigation = req.get('sec-fetch-mode') === 'navigate' && req.get('sec-fetch-dest') !== 'iframe';
+    let siteForCookies;
+
+    try {
+      const referer = req.get('referer') && new URL(req.get('referer'));
+      siteForCookies = (referer && referer.host === req.get('host') &&
+        urlCodec.decode(referer.pathname + referer.search)) || undefined;
+    } catch (error) {
+      siteForCookies = undefined;
+    }
+
+    return { siteForCookies: topLevelNavigation ? undefined : siteForCookies, topLevelNavigation };
+  }
+
+  /**
+   * Load an upstream source map, resolving its relative sources against the
+   * map URL so they stay meaningful once served from the proxy
+   * @param {express.Request} req - Express request
+   * @param {string} mapUrl - Absolute or data: URL of the map
+   * @returns {Promise<Object|null>} Source map, or null if unavailable
+   */
+  async function fetchSourceMap(req, mapUrl) {
+    try {
+      if (mapUrl.startsWith('data:')) {
+        const [meta, data] = mapUrl.slice(5).split(',', 2);
+        return JSON.parse(meta.endsWith(';base64')
+          ? Buffer.from(data, 'base64').toString('utf8')
+          : decodeURIComponent(data));
+      }
+
+      hostPolicy.assertAllowed(mapUrl);
+      const response = await axios.get(mapUrl, {
+        responseType: 'text',
+        transformResponse: data => data,
+        ...hostPolicy.requestOptions(),
+        ...(har && har.requestOptions()),
+        ...withCookieJar(req, mapUrl, { 'User-Agent': req.get('user-agent') || 'Mozilla/5.0' })
+      });
+      // Strip the XSSI guard some servers prepend
+      const map = JSON.parse(response.data.replace(/^\)\]\}'[^\n]*\n/, ''));
+
+      const root = new URL(map.sourceRoot || '', mapUrl).href;
+      map.sources = map.sources.map(source => (source == null ? source : new URL(source, root).href));
+      delete map.sourceRoot;
+      return map;
+    } catch (error) {
+      logger.warn('Could not load source map', { url: mapUrl, error });
+      return null;
+    }
+  }
+
+  /**
+   * Client runtime options for the current session: when the TURN server is
+   * enabled, pages are made to use it for every RTCPeerConnection
+   * @param {express.Request} req - Express request
+   * @returns {Object} Options for injectClientRuntime
+   */
+  function getClientRuntimeOptions(req) {
+    if (!turnServer) return { urlCodec };
+
+    return {
+      urlCodec,
+      iceServers: turnServer.getIceServers(req.sessionID, req.hostname),
+      iceTransportPolicy: TURN_RELAY_ONLY ? 'relay' : 'all'
+    };
+  }
+
+  /**
+   * Run an upstream body through the rewriter matching its content type.
+   * Anything that is not HTML, CSS or JavaScript is returned untouched.
+   * The result only depends on the URLs, so it can be cached.
+   * @param {Buffer} body - Raw upstream body
+   * @param {string} contentType - Upstream Content-Type header
+   * @param {string} proxyBaseUrl - The proxy server base URL
+   * @param {string} targetUrl - The URL the body was fetched from
+   * @returns {Buffer|string} Rewritten text or the original bytes
+   */
+  function rewriteBody(body, contentType, proxyBaseUrl, targetUrl) {
+    const rewriters = { html: rewriteHtml, css: rewriteCss, javascript: rewriteJavaScript };
+    const type = getBodyType(contentType);
+    if (!type) return body;
+
+    return metrics.timeRewrite(type, () => rewriters[type](body.toString('utf8'), proxyBaseUrl, targetUrl, { urlCodec }));
+  }
+}
+
+/**
+ * @param {Object} config - Configuration
+ * @returns {Object} Reloadable host policy options; TARGET_URL's host is always allowed
+ */
+function hostPolicyOptions(config) {
+  return {
+    allowedHosts: [...config.hostPolicy.allowedHosts, new URL(config.server.targetUrl).hostname],
+    deniedHosts: config.hostPolicy.deniedHosts
+  };
+}
+
+/**
+ * @param {Object} config - Configuration
+ * @returns {Object} Reloadable cookie relay options
+ */
+function cookieRelayOptions(config) {
+  return {
+    cookieWhitelist: config.cookies.whitelist,
+    cookieBlacklist: config.cookies.blacklist,
+    stripSecure: config.cookies.stripSecure,
+    stripHttpOnly: config.cookies.stripHttpOnly
+  };
+}
+
+/**
+ * @param {Object} config - Configuration
+ * @returns {Object} Reloadable rate limiter options
+ */
+function rateLimiterOptions(config) {
+  return {
+    requestsPerMinute: config.rateLimit.requestsPerMinute,
+    burst: config.rateLimit.burst,
+    bandwidthBytes: megabytes(config.rateLimit.bandwidthQuotaMb) || 0,
+    bandwidthWindow: config.rateLimit.bandwidthWindow * 1000
+  };
+}
+
+/**
+ * @param {Object} config - Configuration
+ * @returns {Object} Reloadable WebSocket relay options
+ */
+function webSocketOptions(config) {
+  return {
+    timeout: config.webSocket.timeout * 1000,
+    heartbeatInterval: config.webSocket.heartbeatInterval * 1000,
+    maxConnections: config.webSocket.maxConnections,
+    highWaterMark: config.webSocket.highWaterMark,
+    lowWaterMark: config.webSocket.lowWaterMark
+  };
+}
+
+/**
+ * Read a whole stream into memory, refusing bodies over a size limit
+ * @param {stream.Readable} stream - Body stream
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<Buffer>} Body
+ */
+function readBody(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        reject(new Error(`Upstream body is larger than the ${maxBytes} bytes the proxy rewrites`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * @param {number} value - Size in megabytes
+ * @returns {number|undefined} Size in bytes, or undefined for 0
+ */
+function megabytes(value) {
+  return value > 0 ? Math.floor(value * 1024 * 1024) : undefined;
+}
+
+/**
+ * Answer with 403 if an upstream request was refused by the host policy
+ * @param {express.Response} res - Express response
+ * @param {Error} error - Error from the upstream request
+ * @returns {boolean} True if a response was sent
+ */
+function sendHostPolicyError(res, error) {
+  const policyError = HostPolicyError.from(error);
+  if (!policyError) return false;
+
+  res.status(policyError.status).json({
+    error: 'Forbidden',
+    message: policyError.message,
+    timestamp: new Date().toISOString()
+  });
+  return true;
+}
+
+/**
+ * Loader toggles for the request's session
+ * @param {express.Request} req - Express request
+ * @returns {Object} { serviceWorker, cache }
+ */
+function getPreferences(req) {
+  return { ...DEFAULT_PREFERENCES, ...(req.session && req.session.preferences) };
+}
+
+/**
+ * Build the public base URL of this proxy from the incoming request
+ * @param {express.Request} req - Express request
+ * @returns {string} Proxy base URL without trailing slash
+ */
+function getProxyBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Copy the browser's request headers for an upstream call, leaving out
+ * hop-by-hop headers, the Host and the proxy's own cookies
+ * @param {express.Request} req - Express request
+ * @returns {Object} Headers to forward
+ */
+function getForwardHeaders(req) {
+  const connectionHeaders = (req.headers.connection || '').split(',').map(h => h.trim().toLowerCase());
+  const headers = {};
+
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (HOP_BY_HOP_HEADERS.includes(name) || connectionHeaders.includes(name)) continue;
+    if (name === 'host' || name === 'cookie') continue;
+    headers[name] = value;
+  }
+  return headers;
+}
+
+/**
+ * @param {express.Request} req - Express request
+ * @returns {boolean} True if the request carries a body to stream upstream
+ */
+function hasRequestBody(req) {
+  const contentLength = req.headers['content-length'];
+  return Boolean(req.headers['transfer-encoding']) || (contentLength !== undefined && contentLength !== '0');
+}
+
+/**
+ * Resolve a URL taken from a response header
+ * @param {string} [value] - Header value
+ * @param {string} baseUrl - URL of the response
+ * @returns {string|null} Absolute URL
+ */
+function resolveHeaderUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    return new URL(value, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Add the per-request parts to a rewritten body: HTML gets the client
+ * runtime (which carries session-specific ICE servers) and the service
+ * worker registration, or its removal when the session turned it off
+ * @param {Buffer|string} body - Output of rewriteBody, possibly from the cache
+ * @param {string} contentType - Upstream Content-Type header
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {string} targetUrl - The URL the body was fetched from
+ * @param {Object} [runtimeOptions] - Options for the injected client runtime
+ * @param {boolean} [serviceWorker] - Register the service worker (default true)
+ * @returns {Buffer|string} Body to send
+ */
+function finishBody(body, contentType, proxyBaseUrl, targetUrl, runtimeOptions = {}, serviceWorker = true) {
+  const type = getBodyType(contentType);
+
+  if (type === 'html') {
+    const html = injectClientRuntime(body.toString('utf8'), proxyBaseUrl, targetUrl, runtimeOptions);
+    return serviceWorker ? injectServiceWorker(html, proxyBaseUrl) : injectServiceWorkerRemoval(html, proxyBaseUrl);
+  }
+  // Rewritten text is sent as a string either way, so Express labels it UTF-8
+  if (type && Buffer.isBuffer(body)) {
+    return body.toString('utf8');
+  }
+  return body;
+}
+
+/**
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} 'html', 'css' or 'javascript' for bodies the proxy rewrites
+ */
+function getBodyType(contentType) {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+
+  if (type === 'text/html' || type === 'application/xhtml+xml') return 'html';
+  if (type === 'text/css') return 'css';
+  if (type === 'application/javascript' || type === 'text/javascript' || type === 'application/x-javascript') {
+    return 'javascript';
+  }
+  return null;
+}
+
+module.exports = {
+  createServer
+};
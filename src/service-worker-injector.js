@@ -4,19 +4,31 @@
  * and provide offline support and caching capabilities
  */
 
+const { createUrlCodec } = require('./url-codec');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Service Worker Injector');
+
 /**
  * Generate a service worker script that can be injected into pages
  * @param {string} proxyBaseUrl - The proxy server base URL
+ * @param {UrlCodec} [urlCodec] - Codec for proxy URLs (defaults to the environment's)
+ * @param {Object} [options] - Worker options
+ * @param {boolean} [options.cache] - Cache static assets (default true); false also clears old caches
  * @returns {string} Service worker code
  */
-function generateServiceWorkerScript(proxyBaseUrl) {
+function generateServiceWorkerScript(proxyBaseUrl, urlCodec = createUrlCodec(), options = {}) {
   return `
 // Injected Service Worker for GeForce NOW Proxy
 (function() {
   'use strict';
   
   const CACHE_NAME = 'geforcenow-proxy-v1';
-  const PROXY_BASE = '${proxyBaseUrl}';
+  const CACHE_ENABLED = ${options.cache !== false};
+  const PROXY_BASE = ${JSON.stringify(proxyBaseUrl)};
+  const PROXY_ORIGIN = new URL(PROXY_BASE).origin;
+  const PROXY_PATHS = ['/proxy', '/sw.js', '/sourcemap', '/turn-credentials'];
+  const CODEC = ${urlCodec.clientSource()};
   
   // Listen for installation
   self.addEventListener('install', event => {
@@ -31,7 +43,7 @@ function generateServiceWorkerScript(proxyBaseUrl) {
       caches.keys().then(cacheNames => {
         return Promise.all(
           cacheNames.map(cacheName => {
-            if (cacheName !== CACHE_NAME) {
+            if (cacheName !== CACHE_NAME || !CACHE_ENABLED) {
               return caches.delete(cacheName);
             }
           })
@@ -43,21 +55,15 @@ function generateServiceWorkerScript(proxyBaseUrl) {
   
   // Intercept network requests
   self.addEventListener('fetch', event => {
-    const { request } = event;
-    const url = new URL(request.url);
+    const url = new URL(event.request.url);
     
-    // Skip non-GET requests for now
-    if (request.method !== 'GET') {
-      return;
-    }
-    
-    // Skip chrome extensions and internal requests
-    if (url.protocol === 'chrome-extension:' || url.origin === self.location.origin) {
+    // Skip chrome extensions and other non-http(s) schemes
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
       return;
     }
     
     event.respondWith(
-      handleRequest(request)
+      handleRequest(event)
         .catch(error => {
           console.error('[GeForce NOW Proxy SW] Error handling request:', error);
           return new Response('Network request failed', { status: 503 });
@@ -65,7 +71,14 @@ function generateServiceWorkerScript(proxyBaseUrl) {
     );
   });
   
-  async function handleRequest(request) {
+  async function handleRequest(event) {
+    const request = await toProxyRequest(event);
+    
+    // Only GET responses are cached, and only while caching is on; everything else goes straight to the network
+    if (request.method !== 'GET' || !CACHE_ENABLED) {
+      return fetch(request);
+    }
+    
     // Try network first, fallback to cache
     try {
       const response = await fetch(request);
@@ -87,6 +100,59 @@ function generateServiceWorkerScript(proxyBaseUrl) {
     }
   }
   
+  /**
+   * Rewrite a request that bypassed the static rewriter into proxy form.
+   * Cross-origin URLs are proxied as-is; same-origin URLs were resolved by
+   * the browser against the proxy host, so they are re-resolved against the
+   * target of the page that issued them.
+   */
+  async function toProxyRequest(event) {
+    const { request } = event;
+    const url = new URL(request.url);
+    
+    if (isProxied(url)) {
+      return request;
+    }
+    
+    let targetUrl = request.url;
+    if (url.origin === PROXY_ORIGIN) {
+      const clientTarget = await getClientTarget(event);
+      if (!clientTarget) {
+        return request;
+      }
+      targetUrl = new URL(url.pathname + url.search + url.hash, clientTarget).href;
+    }
+    
+    const proxyUrl = PROXY_BASE + CODEC.encode(targetUrl);
+    const init = {
+      method: request.method,
+      headers: request.headers,
+      credentials: 'include',
+      redirect: request.redirect
+    };
+    
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      init.body = await request.clone().arrayBuffer();
+    }
+    
+    return new Request(proxyUrl, init);
+  }
+  
+  function isProxied(url) {
+    return url.origin === PROXY_ORIGIN &&
+      (PROXY_PATHS.includes(url.pathname) || url.pathname.startsWith(CODEC.prefix + '/'));
+  }
+  
+  async function getClientTarget(event) {
+    const clientId = event.clientId || event.resultingClientId;
+    const client = clientId ? await self.clients.get(clientId) : null;
+    if (!client) {
+      return null;
+    }
+    const url = new URL(client.url);
+    return CODEC.decode(url.pathname + url.search);
+  }
+  
   function shouldCache(request) {
     const url = new URL(request.url);
     // Cache static assets
@@ -121,6 +187,35 @@ function generateServiceWorkerInjectCode(proxyBaseUrl) {
 `;
 }
 
+/**
+ * Generate HTML code that unregisters the proxy's service worker, for
+ * sessions that turned it off after it was installed
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @returns {string} HTML code to inject
+ */
+function generateServiceWorkerRemovalCode(proxyBaseUrl) {
+  return `
+<!-- Injected Service Worker Removal -->
+<script>
+(function() {
+  if ('serviceWorker' in navigator) {
+    const scriptUrl = ${JSON.stringify(`${proxyBaseUrl}/sw.js`)};
+    navigator.serviceWorker.getRegistrations().then(registrations => {
+      registrations.forEach(registration => {
+        const worker = registration.active || registration.waiting || registration.installing;
+        if (worker && worker.scriptURL === scriptUrl) {
+          registration.unregister();
+        }
+      });
+    }).catch(error => {
+      console.warn('[GeForce NOW Proxy] Service Worker removal failed:', error);
+    });
+  }
+})();
+</script>
+`;
+}
+
 /**
  * Inject service worker script into HTML content
  * @param {string} html - The HTML content
@@ -129,23 +224,44 @@ function generateServiceWorkerInjectCode(proxyBaseUrl) {
  */
 function injectServiceWorker(html, proxyBaseUrl) {
   try {
-    const injectCode = generateServiceWorkerInjectCode(proxyBaseUrl);
-    
-    // Inject before closing </body> tag
-    if (html.includes('</body>')) {
-      return html.replace('</body>', injectCode + '</body>');
-    }
-    
-    // If no body tag, append to end
-    return html + injectCode;
+    return insertBeforeBodyEnd(html, generateServiceWorkerInjectCode(proxyBaseUrl));
   } catch (error) {
-    console.error('Error injecting service worker:', error);
+    logger.error('Error injecting service worker', { error });
     return html;
   }
 }
 
+/**
+ * Inject the service worker removal script into HTML content
+ * @param {string} html - The HTML content
+ * @param {string} proxyBaseUrl - The proxy server base URL
+ * @returns {string} Modified HTML with the removal script
+ */
+function injectServiceWorkerRemoval(html, proxyBaseUrl) {
+  try {
+    return insertBeforeBodyEnd(html, generateServiceWorkerRemovalCode(proxyBaseUrl));
+  } catch (error) {
+    logger.error('Error injecting service worker removal', { error });
+    return html;
+  }
+}
+
+/**
+ * @param {string} html - The HTML content
+ * @param {string} code - HTML to insert
+ * @returns {string} HTML with the code before the closing </body> tag, or appended if there is none
+ */
+function insertBeforeBodyEnd(html, code) {
+  if (html.includes('</body>')) {
+    return html.replace('</body>', code + '</body>');
+  }
+  return html + code;
+}
+
 module.exports = {
   generateServiceWorkerScript,
   generateServiceWorkerInjectCode,
-  injectServiceWorker
+  generateServiceWorkerRemovalCode,
+  injectServiceWorker,
+  injectServiceWorkerRemoval
 };
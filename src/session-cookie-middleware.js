@@ -5,33 +5,256 @@
 
 const session = require('express-session');
 const cookieParser = require('cookie-parser');
+const { MemoryStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const cookieLogger = createLogger('Cookie Relay');
+const authLogger = createLogger('Auth State');
 
 /**
  * Configure session middleware
  * @param {Object} options - Configuration options
+ * @param {Storage} [options.storage] - Shared storage backend for sessions
+ * @param {boolean} [options.httpOnly] - Defaults to true
+ * @param {boolean} [options.secure] - Defaults to true in production
+ * @param {boolean} [options.saveUninitialized] - Defaults to true
  * @returns {Function} Express middleware
  */
 function configureSessionMiddleware(options = {}) {
+  // Everything else is passed to express-session as is
+  const {
+    storage, sessionSecret, cookieMaxAge, resave, saveUninitialized, httpOnly, secure, sameSite,
+    ...sessionOptions
+  } = options;
   const sessionConfig = {
-    secret: options.sessionSecret || process.env.SESSION_SECRET || 'geforcenow-proxy-secret',
-    resave: options.resave || false,
-    saveUninitialized: options.saveUninitialized || true,
+    secret: sessionSecret || process.env.SESSION_SECRET || 'geforcenow-proxy-secret',
+    resave: resave !== undefined ? resave : false,
+    saveUninitialized: saveUninitialized !== undefined ? saveUninitialized : true,
     cookie: {
-      maxAge: options.cookieMaxAge || (24 * 60 * 60 * 1000), // 24 hours
-      httpOnly: options.httpOnly || true,
-      secure: options.secure || process.env.NODE_ENV === 'production',
-      sameSite: options.sameSite || 'lax'
+      maxAge: cookieMaxAge || (24 * 60 * 60 * 1000), // 24 hours
+      httpOnly: httpOnly !== undefined ? httpOnly : true,
+      secure: secure !== undefined ? secure : process.env.NODE_ENV === 'production',
+      sameSite: sameSite || 'lax'
     },
     name: 'geforcenow-session',
-    ...options
+    ...sessionOptions
   };
 
+  if (storage) {
+    sessionConfig.store = new StorageSessionStore(storage, { ttl: sessionConfig.cookie.maxAge });
+  }
+
   return session(sessionConfig);
 }
 
+/**
+ * express-session store backed by the shared storage interface.
+ * Implements the Store API: get, set, touch, destroy, all, length, clear.
+ */
+class StorageSessionStore extends session.Store {
+  constructor(storage, options = {}) {
+    super();
+    this.storage = storage;
+    this.ttl = options.ttl || (24 * 60 * 60 * 1000); // 24 hours
+  }
+
+  /**
+   * Time to live for a session, following its cookie expiry
+   * @param {Object} sess - Session data
+   * @returns {number} TTL in ms
+   */
+  getTtl(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? Math.max(new Date(expires).getTime() - Date.now(), 1) : this.ttl;
+  }
+
+  get(sid, callback) {
+    this.storage.get('sessions', sid).then(sess => callback(null, sess), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.storage.set('sessions', sid, sess, this.getTtl(sess)).then(() => callback(null), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.set(sid, sess, callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.storage.delete('sessions', sid).then(() => callback(null), callback);
+  }
+
+  all(callback) {
+    this.storage.list('sessions')
+      .then(entries => callback(null, Object.fromEntries(entries)), callback);
+  }
+
+  length(callback) {
+    this.storage.list('sessions').then(entries => callback(null, entries.length), callback);
+  }
+
+  clear(callback = () => {}) {
+    this.storage.clear('sessions').then(() => callback(null), callback);
+  }
+}
+
+/**
+ * Per-session cookie jar following the RFC 6265 storage model:
+ * domain and path matching, expiry, Secure and SameSite
+ */
+class CookieJar {
+  constructor() {
+    this.cookies = [];
+  }
+
+  /**
+   * Store a cookie from a Set-Cookie header
+   * @param {string} setCookieString - Set-Cookie header value
+   * @param {string} requestUrl - URL of the response that set it
+   * @param {Object} [overrides] - Attribute overrides ({ secure, httpOnly })
+   * @returns {Object|null} Stored cookie, or null if it was rejected
+   */
+  setCookie(setCookieString, requestUrl, overrides = {}) {
+    const parsed = parseSetCookie(setCookieString);
+    if (!parsed) return null;
+
+    const url = toCookieUrl(requestUrl);
+    const host = url.hostname.toLowerCase();
+    const now = Date.now();
+    const { attributes } = parsed;
+
+    let domain = host;
+    let hostOnly = true;
+    if (attributes.domain) {
+      // Reject cookies for a domain the response did not come from, or for a bare TLD
+      if (!domainMatch(host, attributes.domain) || !attributes.domain.includes('.')) return null;
+      domain = attributes.domain;
+      hostOnly = false;
+    }
+
+    const secure = overrides.secure !== undefined ? overrides.secure : Boolean(attributes.secure);
+    if (attributes.secure && !isSecureUrl(url)) return null;
+
+    let expiresAt = null;
+    if (attributes['max-age'] !== undefined) {
+      const maxAge = parseInt(attributes['max-age'], 10);
+      if (!Number.isNaN(maxAge)) expiresAt = maxAge <= 0 ? 0 : now + maxAge * 1000;
+    } else if (attributes.expires) {
+      const expires = Date.parse(attributes.expires);
+      if (!Number.isNaN(expires)) expiresAt = expires;
+    }
+
+    const sameSite = ['strict', 'lax', 'none'].includes(String(attributes.samesite).toLowerCase())
+      ? String(attributes.samesite).toLowerCase()
+      : 'lax';
+    if (sameSite === 'none' && !attributes.secure) return null;
+
+    const cookie = {
+      name: parsed.name,
+      value: parsed.value,
+      domain,
+      hostOnly,
+      path: attributes.path && attributes.path.startsWith('/') ? attributes.path : defaultPath(url.pathname),
+      expiresAt,
+      secure,
+      httpOnly: overrides.httpOnly !== undefined ? overrides.httpOnly : Boolean(attributes.httponly),
+      sameSite,
+      createdAt: now,
+      lastAccessed: now
+    };
+
+    const index = this.cookies.findIndex(c =>
+      c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path);
+
+    if (index !== -1) {
+      cookie.createdAt = this.cookies[index].createdAt;
+      this.cookies.splice(index, 1);
+    }
+
+    // An expiry in the past deletes the cookie
+    if (expiresAt !== null && expiresAt <= now) return null;
+
+    this.cookies.push(cookie);
+    return cookie;
+  }
+
+  /**
+   * Build the Cookie header for an upstream request
+   * @param {string} requestUrl - Upstream request URL
+   * @param {Object} [context] - Request context
+   * @param {string} [context.siteForCookies] - URL of the top-level page, if known
+   * @param {string} [context.method] - HTTP method
+   * @param {boolean} [context.topLevelNavigation] - Whether this is a document navigation
+   * @returns {string} Cookie header value (empty if none match)
+   */
+  getCookieHeader(requestUrl, context = {}) {
+    const url = toCookieUrl(requestUrl);
+    const host = url.hostname.toLowerCase();
+    const secure = isSecureUrl(url);
+    const now = Date.now();
+    const crossSite = Boolean(context.siteForCookies) &&
+      registrableDomain(toCookieUrl(context.siteForCookies).hostname) !== registrableDomain(host);
+    const safeMethod = ['GET', 'HEAD', 'OPTIONS'].includes((context.method || 'GET').toUpperCase());
+
+    this.removeExpired(now);
+
+    return this.cookies
+      .filter(c => (c.hostOnly ? c.domain === host : domainMatch(host, c.domain)))
+      .filter(c => pathMatch(url.pathname || '/', c.path))
+      .filter(c => !c.secure || secure)
+      .filter(c => {
+        if (!crossSite || c.sameSite === 'none') return true;
+        return c.sameSite === 'lax' && context.topLevelNavigation && safeMethod;
+      })
+      .sort((a, b) => b.path.length - a.path.length || a.createdAt - b.createdAt)
+      .map(c => {
+        c.lastAccessed = now;
+        return `${c.name}=${c.value}`;
+      })
+      .join('; ');
+  }
+
+  /**
+   * Drop expired cookies
+   * @param {number} [now] - Current time in ms
+   */
+  removeExpired(now = Date.now()) {
+    this.cookies = this.cookies.filter(c => c.expiresAt === null || c.expiresAt > now);
+  }
+
+  /**
+   * Get all live cookies
+   * @returns {Array<Object>} Stored cookies
+   */
+  getAll() {
+    this.removeExpired();
+    return this.cookies.slice();
+  }
+
+  /**
+   * @returns {Object} Serializable form for storage
+   */
+  toJSON() {
+    return { cookies: this.getAll() };
+  }
+
+  /**
+   * Restore a jar from its stored form
+   * @param {Object} data - Output of toJSON
+   * @returns {CookieJar} Cookie jar
+   */
+  static fromJSON(data) {
+    const jar = new CookieJar();
+    jar.cookies = (data && data.cookies) || [];
+    jar.removeExpired();
+    return jar;
+  }
+}
+
 /**
  * Cookie relay middleware
- * Handles forwarding cookies from proxied requests
+ * Keeps upstream cookies in a per-session jar so the browser only ever
+ * sees the proxy's own session cookie
  */
 class CookieRelayMiddleware {
   constructor(options = {}) {
@@ -40,9 +263,27 @@ class CookieRelayMiddleware {
       stripHttpOnly: options.stripHttpOnly || false,
       cookieWhitelist: options.cookieWhitelist || [],
       cookieBlacklist: options.cookieBlacklist || [],
+      sessionCookieName: options.sessionCookieName || 'geforcenow-session',
+      sessionSecret: options.sessionSecret || process.env.SESSION_SECRET || 'geforcenow-proxy-secret',
+      storage: options.storage || new MemoryStorage(),
+      ttl: options.ttl || (24 * 60 * 60 * 1000), // 24 hours
       ...options
     };
+    // Jars loaded from storage for sessions active in this process
     this.cookieStore = new Map();
+    this.options.storage.onSweep(() => this.evictIdle());
+  }
+
+  /**
+   * Apply new cookie filters; they affect cookies relayed from now on
+   * @param {Object} options - { cookieWhitelist, cookieBlacklist, stripSecure, stripHttpOnly }
+   */
+  configure(options) {
+    for (const name of ['cookieWhitelist', 'cookieBlacklist', 'stripSecure', 'stripHttpOnly']) {
+      if (options[name] !== undefined) {
+        this.options[name] = options[name];
+      }
+    }
   }
 
   /**
@@ -50,40 +291,108 @@ class CookieRelayMiddleware {
    */
   middleware() {
     return (req, res, next) => {
-      // Store incoming cookies
-      const cookies = cookieParser.signedCookies(req, this.options.sessionSecret);
-      this.storeCookies(req.sessionID, cookies);
+      // Attach cookie relay methods to the request and response
+      req.getUpstreamCookieHeader = (url, context) => {
+        return this.getCookieHeader(req.sessionID, url, context);
+      };
 
-      // Attach cookie relay methods to response
-      res.relaySetCookie = (cookieString) => {
-        this.relayCookie(req.sessionID, cookieString);
+      res.relaySetCookie = (cookieString, url) => {
+        this.relayCookie(req.sessionID, cookieString, url);
       };
 
-      next();
+      this.loadJar(req.sessionID).then(() => next(), next);
     };
   }
 
   /**
-   * Store cookies for a session
+   * Load a session's jar from storage into the in-process cache
    * @param {string} sessionId - Session ID
-   * @param {Object} cookies - Cookies to store
+   * @returns {Promise<CookieJar>} Session cookie jar
    */
-  storeCookies(sessionId, cookies) {
+  async loadJar(sessionId) {
+    const cached = this.cookieStore.get(sessionId);
+    if (cached) {
+      cached.touchedAt = Date.now();
+      return cached;
+    }
+
+    const stored = await this.options.storage.get('cookies', sessionId);
+    // Another request may have loaded the jar while we waited
     if (!this.cookieStore.has(sessionId)) {
-      this.cookieStore.set(sessionId, {});
+      const jar = stored ? CookieJar.fromJSON(stored) : new CookieJar();
+      jar.touchedAt = Date.now();
+      this.cookieStore.set(sessionId, jar);
+    }
+    return this.cookieStore.get(sessionId);
+  }
+
+  /**
+   * Get the cookie jar for a session, creating it if needed
+   * @param {string} sessionId - Session ID
+   * @returns {CookieJar} Session cookie jar
+   */
+  getJar(sessionId) {
+    if (!this.cookieStore.has(sessionId)) {
+      const jar = new CookieJar();
+      jar.touchedAt = Date.now();
+      this.cookieStore.set(sessionId, jar);
+    }
+    return this.cookieStore.get(sessionId);
+  }
+
+  /**
+   * Write a session's jar back to storage
+   * @param {string} sessionId - Session ID
+   */
+  persistJar(sessionId) {
+    const jar = this.cookieStore.get(sessionId);
+    if (!jar) return;
+
+    this.options.storage.set('cookies', sessionId, jar.toJSON(), this.options.ttl).catch((error) => {
+      cookieLogger.error('Error persisting cookies', { sessionId, error });
+    });
+  }
+
+  /**
+   * Hand a session's jar to the session that replaces it, e.g. when the
+   * session ID is regenerated on login
+   * @param {string} fromSessionId - Old session ID
+   * @param {string} toSessionId - New session ID
+   * @returns {Promise<void>} Resolves once the old stored copy is gone
+   */
+  async moveJar(fromSessionId, toSessionId) {
+    const jar = await this.loadJar(fromSessionId);
+    this.cookieStore.delete(fromSessionId);
+    this.cookieStore.set(toSessionId, jar);
+    if (jar.getAll().length > 0) {
+      this.persistJar(toSessionId);
+    }
+    await this.options.storage.delete('cookies', fromSessionId);
+  }
+
+  /**
+   * Drop cached jars that have not been used within the TTL; their
+   * stored copies expire on their own
+   */
+  evictIdle() {
+    const cutoff = Date.now() - this.options.ttl;
+    for (const [sessionId, jar] of this.cookieStore.entries()) {
+      if (jar.touchedAt < cutoff) {
+        this.cookieStore.delete(sessionId);
+      }
     }
-    const sessionCookies = this.cookieStore.get(sessionId);
-    Object.assign(sessionCookies, cookies);
   }
 
   /**
    * Relay cookie from proxied response
    * @param {string} sessionId - Session ID
    * @param {string} cookieString - Cookie string from Set-Cookie header
+   * @param {string} url - URL of the upstream response
    */
-  relayCookie(sessionId, cookieString) {
+  relayCookie(sessionId, cookieString, url) {
     try {
-      const parsed = this.parseCookieString(cookieString);
+      const parsed = parseSetCookie(cookieString);
+      if (!parsed) return;
       
       // Check whitelist/blacklist
       if (this.options.cookieWhitelist.length > 0) {
@@ -97,48 +406,89 @@ class CookieRelayMiddleware {
       }
 
       // Apply option overrides
+      const overrides = {};
       if (this.options.stripSecure) {
-        parsed.attributes.secure = false;
+        overrides.secure = false;
       }
       if (this.options.stripHttpOnly) {
-        parsed.attributes.httpOnly = false;
+        overrides.httpOnly = false;
       }
 
       // Store in session
-      this.storeCookies(sessionId, { [parsed.name]: parsed.value });
+      const stored = this.getJar(sessionId).setCookie(cookieString, url, overrides);
       
-      console.log(`[Cookie Relay] Stored cookie: ${parsed.name} for session ${sessionId}`);
+      this.persistJar(sessionId);
+
+      if (stored) {
+        cookieLogger.debug('Stored upstream cookie', { sessionId, url });
+      }
     } catch (error) {
-      console.error(`[Cookie Relay] Error relaying cookie:`, error);
+      cookieLogger.error('Error relaying cookie', { sessionId, url, error });
     }
   }
 
   /**
-   * Parse cookie string
-   * @param {string} cookieString - Cookie string
-   * @returns {Object} Parsed cookie
+   * Record every Set-Cookie header of an upstream response
+   * @param {string} sessionId - Session ID
+   * @param {Object} headers - Upstream response headers
+   * @param {string} url - URL of the upstream response
    */
-  parseCookieString(cookieString) {
-    const parts = cookieString.split(';').map(s => s.trim());
-    const [nameValue] = parts;
-    const [name, value] = nameValue.split('=');
-    
-    const attributes = {};
-    for (let i = 1; i < parts.length; i++) {
-      const [attrName, attrValue] = parts[i].split('=').map(s => s.trim());
-      attributes[attrName.toLowerCase()] = attrValue || true;
+  storeResponseCookies(sessionId, headers, url) {
+    const setCookie = headers['set-cookie'];
+    if (!setCookie) return;
+
+    for (const cookieString of [].concat(setCookie)) {
+      this.relayCookie(sessionId, cookieString, url);
     }
+  }
+
+  /**
+   * Build the Cookie header for an upstream request
+   * @param {string} sessionId - Session ID
+   * @param {string} url - Upstream request URL
+   * @param {Object} [context] - SameSite context, see CookieJar#getCookieHeader
+   * @returns {string} Cookie header value
+   */
+  getCookieHeader(sessionId, url, context) {
+    const jar = this.cookieStore.get(sessionId);
+    return jar ? jar.getCookieHeader(url, context) : '';
+  }
 
-    return { name, value, attributes };
+  /**
+   * Read the session ID from a raw request's signed session cookie.
+   * Used for WebSocket upgrades, which bypass the Express middleware.
+   * @param {http.IncomingMessage} request - HTTP request
+   * @returns {string|null} Session ID
+   */
+  getSessionIdFromRequest(request) {
+    return readSignedCookie(request, this.options.sessionCookieName, this.options.sessionSecret);
   }
 
   /**
    * Get cookies for a session
    * @param {string} sessionId - Session ID
-   * @returns {Object} Session cookies
+   * @returns {Object} Session cookies (name to value)
    */
   getCookies(sessionId) {
-    return this.cookieStore.get(sessionId) || {};
+    const jar = this.cookieStore.get(sessionId);
+    if (!jar) return {};
+
+    return jar.getAll().reduce((cookies, c) => {
+      cookies[c.name] = c.value;
+      return cookies;
+    }, {});
+  }
+
+  /**
+   * Get the names of a session's cookies without caching its jar, for
+   * views that look at many sessions at once
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<string>>} Cookie names
+   */
+  async peekCookieNames(sessionId) {
+    const cached = this.cookieStore.get(sessionId);
+    const jar = cached || CookieJar.fromJSON(await this.options.storage.get('cookies', sessionId));
+    return Array.from(new Set(jar.getAll().map(c => c.name)));
   }
 
   /**
@@ -147,17 +497,128 @@ class CookieRelayMiddleware {
    */
   clearCookies(sessionId) {
     this.cookieStore.delete(sessionId);
+    this.options.storage.delete('cookies', sessionId).catch((error) => {
+      cookieLogger.error('Error clearing cookies', { sessionId, error });
+    });
   }
 }
 
+/**
+ * Parse a Set-Cookie header value (RFC 6265 section 5.2)
+ * @param {string} cookieString - Set-Cookie header value
+ * @returns {Object|null} { name, value, attributes }, or null if malformed
+ */
+function parseSetCookie(cookieString) {
+  const parts = cookieString.split(';');
+  const nameValue = parts.shift();
+  const eq = nameValue.indexOf('=');
+  if (eq === -1) return null;
+
+  const name = nameValue.slice(0, eq).trim();
+  const value = nameValue.slice(eq + 1).trim();
+  if (!name) return null;
+
+  const attributes = {};
+  for (const part of parts) {
+    const attrEq = part.indexOf('=');
+    const attrName = (attrEq === -1 ? part : part.slice(0, attrEq)).trim().toLowerCase();
+    const attrValue = attrEq === -1 ? true : part.slice(attrEq + 1).trim();
+    if (!attrName) continue;
+
+    if (attrName === 'domain') {
+      const domain = String(attrValue).replace(/^\./, '').toLowerCase();
+      if (domain) attributes.domain = domain;
+    } else {
+      attributes[attrName] = attrValue;
+    }
+  }
+
+  return { name, value, attributes };
+}
+
+/**
+ * Parse a URL for cookie matching; ws/wss are treated as http/https
+ * @param {string} url - URL
+ * @returns {URL} Parsed URL
+ */
+function toCookieUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol === 'ws:') parsed.protocol = 'http:';
+  if (parsed.protocol === 'wss:') parsed.protocol = 'https:';
+  return parsed;
+}
+
+/**
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True if the URL is a secure channel
+ */
+function isSecureUrl(url) {
+  return url.protocol === 'https:';
+}
+
+/**
+ * Domain matching (RFC 6265 section 5.1.3)
+ * @param {string} host - Request host
+ * @param {string} domain - Cookie domain
+ * @returns {boolean} True if host domain-matches domain
+ */
+function domainMatch(host, domain) {
+  if (host === domain) return true;
+  return host.endsWith(`.${domain}`) && !/^\d+\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * Path matching (RFC 6265 section 5.1.4)
+ * @param {string} requestPath - Request path
+ * @param {string} cookiePath - Cookie path
+ * @returns {boolean} True if requestPath path-matches cookiePath
+ */
+function pathMatch(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * Default cookie path (RFC 6265 section 5.1.4)
+ * @param {string} requestPath - Request path
+ * @returns {string} Default path
+ */
+function defaultPath(requestPath) {
+  if (!requestPath || !requestPath.startsWith('/')) return '/';
+  const lastSlash = requestPath.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : requestPath.slice(0, lastSlash);
+}
+
+/**
+ * Approximate the registrable domain (last two labels) to decide whether
+ * a request is same-site. Good enough for the GeForce NOW and NVIDIA
+ * domains; a full public suffix list is not bundled.
+ * @param {string} host - Host name
+ * @returns {string} Registrable domain
+ */
+function registrableDomain(host) {
+  return host.toLowerCase().split('.').slice(-2).join('.');
+}
+
 /**
  * Authentication state middleware
  * Manages user authentication state across proxy requests
  */
 class AuthenticationStateMiddleware {
   constructor(options = {}) {
-    this.options = options;
+    this.options = {
+      storage: options.storage || new MemoryStorage(),
+      ttl: options.ttl || (24 * 60 * 60 * 1000), // 24 hours
+      // Activity alone is written to storage at most this often per session
+      activityInterval: options.activityInterval || 60000, // 1 minute
+      ...options
+    };
+    // States loaded from storage for sessions active in this process
     this.states = new Map();
+    // When each session's state was last written
+    this.persistedAt = new Map();
+    this.options.storage.onSweep(() => this.evictIdle());
   }
 
   /**
@@ -165,19 +626,6 @@ class AuthenticationStateMiddleware {
    */
   middleware() {
     return (req, res, next) => {
-      // Initialize auth state if not exists
-      if (!this.states.has(req.sessionID)) {
-        this.states.set(req.sessionID, {
-          isAuthenticated: false,
-          user: null,
-          loginTime: null,
-          lastActivity: Date.now()
-        });
-      }
-
-      const authState = this.states.get(req.sessionID);
-      authState.lastActivity = Date.now();
-
       // Attach auth methods to request
       req.setAuthState = (user) => {
         this.setAuthState(req.sessionID, user);
@@ -191,10 +639,71 @@ class AuthenticationStateMiddleware {
         this.clearAuthState(req.sessionID);
       };
 
-      next();
+      this.loadState(req.sessionID)
+        .then((authState) => {
+          authState.lastActivity = Date.now();
+          const persistedAt = this.persistedAt.get(req.sessionID) || 0;
+          if (authState.lastActivity - persistedAt >= this.options.activityInterval) {
+            this.persistState(req.sessionID);
+          }
+          next();
+        })
+        .catch(next);
     };
   }
 
+  /**
+   * Load a session's auth state from storage into the in-process cache,
+   * initializing it if it does not exist
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Auth state
+   */
+  async loadState(sessionId) {
+    if (this.states.has(sessionId)) {
+      return this.states.get(sessionId);
+    }
+
+    const stored = await this.options.storage.get('auth', sessionId);
+    // Another request may have loaded the state while we waited
+    if (!this.states.has(sessionId)) {
+      this.states.set(sessionId, stored || {
+        isAuthenticated: false,
+        user: null,
+        loginTime: null,
+        lastActivity: Date.now()
+      });
+    }
+    return this.states.get(sessionId);
+  }
+
+  /**
+   * Write a session's auth state back to storage
+   * @param {string} sessionId - Session ID
+   */
+  persistState(sessionId) {
+    const state = this.states.get(sessionId);
+    if (!state) return;
+
+    this.persistedAt.set(sessionId, Date.now());
+    this.options.storage.set('auth', sessionId, state, this.options.ttl).catch((error) => {
+      authLogger.error('Error persisting auth state', { sessionId, error });
+    });
+  }
+
+  /**
+   * Drop cached states idle for longer than the TTL; their stored copies
+   * expire on their own
+   */
+  evictIdle() {
+    const cutoff = Date.now() - this.options.ttl;
+    for (const [sessionId, state] of this.states.entries()) {
+      if (state.lastActivity < cutoff) {
+        this.states.delete(sessionId);
+        this.persistedAt.delete(sessionId);
+      }
+    }
+  }
+
   /**
    * Set authentication state
    * @param {string} sessionId - Session ID
@@ -205,8 +714,10 @@ class AuthenticationStateMiddleware {
     state.isAuthenticated = true;
     state.user = user;
     state.loginTime = Date.now();
+    state.lastActivity = Date.now();
     this.states.set(sessionId, state);
-    console.log(`[Auth State] User authenticated for session ${sessionId}`);
+    this.persistState(sessionId);
+    authLogger.info('User authenticated', { sessionId });
   }
 
   /**
@@ -227,7 +738,11 @@ class AuthenticationStateMiddleware {
    */
   clearAuthState(sessionId) {
     this.states.delete(sessionId);
-    console.log(`[Auth State] Auth state cleared for session ${sessionId}`);
+    this.persistedAt.delete(sessionId);
+    this.options.storage.delete('auth', sessionId).catch((error) => {
+      authLogger.error('Error clearing auth state', { sessionId, error });
+    });
+    authLogger.info('Auth state cleared', { sessionId });
   }
 
   /**
@@ -242,8 +757,37 @@ class AuthenticationStateMiddleware {
   }
 }
 
+/**
+ * Read a signed cookie from a raw request's Cookie header. Values that are
+ * not percent-encoded properly, unsigned or signed with another secret
+ * read as missing, as they do for express-session.
+ * @param {http.IncomingMessage} request - HTTP request
+ * @param {string} name - Cookie name
+ * @param {string} secret - Secret the cookie was signed with
+ * @returns {string|null} Cookie value without its signature
+ */
+function readSignedCookie(request, name, secret) {
+  const prefix = `${name}=`;
+  const raw = (request.headers.cookie || '').split(';')
+    .map(c => c.trim())
+    .find(c => c.startsWith(prefix));
+  if (!raw) return null;
+
+  let value;
+  try {
+    value = decodeURIComponent(raw.slice(prefix.length));
+  } catch (error) {
+    return null;
+  }
+  if (!value.startsWith('s:')) return null;
+  return cookieParser.signedCookie(value, secret) || null;
+}
+
 module.exports = {
   configureSessionMiddleware,
+  readSignedCookie,
+  StorageSessionStore,
+  CookieJar,
   CookieRelayMiddleware,
   AuthenticationStateMiddleware,
   cookieParser
@@ -0,0 +1,432 @@
+/**
+ * Storage Module
+ * Pluggable key/value storage shared by sessions, cookie jars and
+ * authentication state, with per-entry TTLs and a background sweep
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Redis = require('ioredis');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Storage');
+
+/**
+ * Storage base class
+ * Backends implement get/set/delete/list/clear/sweep; this class runs
+ * the background sweep and notifies listeners after each pass
+ */
+class Storage {
+  constructor(options = {}) {
+    this.options = {
+      ...options,
+      defaultTtl: options.defaultTtl || (24 * 60 * 60 * 1000) // 24 hours
+    };
+    this.sweepTimer = null;
+    this.sweepListeners = [];
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async sweep() {
+    return 0;
+  }
+
+  /**
+   * Register a callback run after each background sweep, so callers can
+   * drop their own caches of expired entries
+   * @param {Function} listener - Callback
+   */
+  onSweep(listener) {
+    this.sweepListeners.push(listener);
+  }
+
+  /**
+   * Start the background sweep of expired entries
+   * @param {number} interval - Sweep interval in ms
+   */
+  startSweep(interval) {
+    this.stopSweep();
+    this.sweepTimer = setInterval(() => {
+      this.sweep()
+        .then((removed) => {
+          if (removed > 0) {
+            logger.info('Swept expired entries', { removed });
+          }
+          this.sweepListeners.forEach(listener => listener());
+        })
+        .catch((error) => {
+          logger.error('Sweep failed', { error });
+        });
+    }, interval);
+  }
+
+  /**
+   * Stop the background sweep
+   */
+  stopSweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Release resources
+   */
+  async close() {
+    this.stopSweep();
+  }
+}
+
+/**
+ * In-memory storage backend
+ * Values are kept as JSON so callers never share object references
+ * with the store, matching the behavior of the persistent backends.
+ */
+class MemoryStorage extends Storage {
+  constructor(options = {}) {
+    super(options);
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value
+   * @param {string} namespace - Namespace (e.g. 'sessions', 'cookies')
+   * @param {string} key - Key
+   * @returns {Promise<*>} Stored value, or null if missing or expired
+   */
+  async get(namespace, key) {
+    const entry = this.entries.get(entryKey(namespace, key));
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(entryKey(namespace, key));
+      this.onChange();
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  /**
+   * Set a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {number} [ttl] - Time to live in ms (defaults to defaultTtl)
+   */
+  async set(namespace, key, value, ttl) {
+    this.entries.set(entryKey(namespace, key), {
+      value: JSON.stringify(value),
+      expiresAt: Date.now() + (ttl || this.options.defaultTtl)
+    });
+    this.onChange();
+  }
+
+  /**
+   * Delete a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   */
+  async delete(namespace, key) {
+    if (this.entries.delete(entryKey(namespace, key))) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * List live entries in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Promise<Array>} [key, value] pairs
+   */
+  async list(namespace) {
+    const prefix = `${namespace}:`;
+    const now = Date.now();
+    const result = [];
+
+    for (const [fullKey, entry] of this.entries.entries()) {
+      if (fullKey.startsWith(prefix) && entry.expiresAt > now) {
+        result.push([fullKey.slice(prefix.length), JSON.parse(entry.value)]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Delete every entry in a namespace
+   * @param {string} namespace - Namespace
+   */
+  async clear(namespace) {
+    const prefix = `${namespace}:`;
+    for (const fullKey of Array.from(this.entries.keys())) {
+      if (fullKey.startsWith(prefix)) {
+        this.entries.delete(fullKey);
+      }
+    }
+    this.onChange();
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async sweep() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [fullKey, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(fullKey);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.onChange();
+    }
+    return removed;
+  }
+
+  /**
+   * Called after every mutation; persistent subclasses hook in here
+   */
+  onChange() {}
+}
+
+/**
+ * File storage backend
+ * Keeps entries in memory and writes them to a JSON file shortly after
+ * each change, so state survives restarts and redeploys
+ */
+class FileStorage extends MemoryStorage {
+  constructor(options = {}) {
+    super(options);
+    this.options.path = options.path || path.join(process.cwd(), 'data', 'storage.json');
+    this.options.flushDelay = options.flushDelay || 1000;
+    this.flushTimer = null;
+    // Resolves once the running flush has written its snapshot
+    this.writing = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Load entries from disk, dropping any that expired while stopped
+   */
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.options.path, 'utf8'));
+      const now = Date.now();
+      for (const [fullKey, entry] of Object.entries(data)) {
+        if (entry.expiresAt > now) {
+          this.entries.set(fullKey, entry);
+        }
+      }
+      logger.info('Loaded entries', { entries: this.entries.size, path: this.options.path });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Could not read storage file', { path: this.options.path, error });
+      }
+    }
+  }
+
+  /**
+   * Schedule a flush after a mutation
+   */
+  onChange() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.options.flushDelay);
+  }
+
+  /**
+   * Write all entries to disk atomically. Flushes are chained, so they
+   * never overlap and the file always ends up with the latest snapshot.
+   * @returns {Promise<void>} Resolves once this flush has been written
+   */
+  flush() {
+    this.writing = this.writing.then(() => this.write());
+    return this.writing;
+  }
+
+  /**
+   * Write a snapshot of the entries to a temporary file and move it into place
+   * @returns {Promise<void>} Resolves once written; errors are logged
+   */
+  async write() {
+    const tmpPath = `${this.options.path}.tmp`;
+    try {
+      const data = JSON.stringify(Object.fromEntries(this.entries));
+      await fs.promises.mkdir(path.dirname(this.options.path), { recursive: true });
+      await fs.promises.writeFile(tmpPath, data);
+      await fs.promises.rename(tmpPath, this.options.path);
+    } catch (error) {
+      logger.error('Could not write storage file', { path: this.options.path, error });
+    }
+  }
+
+  /**
+   * Flush pending changes and release resources
+   */
+  async close() {
+    await super.close();
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      this.flush();
+    }
+    await this.writing;
+  }
+}
+
+/**
+ * Redis storage backend
+ * Works with any server speaking the Redis protocol (Redis, Valkey,
+ * KeyDB, Upstash). Expiry is handled by the server itself.
+ */
+class RedisStorage extends Storage {
+  constructor(options = {}) {
+    super(options);
+    this.options.url = options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+    this.options.keyPrefix = options.keyPrefix || 'geforcenow-proxy:';
+
+    this.client = options.client || new Redis(this.options.url);
+    this.client.on('error', (error) => {
+      logger.error('Redis error', { error });
+    });
+  }
+
+  /**
+   * Get a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {Promise<*>} Stored value, or null if missing or expired
+   */
+  async get(namespace, key) {
+    const value = await this.client.get(this.redisKey(namespace, key));
+    return value === null ? null : JSON.parse(value);
+  }
+
+  /**
+   * Set a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {number} [ttl] - Time to live in ms (defaults to defaultTtl)
+   */
+  async set(namespace, key, value, ttl) {
+    await this.client.set(this.redisKey(namespace, key), JSON.stringify(value), 'PX', ttl || this.options.defaultTtl);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   */
+  async delete(namespace, key) {
+    await this.client.del(this.redisKey(namespace, key));
+  }
+
+  /**
+   * List live entries in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Promise<Array>} [key, value] pairs
+   */
+  async list(namespace) {
+    const keys = await this.scanKeys(namespace);
+    if (keys.length === 0) return [];
+
+    const values = await this.client.mget(keys);
+    const prefixLength = this.redisKey(namespace, '').length;
+    return keys
+      .map((fullKey, i) => [fullKey.slice(prefixLength), values[i]])
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => [key, JSON.parse(value)]);
+  }
+
+  /**
+   * Delete every entry in a namespace
+   * @param {string} namespace - Namespace
+   */
+  async clear(namespace) {
+    const keys = await this.scanKeys(namespace);
+    if (keys.length > 0) {
+      await this.client.del(...keys);
+    }
+  }
+
+  /**
+   * Stop sweeping and disconnect
+   */
+  async close() {
+    await super.close();
+    await this.client.quit();
+  }
+
+  /**
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {string} Full Redis key
+   */
+  redisKey(namespace, key) {
+    return `${this.options.keyPrefix}${entryKey(namespace, key)}`;
+  }
+
+  /**
+   * Collect every key in a namespace without blocking the server
+   * @param {string} namespace - Namespace
+   * @returns {Promise<Array<string>>} Full Redis keys
+   */
+  async scanKeys(namespace) {
+    const pattern = `${this.redisKey(namespace, '')}*`;
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== '0');
+
+    return keys;
+  }
+}
+
+/**
+ * Create a storage backend from options or environment variables
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.backend] - 'memory', 'file' or 'redis'
+ * @returns {MemoryStorage} Storage instance
+ */
+function createStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStorage(options);
+    case 'file':
+      return new FileStorage({ path: process.env.STORAGE_PATH, ...options });
+    case 'redis':
+      return new RedisStorage({ url: process.env.REDIS_URL, ...options });
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+/**
+ * @param {string} namespace - Namespace
+ * @param {string} key - Key
+ * @returns {string} Namespaced key
+ */
+function entryKey(namespace, key) {
+  return `${namespace}:${key}`;
+}
+
+module.exports = {
+  Storage,
+  MemoryStorage,
+  FileStorage,
+  RedisStorage,
+  createStorage
+};
@@ -0,0 +1,162 @@
+/**
+ * URL Codec Module
+ * Encodes target URLs into proxy paths of the form
+ * /p/<encoded-origin>/<path>?<query>, so the browser resolves relative
+ * URLs inside the proxy by itself. The origin segment is encoded with a
+ * selectable codec (plain, base64url or XOR).
+ */
+
+const CODECS = ['plain', 'base64url', 'xor'];
+
+/**
+ * Build the codec functions. This function is also serialized into the
+ * service worker and client scripts, so it must stay self-contained and
+ * only use APIs available in both Node.js and browsers (btoa/atob, URL).
+ * @param {string} name - Codec name ('plain', 'base64url' or 'xor')
+ * @param {string} key - XOR key
+ * @param {string} prefix - Path prefix (e.g. '/p')
+ * @returns {Object} { prefix, encode(url), decode(path) }
+ */
+function createCodecCore(name, key, prefix) {
+  function toBase64Url(binary) {
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(segment) {
+    return atob(segment.replace(/-/g, '+').replace(/_/g, '/'));
+  }
+
+  function xor(value) {
+    var result = '';
+    for (var i = 0; i < value.length; i++) {
+      result += String.fromCharCode(value.charCodeAt(i) ^ key.charCodeAt(i % key.length));
+    }
+    return result;
+  }
+
+  var segments = {
+    plain: {
+      // https://host:8443 -> https:host:8443
+      encode: function(origin) { return origin.replace('://', ':'); },
+      decode: function(segment) { return decodeURIComponent(segment).replace(':', '://'); }
+    },
+    base64url: {
+      encode: function(origin) { return toBase64Url(origin); },
+      decode: function(segment) { return fromBase64Url(segment); }
+    },
+    xor: {
+      encode: function(origin) { return toBase64Url(xor(origin)); },
+      decode: function(segment) { return xor(fromBase64Url(segment)); }
+    }
+  };
+  var codec = segments[name];
+
+  return {
+    prefix: prefix,
+
+    // Absolute http(s) URL -> proxy path
+    encode: function(url) {
+      var parsed = new URL(url);
+      return prefix + '/' + codec.encode(parsed.origin) + parsed.pathname + parsed.search + parsed.hash;
+    },
+
+    // Proxy path (with query and hash) -> absolute URL, or null if not a proxy path
+    decode: function(path) {
+      if (path.indexOf(prefix + '/') !== 0) return null;
+
+      var rest = path.slice(prefix.length + 1);
+      var end = rest.search(/[/?#]/);
+      var segment = end === -1 ? rest : rest.slice(0, end);
+      var tail = end === -1 ? '/' : rest.slice(end);
+      if (tail.charAt(0) !== '/') tail = '/' + tail;
+
+      try {
+        var origin = codec.decode(segment);
+        var parsed = new URL(origin);
+        if ((parsed.protocol !== 'http:' && parsed.protocol !== 'https:') || parsed.origin !== origin) {
+          return null;
+        }
+        return origin + tail;
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * URL codec shared by the server, the service worker and client scripts
+ */
+class UrlCodec {
+  constructor(options = {}) {
+    this.options = {
+      codec: options.codec || 'plain',
+      key: options.key || 'geforcenow-proxy',
+      prefix: options.prefix || '/p'
+    };
+
+    if (!CODECS.includes(this.options.codec)) {
+      throw new Error(`Unknown URL codec: ${this.options.codec} (expected one of ${CODECS.join(', ')})`);
+    }
+    this.core = createCodecCore(this.options.codec, this.options.key, this.options.prefix);
+  }
+
+  /**
+   * Encode a target URL into a proxy URL
+   * @param {string} targetUrl - Absolute http(s) URL
+   * @param {string} proxyBaseUrl - The proxy server base URL
+   * @returns {string} Proxy URL
+   */
+  encode(targetUrl, proxyBaseUrl) {
+    return proxyBaseUrl + this.core.encode(targetUrl);
+  }
+
+  /**
+   * Decode a proxy path back into the target URL
+   * @param {string} path - Request path including query string
+   * @returns {string|null} Target URL, or null if the path is not a valid proxy path
+   */
+  decode(path) {
+    return this.core.decode(path);
+  }
+
+  /**
+   * @param {string} pathname - Request path
+   * @returns {boolean} True if the path is under the proxy prefix
+   */
+  isProxyPath(pathname) {
+    return pathname.startsWith(`${this.options.prefix}/`);
+  }
+
+  /**
+   * JavaScript expression that evaluates to this codec in a browser or
+   * service worker: an object with encode(url) and decode(path) returning
+   * proxy paths (without the proxy base URL)
+   * @returns {string} JavaScript source
+   */
+  clientSource() {
+    const { codec, key, prefix } = this.options;
+    return `(${createCodecCore.toString()})(${JSON.stringify(codec)}, ${JSON.stringify(key)}, ${JSON.stringify(prefix)})`;
+  }
+}
+
+/**
+ * Create a URL codec from options or environment variables
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.codec] - 'plain', 'base64url' or 'xor'
+ * @param {string} [options.key] - XOR key
+ * @param {string} [options.prefix] - Path prefix
+ * @returns {UrlCodec} URL codec
+ */
+function createUrlCodec(options = {}) {
+  return new UrlCodec({
+    ...options,
+    codec: options.codec || process.env.URL_CODEC,
+    key: options.key || process.env.URL_CODEC_KEY
+  });
+}
+
+module.exports = {
+  UrlCodec,
+  createUrlCodec
+};
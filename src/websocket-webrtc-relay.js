@@ -1,11 +1,22 @@
 /**
  * WebSocket and WebRTC Relay Module
- * Provides relay functionality for WebSocket and WebRTC connections
- * with placeholder implementations for basic support
+ * Provides relay functionality for WebSocket connections, signaling
+ * for WebRTC peers and an embedded STUN/TURN server for media relay
  */
 
 const WebSocket = require('ws');
 const http = require('http');
+const net = require('net');
+const dgram = require('dgram');
+const crypto = require('crypto');
+const { HostPolicyError, isPrivateAddress } = require('./host-policy');
+const { readSignedCookie } = require('./session-cookie-middleware');
+const { RATE_LIMIT_CLOSE_CODE, clientAddress } = require('./rate-limiter');
+const { createLogger, resolveRequestId, runWithContext, sessionRef, REQUEST_ID_HEADER } = require('./logger');
+
+const wsLogger = createLogger('WebSocket Relay');
+const rtcLogger = createLogger('WebRTC Relay');
+const turnLogger = createLogger('TURN Server');
 
 /**
  * WebSocket Relay Class
@@ -14,13 +25,44 @@ const http = require('http');
 class WebSocketRelay {
   constructor(options = {}) {
     this.options = {
+      path: options.path || '/ws-relay',
       timeout: options.timeout || 60000,
       heartbeatInterval: options.heartbeatInterval || 30000,
       maxConnections: options.maxConnections || 1000,
+      highWaterMark: options.highWaterMark || (1024 * 1024), // 1 MB
+      lowWaterMark: options.lowWaterMark || (256 * 1024), // 256 KB
+      cookieRelay: options.cookieRelay || null,
+      hostPolicy: options.hostPolicy || null,
+      authorize: options.authorize || null,
+      rateLimiter: options.rateLimiter || null,
+      metrics: options.metrics || null,
+      // HAR recorder for connections and frames
+      recorder: options.recorder || null,
+      // Opens upstream sockets; replay mode substitutes recorded ones
+      createUpstream: options.createUpstream || ((url, protocols, socketOptions) => new WebSocket(url, protocols, socketOptions)),
       ...options
     };
     this.connections = new Map();
     this.server = null;
+    this.heartbeat = null;
+    this.closing = false;
+  }
+
+  /**
+   * Apply new limits. Open connections keep running; a new heartbeat
+   * interval takes effect immediately.
+   * @param {Object} options - { timeout, heartbeatInterval, maxConnections, highWaterMark, lowWaterMark }
+   */
+  configure(options) {
+    const { heartbeatInterval } = this.options;
+    for (const name of ['timeout', 'heartbeatInterval', 'maxConnections', 'highWaterMark', 'lowWaterMark']) {
+      if (options[name] !== undefined) {
+        this.options[name] = options[name];
+      }
+    }
+    if (this.heartbeat && this.options.heartbeatInterval !== heartbeatInterval) {
+      this.startHeartbeat();
+    }
   }
 
   /**
@@ -28,54 +70,279 @@ class WebSocketRelay {
    * @param {http.Server} httpServer - Express HTTP server instance
    */
   initialize(httpServer) {
-    this.server = new WebSocket.Server({ noServer: true });
+    this.server = new WebSocket.Server({
+      noServer: true,
+      // Answer the client with whatever subprotocol the upstream selected
+      handleProtocols: (protocols, request) => request.relayProtocol || false
+    });
+    // Return the upgrade's request ID in the handshake response
+    this.server.on('headers', (headers, request) => {
+      headers.push(`${REQUEST_ID_HEADER}: ${request.id}`);
+    });
     
-    httpServer.on('upgrade', (request, socket, head) => {
-      if (request.url === '/ws-relay') {
-        this.server.handleUpgrade(request, socket, head, (ws) => {
-          this.handleConnection(ws, request);
+    httpServer.on('upgrade', guardUpgrade(wsLogger, (request, socket, head) => {
+      const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+      if (pathname !== this.options.path) return;
+
+      const { cookieRelay } = this.options;
+      const sessionId = cookieRelay && cookieRelay.getSessionIdFromRequest(request);
+      request.id = resolveRequestId(request.headers);
+      // Everything logged while setting up the connection carries the request and session
+      runWithContext({ requestId: request.id, sessionId }, () => {
+        authorizeUpgrade(this.options.authorize, request, sessionId, socket, wsLogger).then((authorized) => {
+          if (authorized) {
+            this.handleUpgrade(request, socket, head, searchParams);
+          }
         });
-      }
-    });
+      });
+    }));
 
     // Start heartbeat
     this.startHeartbeat();
-    console.log('[WebSocket Relay] Initialized and listening on /ws-relay');
+    wsLogger.info('Initialized', { path: this.options.path });
   }
 
   /**
-   * Handle incoming WebSocket connection
-   * @param {WebSocket} ws - WebSocket connection
-   * @param {http.IncomingMessage} request - HTTP request
+   * Open the upstream socket first so the client handshake can echo the
+   * subprotocol the upstream server selected
+   * @param {http.IncomingMessage} request - HTTP upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @param {URLSearchParams} searchParams - Relay query parameters
    */
-  handleConnection(ws, request) {
-    const connectionId = this.generateConnectionId();
-    const clientIp = request.socket.remoteAddress;
-    
-    console.log(`[WebSocket Relay] New connection from ${clientIp}: ${connectionId}`);
-    
+  handleUpgrade(request, socket, head, searchParams) {
+    if (this.closing) {
+      rejectUpgrade(socket, 503, 'Service Unavailable');
+      return;
+    }
+
+    const targetUrl = this.resolveTarget(searchParams.get('url'));
+    if (!targetUrl) {
+      rejectUpgrade(socket, 400, 'Bad Request');
+      return;
+    }
+
+    const { hostPolicy } = this.options;
+    if (hostPolicy) {
+      try {
+        hostPolicy.assertAllowed(targetUrl);
+      } catch (error) {
+        wsLogger.warn('Refused upstream', { target: targetUrl, error });
+        rejectUpgrade(socket, 403, 'Forbidden');
+        return;
+      }
+    }
+
     // Check connection limit
     if (this.connections.size >= this.options.maxConnections) {
-      ws.close(1008, 'Server at max capacity');
+      rejectUpgrade(socket, 503, 'Service Unavailable');
+      return;
+    }
+
+    // Make sure the session's cookie jar is loaded before building headers
+    const { cookieRelay, rateLimiter } = this.options;
+    const sessionId = cookieRelay && cookieRelay.getSessionIdFromRequest(request);
+    const jarReady = sessionId ? cookieRelay.loadJar(sessionId) : Promise.resolve();
+    const rateLimitKey = rateLimiter && rateLimiter.isEnabled()
+      ? rateLimiter.keyForUpgrade(request, sessionId).catch(() => `ip:${clientAddress(request, rateLimiter.options.trustProxy)}`)
+      : Promise.resolve(null);
+
+    const ready = jarReady.catch((error) => {
+      wsLogger.error('Could not load cookies', { error });
+    });
+
+    Promise.all([rateLimitKey, ready]).then(([key]) => {
+      // Each connection counts as a request; its frames count against the bandwidth quota
+      if (key) {
+        const result = rateLimiter.consumeRequest(key);
+        if (!result.allowed) {
+          wsLogger.warn('Connection rate limited', { rateLimitKey: key, reason: result.reason });
+          rejectUpgrade(socket, 429, 'Too Many Requests', { 'Retry-After': result.retryAfter });
+          return;
+        }
+        request.rateLimitKey = key;
+      }
+      this.connectUpstream(request, socket, head, targetUrl, searchParams.get('origin'));
+    }).catch((error) => {
+      wsLogger.error('Upgrade failed', { target: targetUrl, error });
+      socket.destroy();
+    });
+  }
+
+  /**
+   * Connect to the upstream server and complete the client handshake once
+   * it accepts
+   * @param {http.IncomingMessage} request - HTTP upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @param {string} targetUrl - Upstream WebSocket URL
+   * @param {string} [originOverride] - Origin to present upstream
+   */
+  connectUpstream(request, socket, head, targetUrl, originOverride) {
+    const protocols = (request.headers['sec-websocket-protocol'] || '')
+      .split(',')
+      .map(p => p.trim())
+      .filter(Boolean);
+
+    const { hostPolicy } = this.options;
+    let upstream;
+    try {
+      upstream = this.options.createUpstream(targetUrl, protocols, {
+        headers: this.buildUpstreamHeaders(request, targetUrl, originOverride),
+        // Resolved addresses are checked at connect time
+        ...(hostPolicy && { lookup: hostPolicy.lookup })
+      });
+    } catch (error) {
+      // ws throws on invalid or duplicated subprotocols, among others
+      wsLogger.warn('Invalid upstream handshake', { target: targetUrl, error });
+      rejectUpgrade(socket, 400, 'Bad Request');
       return;
     }
 
+    const onEarlyClose = (status = 502, message = 'Bad Gateway') => rejectUpgrade(socket, status, message);
+    const onClientGone = () => upstream.terminate();
+    socket.on('close', onClientGone);
+
+    upstream.once('unexpected-response', (req, res) => {
+      wsLogger.error('Upstream refused upgrade', { target: targetUrl, status: res.statusCode });
+      req.destroy();
+      onEarlyClose();
+    });
+
+    upstream.once('error', (error) => {
+      if (upstream.readyState !== WebSocket.OPEN) {
+        wsLogger.error('Upstream connection failed', { target: targetUrl, error });
+        if (HostPolicyError.from(error)) {
+          onEarlyClose(403, 'Forbidden');
+        } else {
+          onEarlyClose();
+        }
+      }
+    });
+
+    upstream.once('upgrade', (response) => {
+      const { cookieRelay } = this.options;
+      const sessionId = cookieRelay && cookieRelay.getSessionIdFromRequest(request);
+      if (sessionId) {
+        cookieRelay.storeResponseCookies(sessionId, response.headers, targetUrl);
+      }
+    });
+
+    upstream.once('open', () => {
+      socket.removeListener('close', onClientGone);
+      if (this.closing) {
+        upstream.terminate();
+        onEarlyClose(503, 'Service Unavailable');
+        return;
+      }
+      request.relayProtocol = upstream.protocol;
+      this.server.handleUpgrade(request, socket, head, (ws) => {
+        this.handleConnection(ws, request, upstream, targetUrl);
+      });
+    });
+  }
+
+  /**
+   * Resolve the relay target from the url query parameter
+   * @param {string} rawTarget - Target URL (ws, wss, http or https)
+   * @returns {string|null} Upstream WebSocket URL, or null if invalid
+   */
+  resolveTarget(rawTarget) {
+    if (!rawTarget) return null;
+
+    try {
+      const target = new URL(rawTarget);
+      if (target.protocol === 'http:') target.protocol = 'ws:';
+      if (target.protocol === 'https:') target.protocol = 'wss:';
+      return ['ws:', 'wss:'].includes(target.protocol) ? target.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the headers for the upstream handshake
+   * @param {http.IncomingMessage} request - Client upgrade request
+   * @param {string} targetUrl - Upstream WebSocket URL
+   * @param {string} [originOverride] - Origin to present upstream
+   * @returns {Object} Upstream headers
+   */
+  buildUpstreamHeaders(request, targetUrl, originOverride) {
+    const target = new URL(targetUrl);
+    const headers = {
+      Origin: originOverride || `${target.protocol === 'wss:' ? 'https:' : 'http:'}//${target.host}`
+    };
+    if (request.id) {
+      headers[REQUEST_ID_HEADER] = request.id;
+    }
+
+    if (request.headers['user-agent']) {
+      headers['User-Agent'] = request.headers['user-agent'];
+    }
+
+    // Send the session's upstream cookies; the browser only holds the proxy session cookie
+    const { cookieRelay } = this.options;
+    const sessionId = cookieRelay && cookieRelay.getSessionIdFromRequest(request);
+    const cookie = sessionId ? cookieRelay.getCookieHeader(sessionId, targetUrl) : '';
+    if (cookie) {
+      headers.Cookie = cookie;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Handle incoming WebSocket connection
+   * @param {WebSocket} ws - Client WebSocket connection
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {WebSocket} upstream - Open upstream WebSocket
+   * @param {string} targetUrl - Upstream WebSocket URL
+   */
+  handleConnection(ws, request, upstream, targetUrl) {
+    const connectionId = this.generateConnectionId();
+    const clientIp = request.socket.remoteAddress;
+
     const connectionData = {
       id: connectionId,
       ws: ws,
+      upstream: upstream,
+      target: targetUrl,
       ip: clientIp,
       createdAt: Date.now(),
       lastActivity: Date.now(),
-      messages: 0
+      messages: 0,
+      sessionId: this.options.cookieRelay ? this.options.cookieRelay.getSessionIdFromRequest(request) : null,
+      requestId: request.id || null,
+      rateLimitKey: request.rateLimitKey || null,
+      recording: null
     };
+    if (this.options.recorder) {
+      connectionData.recording = this.options.recorder.startWebSocket(targetUrl, {
+        sessionId: connectionData.sessionId,
+        requestId: connectionData.requestId,
+        headers: request.headers,
+        protocol: upstream.protocol
+      });
+    }
 
     this.connections.set(connectionId, connectionData);
+    wsLogger.info('New connection', { ...logFields(connectionData), ip: clientIp, target: targetUrl });
 
-    ws.on('message', (data) => {
-      this.handleMessage(connectionId, data);
+    ws.on('message', (data, isBinary) => {
+      this.handleMessage(connectionId, data, isBinary, 'upstream');
     });
 
-    ws.on('close', () => {
+    upstream.on('message', (data, isBinary) => {
+      this.handleMessage(connectionId, data, isBinary, 'client');
+    });
+
+    ws.on('close', (code, reason) => {
+      closePeer(upstream, code, reason);
+      this.handleClose(connectionId);
+    });
+
+    upstream.on('close', (code, reason) => {
+      closePeer(ws, code, reason);
       this.handleClose(connectionId);
     });
 
@@ -83,6 +350,10 @@ class WebSocketRelay {
       this.handleError(connectionId, error);
     });
 
+    upstream.on('error', (error) => {
+      this.handleError(connectionId, error);
+    });
+
     ws.on('pong', () => {
       if (this.connections.has(connectionId)) {
         const conn = this.connections.get(connectionId);
@@ -92,37 +363,111 @@ class WebSocketRelay {
   }
 
   /**
-   * Handle incoming WebSocket message
+   * Forward a frame to the other side of the relay
    * @param {string} connectionId - Connection ID
    * @param {Buffer} data - Message data
+   * @param {boolean} isBinary - Whether the frame was binary
+   * @param {string} direction - 'upstream' or 'client'
    */
-  handleMessage(connectionId, data) {
+  handleMessage(connectionId, data, isBinary, direction) {
     const conn = this.connections.get(connectionId);
     if (!conn) return;
 
     conn.lastActivity = Date.now();
     conn.messages++;
+    if (this.options.metrics) {
+      this.options.metrics.recordWebSocketMessage(direction, data.length);
+    }
+
+    if (conn.rateLimitKey && !this.options.rateLimiter.recordBytes(conn.rateLimitKey, data.length)) {
+      this.closeForQuota(conn);
+      return;
+    }
+
+    if (conn.recording) {
+      this.options.recorder.recordMessage(conn.recording, direction === 'upstream' ? 'send' : 'receive', data, isBinary);
+    }
+
+    const source = direction === 'upstream' ? conn.ws : conn.upstream;
+    const destination = direction === 'upstream' ? conn.upstream : conn.ws;
 
     try {
-      // Relay message to target (placeholder)
-      // In a real implementation, this would:
-      // 1. Parse the message
-      // 2. Connect to target WebSocket server
-      // 3. Forward the message
-      // 4. Relay responses back
-      
-      console.log(`[WebSocket Relay] Message from ${connectionId}: ${data.length} bytes`);
-      
-      // Echo back for now (placeholder)
-      if (conn.ws.readyState === WebSocket.OPEN) {
-        conn.ws.send(JSON.stringify({
-          type: 'relay-echo',
-          timestamp: Date.now(),
-          length: data.length
-        }));
+      if (destination.readyState !== WebSocket.OPEN) return;
+
+      destination.send(data, { binary: isBinary }, () => {
+        // Resume the source once the destination has drained
+        if (source.isPaused && destination.bufferedAmount <= this.options.lowWaterMark) {
+          source.resume();
+        }
+      });
+
+      // Stop reading from the source while the destination is backed up
+      if (!source.isPaused && destination.bufferedAmount > this.options.highWaterMark) {
+        source.pause();
       }
     } catch (error) {
-      console.error(`[WebSocket Relay] Error handling message:`, error);
+      wsLogger.error('Error handling message', { ...logFields(conn), error });
+    }
+  }
+
+  /**
+   * Close a connection that used up its bandwidth quota. The client gets
+   * RATE_LIMIT_CLOSE_CODE so it can tell this apart from other closes.
+   * @param {Object} conn - Connection data
+   */
+  closeForQuota(conn) {
+    if (conn.ws.readyState !== WebSocket.OPEN) return;
+
+    wsLogger.warn('Bandwidth quota exceeded, closing connection', { ...logFields(conn), rateLimitKey: conn.rateLimitKey });
+    conn.ws.close(RATE_LIMIT_CLOSE_CODE, 'Bandwidth quota exceeded');
+    conn.upstream.close(1001, 'Going Away');
+  }
+
+  /**
+   * Close a connection on request, e.g. from the admin API
+   * @param {string} connectionId - Connection ID
+   * @param {string} [reason] - Close reason sent to the client
+   * @returns {boolean} True if the connection existed
+   */
+  closeConnection(connectionId, reason = 'Closed by administrator') {
+    const conn = this.connections.get(connectionId);
+    if (!conn) return false;
+
+    wsLogger.info('Closing connection', { ...logFields(conn), reason });
+    // 1008 (policy violation) tells the client not to reconnect blindly
+    conn.ws.close(1008, reason);
+    conn.upstream.close(1001, 'Going Away');
+    return true;
+  }
+
+  /**
+   * Stop relaying for shutdown: refuse new upgrades, stop the heartbeat and
+   * send every client a 1001 (going away) close frame so it reconnects
+   * @returns {Promise<void>} Resolves once every client socket has closed
+   */
+  close() {
+    this.closing = true;
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    const sockets = [];
+    for (const conn of this.connections.values()) {
+      wsLogger.info('Closing connection for shutdown', logFields(conn));
+      conn.ws.close(1001, 'Server shutting down');
+      conn.upstream.close(1001, 'Going Away');
+      sockets.push(conn.ws);
+    }
+    return whenClosed(sockets);
+  }
+
+  /**
+   * Drop every connection without a closing handshake, for when a
+   * graceful close() takes too long
+   */
+  terminate() {
+    for (const conn of this.connections.values()) {
+      conn.ws.terminate();
+      conn.upstream.terminate();
     }
   }
 
@@ -134,7 +479,10 @@ class WebSocketRelay {
     const conn = this.connections.get(connectionId);
     if (!conn) return;
 
-    console.log(`[WebSocket Relay] Connection closed: ${connectionId} (${conn.messages} messages)`);
+    wsLogger.info('Connection closed', { ...logFields(conn), messages: conn.messages, durationMs: Date.now() - conn.createdAt });
+    if (conn.recording) {
+      this.options.recorder.finishWebSocket(conn.recording);
+    }
     this.connections.delete(connectionId);
   }
 
@@ -144,21 +492,27 @@ class WebSocketRelay {
    * @param {Error} error - Error object
    */
   handleError(connectionId, error) {
-    console.error(`[WebSocket Relay] Error on connection ${connectionId}:`, error.message);
+    const conn = this.connections.get(connectionId);
+    wsLogger.error('Connection error', { ...(conn ? logFields(conn) : { connectionId }), error });
   }
 
   /**
    * Start heartbeat to detect stale connections
    */
   startHeartbeat() {
-    setInterval(() => {
+    clearInterval(this.heartbeat);
+    this.heartbeat = setInterval(() => {
       const now = Date.now();
-      for (const [id, conn] of this.connections.entries()) {
+      for (const conn of this.connections.values()) {
+        // Already closing; handleClose removes it once the close completes
+        if (conn.timedOut) continue;
+
         // Close connections idle longer than timeout
         if (now - conn.lastActivity > this.options.timeout) {
-          console.log(`[WebSocket Relay] Closing idle connection: ${id}`);
+          wsLogger.info('Closing idle connection', logFields(conn));
+          conn.timedOut = true;
           conn.ws.close(1000, 'Timeout');
-          this.connections.delete(id);
+          conn.upstream.close(1000, 'Timeout');
         } else {
           // Send ping
           conn.ws.ping();
@@ -181,29 +535,155 @@ class WebSocketRelay {
    */
   getStats() {
     let totalMessages = 0;
-    const oldestConnection = Math.min(...Array.from(this.connections.values()).map(c => c.createdAt));
-    
+    let oldestConnection = Date.now();
+
     for (const conn of this.connections.values()) {
       totalMessages += conn.messages;
+      oldestConnection = Math.min(oldestConnection, conn.createdAt);
     }
 
     return {
       activeConnections: this.connections.size,
       totalMessages,
+      // 0 when there are no connections
       oldestConnectionAge: Date.now() - oldestConnection,
       maxCapacity: this.options.maxConnections
     };
   }
 }
 
+/**
+ * Fields identifying a relay connection in logs: the connection, the
+ * upgrade request that opened it and the HTTP session it belongs to
+ * @param {Object} conn - Connection data
+ * @returns {Object} Log fields
+ */
+function logFields(conn) {
+  return { connectionId: conn.id, requestId: conn.requestId, sessionId: conn.sessionId };
+}
+
+/**
+ * Reject a pending upgrade with a plain HTTP response
+ * @param {net.Socket} socket - Client socket
+ * @param {number} status - HTTP status code
+ * @param {string} message - Status message
+ * @param {Object} [headers] - Extra response headers
+ */
+function rejectUpgrade(socket, status, message, headers = {}) {
+  if (!socket.writable) return;
+  const extra = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+  socket.end(`HTTP/1.1 ${status} ${message}\r\n${extra}Connection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * Wrap an 'upgrade' listener so a malformed request that makes it throw
+ * is answered with 400 instead of crashing the process
+ * @param {Logger} logger - Logger of the relay
+ * @param {Function} listener - (request, socket, head) => void
+ * @returns {Function} Guarded listener
+ */
+function guardUpgrade(logger, listener) {
+  return (request, socket, head) => {
+    try {
+      listener(request, socket, head);
+    } catch (error) {
+      logger.warn('Rejected malformed upgrade', { url: request.url, error });
+      rejectUpgrade(socket, 400, 'Bad Request');
+    }
+  };
+}
+
+/**
+ * Run an upgrade through the authorize hook, answering 401 if it refuses
+ * @param {Function|null} authorize - (request, sessionId) => Promise<boolean>
+ * @param {http.IncomingMessage} request - HTTP upgrade request
+ * @param {string|null} sessionId - Proxy session ID
+ * @param {net.Socket} socket - Client socket
+ * @param {Logger} logger - Logger of the relay
+ * @returns {Promise<boolean>} True if the upgrade may proceed
+ */
+function authorizeUpgrade(authorize, request, sessionId, socket, logger) {
+  if (!authorize) return Promise.resolve(true);
+
+  return Promise.resolve()
+    .then(() => authorize(request, sessionId))
+    .catch((error) => {
+      logger.error('Authorization failed', { error });
+      return false;
+    })
+    .then((authorized) => {
+      if (!authorized) {
+        rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+      return Boolean(authorized);
+    });
+}
+
+/**
+ * Pass a close code and reason on to the other side of the relay.
+ * Codes that may not appear in a close frame (1005, 1006, 1015) close
+ * without a code instead.
+ * @param {WebSocket} peer - Socket to close
+ * @param {number} code - Close code received
+ * @param {Buffer} reason - Close reason received
+ */
+function closePeer(peer, code, reason) {
+  if (peer.readyState === WebSocket.CLOSED || peer.readyState === WebSocket.CLOSING) return;
+
+  const sendable = (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+    (code >= 3000 && code <= 4999);
+
+  if (peer.readyState === WebSocket.CONNECTING) {
+    peer.terminate();
+  } else if (sendable) {
+    peer.close(code, reason);
+  } else {
+    peer.close();
+  }
+}
+
+/**
+ * @param {Array<WebSocket>} sockets - Sockets being closed
+ * @returns {Promise<void>} Resolves once all of them have closed
+ */
+function whenClosed(sockets) {
+  return Promise.all(sockets.map(ws => (ws.readyState === WebSocket.CLOSED
+    ? null
+    : new Promise(resolve => ws.once('close', resolve))))).then(() => {});
+}
+
 /**
  * WebRTC Relay Class
- * Placeholder for WebRTC relay functionality
+ * Signaling service that forwards SDP offers, answers and trickle ICE
+ * candidates between peers in the same room. Rooms are keyed by the
+ * proxy session unless the client names one explicitly.
  */
 class WebRTCRelay {
   constructor(options = {}) {
-    this.options = options;
+    this.options = {
+      path: options.path || '/webrtc-signal',
+      sessionCookieName: options.sessionCookieName || 'geforcenow-session',
+      sessionSecret: options.sessionSecret || process.env.SESSION_SECRET || 'geforcenow-proxy-secret',
+      maxPeersPerRoom: options.maxPeersPerRoom || 8,
+      turnServer: options.turnServer || null,
+      relayOnly: options.relayOnly || false,
+      authorize: options.authorize || null,
+      ...options
+    };
     this.peers = new Map();
+    this.rooms = new Map();
+    this.server = null;
+    this.closing = false;
+  }
+
+  /**
+   * Apply a new room size limit; rooms already above it keep their peers
+   * @param {Object} options - { maxPeersPerRoom }
+   */
+  configure(options) {
+    if (options.maxPeersPerRoom !== undefined) {
+      this.options.maxPeersPerRoom = options.maxPeersPerRoom;
+    }
   }
 
   /**
@@ -211,42 +691,1406 @@ class WebRTCRelay {
    * @param {http.Server} httpServer - Express HTTP server instance
    */
   initialize(httpServer) {
-    console.log('[WebRTC Relay] Initialized (placeholder - basic functionality)');
-    // TODO: Implement full WebRTC signaling and relay
+    this.server = new WebSocket.Server({ noServer: true });
+
+    httpServer.on('upgrade', guardUpgrade(rtcLogger, (request, socket, head) => {
+      const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+      if (pathname !== this.options.path) return;
+
+      const sessionId = this.getSessionId(request);
+      runWithContext({ requestId: resolveRequestId(request.headers), sessionId }, () => {
+        authorizeUpgrade(this.options.authorize, request, sessionId, socket, rtcLogger).then((authorized) => {
+          if (authorized) {
+            this.handleUpgrade(request, socket, head, searchParams, sessionId);
+          }
+        });
+      });
+    }));
+
+    rtcLogger.info('Signaling initialized', { path: this.options.path });
+  }
+
+  /**
+   * Join the client to its signaling room
+   * @param {http.IncomingMessage} request - HTTP upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @param {URLSearchParams} searchParams - Signaling query parameters
+   * @param {string|null} sessionId - Proxy session ID
+   */
+  handleUpgrade(request, socket, head, searchParams, sessionId) {
+    if (this.closing) {
+      rejectUpgrade(socket, 503, 'Service Unavailable');
+      return;
+    }
+
+    // Peers are identified (and issued TURN credentials) by their session only
+    if (!sessionId) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+    // Named rooms live inside the caller's session, so no other client can join them
+    const room = searchParams.get('room');
+    const roomId = room ? `${sessionId}:${room}` : sessionId;
+
+    const peers = this.rooms.get(roomId);
+    if (peers && peers.size >= this.options.maxPeersPerRoom) {
+      rejectUpgrade(socket, 503, 'Service Unavailable');
+      return;
+    }
+
+    this.server.handleUpgrade(request, socket, head, (ws) => {
+      const hostname = (request.headers.host || 'localhost').replace(/:\d+$/, '');
+      this.registerPeer(ws, roomId, sessionId, hostname);
+    });
+  }
+
+  /**
+   * Read the proxy session ID from the signed session cookie
+   * @param {http.IncomingMessage} request - HTTP upgrade request
+   * @returns {string|null} Session ID
+   */
+  getSessionId(request) {
+    return readSignedCookie(request, this.options.sessionCookieName, this.options.sessionSecret);
+  }
+
+  /**
+   * Register a signaling peer and announce it to its room
+   * @param {WebSocket} ws - Peer WebSocket connection
+   * @param {string} roomId - Room ID
+   * @param {string} sessionId - Proxy session the TURN credentials are issued to
+   * @param {string} [hostname] - Hostname the client used to reach the proxy
+   * @returns {string} Peer ID
+   */
+  registerPeer(ws, roomId, sessionId, hostname = 'localhost') {
+    const peerId = `peer-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, new Set());
+    }
+    const room = this.rooms.get(roomId);
+    const existingPeers = Array.from(room);
+
+    room.add(peerId);
+    this.peers.set(peerId, { id: peerId, ws, roomId, sessionId, joinedAt: Date.now() });
+
+    ws.on('message', (data) => {
+      this.handleSignal(peerId, data);
+    });
+
+    ws.on('close', () => {
+      this.removePeer(peerId);
+    });
+
+    ws.on('error', (error) => {
+      rtcLogger.error('Peer error', { peerId, sessionId, error });
+    });
+
+    const registered = { type: 'registered', peerId, peers: existingPeers };
+    if (this.options.turnServer) {
+      registered.iceServers = this.options.turnServer.getIceServers(sessionId, hostname);
+      registered.iceTransportPolicy = this.options.relayOnly ? 'relay' : 'all';
+    }
+    this.send(peerId, registered);
+    this.broadcast(peerId, { type: 'peer-joined', peerId });
+
+    rtcLogger.info('Peer joined room', { peerId, sessionId, peers: room.size });
+    return peerId;
+  }
+
+  /**
+   * Close every signaling socket with 1001 (going away) for shutdown
+   * @returns {Promise<void>} Resolves once every peer has disconnected
+   */
+  close() {
+    this.closing = true;
+    const sockets = Array.from(this.peers.values(), peer => peer.ws);
+    for (const ws of sockets) {
+      ws.close(1001, 'Server shutting down');
+    }
+    return whenClosed(sockets);
+  }
+
+  /**
+   * Drop every signaling socket without a closing handshake
+   */
+  terminate() {
+    for (const peer of this.peers.values()) {
+      peer.ws.terminate();
+    }
+  }
+
+  /**
+   * Remove a peer and notify the rest of its room
+   * @param {string} peerId - Peer ID
+   */
+  removePeer(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    this.broadcast(peerId, { type: 'peer-left', peerId });
+    this.peers.delete(peerId);
+
+    const room = this.rooms.get(peer.roomId);
+    if (room) {
+      room.delete(peerId);
+      if (room.size === 0) {
+        this.rooms.delete(peer.roomId);
+      }
+    }
+
+    rtcLogger.info('Peer left', { peerId, sessionId: peer.sessionId });
+  }
+
+  /**
+   * Dispatch a signaling message from a peer
+   * @param {string} peerId - Sending peer ID
+   * @param {Buffer} data - Raw message
+   */
+  handleSignal(peerId, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.send(peerId, { type: 'error', message: 'Signaling messages must be JSON' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'offer':
+        this.handleOffer(peerId, message.sdp, message.to);
+        break;
+      case 'answer':
+        this.handleAnswer(peerId, message.sdp, message.to);
+        break;
+      case 'candidate':
+        this.handleICECandidate(peerId, message.candidate, message.to);
+        break;
+      default:
+        this.send(peerId, { type: 'error', message: `Unknown signaling message type: ${message.type}` });
+    }
   }
 
   /**
    * Handle ICE candidate
    * @param {string} peerId - Peer ID
-   * @param {Object} candidate - ICE candidate
+   * @param {Object} candidate - ICE candidate (null marks end of candidates)
+   * @param {string} [to] - Target peer ID, defaults to every other peer in the room
    */
-  handleICECandidate(peerId, candidate) {
-    console.log(`[WebRTC Relay] ICE candidate for peer ${peerId}`);
-    // TODO: Relay ICE candidate to peer
+  handleICECandidate(peerId, candidate, to) {
+    rtcLogger.debug('ICE candidate', { peerId });
+    if (this.options.relayOnly && !isRelayCandidate(candidate)) {
+      return;
+    }
+    this.forward(peerId, to, { type: 'candidate', candidate: candidate || null });
   }
 
   /**
    * Handle SDP offer
    * @param {string} peerId - Peer ID
    * @param {string} offer - SDP offer
+   * @param {string} [to] - Target peer ID, defaults to every other peer in the room
    */
-  handleOffer(peerId, offer) {
-    console.log(`[WebRTC Relay] Offer from peer ${peerId}`);
-    // TODO: Relay offer to peer and get answer
+  handleOffer(peerId, offer, to) {
+    rtcLogger.debug('Offer', { peerId });
+    this.forward(peerId, to, { type: 'offer', sdp: this.rewriteSdp(offer) });
   }
 
   /**
    * Handle SDP answer
    * @param {string} peerId - Peer ID
    * @param {string} answer - SDP answer
+   * @param {string} [to] - Target peer ID, defaults to every other peer in the room
    */
-  handleAnswer(peerId, answer) {
-    console.log(`[WebRTC Relay] Answer from peer ${peerId}`);
-    // TODO: Relay answer to peer
+  handleAnswer(peerId, answer, to) {
+    rtcLogger.debug('Answer', { peerId });
+    this.forward(peerId, to, { type: 'answer', sdp: this.rewriteSdp(answer) });
+  }
+
+  /**
+   * Strip non-relay candidates from an SDP when relayOnly is enabled
+   * @param {string|Object} description - SDP string or { type, sdp }
+   * @returns {string|Object} Rewritten description
+   */
+  rewriteSdp(description) {
+    if (!this.options.relayOnly || !description) return description;
+
+    if (typeof description === 'object') {
+      return { ...description, sdp: filterRelayCandidates(description.sdp || '') };
+    }
+    return filterRelayCandidates(description);
+  }
+
+  /**
+   * Forward a message to one peer, or to the whole room
+   * @param {string} fromId - Sending peer ID
+   * @param {string} [toId] - Target peer ID
+   * @param {Object} message - Message to forward
+   */
+  forward(fromId, toId, message) {
+    const payload = { ...message, from: fromId };
+
+    if (!toId) {
+      this.broadcast(fromId, payload);
+      return;
+    }
+
+    const from = this.peers.get(fromId);
+    const to = this.peers.get(toId);
+    if (!from || !to || from.roomId !== to.roomId) {
+      this.send(fromId, { type: 'error', message: `Unknown peer: ${toId}` });
+      return;
+    }
+
+    this.send(toId, payload);
+  }
+
+  /**
+   * Send a message to every other peer in the sender's room
+   * @param {string} fromId - Sending peer ID
+   * @param {Object} message - Message to send
+   */
+  broadcast(fromId, message) {
+    const from = this.peers.get(fromId);
+    const room = from && this.rooms.get(from.roomId);
+    if (!room) return;
+
+    for (const peerId of room) {
+      if (peerId !== fromId) {
+        this.send(peerId, message);
+      }
+    }
+  }
+
+  /**
+   * Send a JSON message to a peer
+   * @param {string} peerId - Peer ID
+   * @param {Object} message - Message to send
+   */
+  send(peerId, message) {
+    const peer = this.peers.get(peerId);
+    if (peer && peer.ws.readyState === WebSocket.OPEN) {
+      peer.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Get signaling statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      activePeers: this.peers.size,
+      activeRooms: this.rooms.size
+    };
+  }
+}
+
+/**
+ * Check whether an ICE candidate is a relay candidate. The end-of-candidates
+ * marker (null or empty candidate) counts as allowed.
+ * @param {string|Object} candidate - Candidate string or RTCIceCandidateInit
+ * @returns {boolean} True if the candidate may be forwarded
+ */
+function isRelayCandidate(candidate) {
+  const line = typeof candidate === 'string' ? candidate : candidate && candidate.candidate;
+  return !line || / typ relay(\s|$)/.test(line);
+}
+
+/**
+ * Remove every non-relay a=candidate line from an SDP
+ * @param {string} sdp - Session description
+ * @returns {string} Filtered session description
+ */
+function filterRelayCandidates(sdp) {
+  return sdp
+    .split('\n')
+    .filter(line => !line.startsWith('a=candidate:') || isRelayCandidate(line.trim()))
+    .join('\n');
+}
+
+/**
+ * STUN/TURN constants (RFC 5389 / RFC 5766)
+ */
+const STUN_MAGIC_COOKIE = 0x2112A442;
+const STUN_FINGERPRINT_XOR = 0x5354554e;
+
+const STUN_METHODS = {
+  BINDING: 0x001,
+  ALLOCATE: 0x003,
+  REFRESH: 0x004,
+  SEND: 0x006,
+  DATA: 0x007,
+  CREATE_PERMISSION: 0x008,
+  CHANNEL_BIND: 0x009
+};
+
+const STUN_CLASSES = {
+  REQUEST: 0x000,
+  INDICATION: 0x010,
+  SUCCESS: 0x100,
+  ERROR: 0x110
+};
+
+const STUN_ATTRS = {
+  MAPPED_ADDRESS: 0x0001,
+  USERNAME: 0x0006,
+  MESSAGE_INTEGRITY: 0x0008,
+  ERROR_CODE: 0x0009,
+  CHANNEL_NUMBER: 0x000C,
+  LIFETIME: 0x000D,
+  XOR_PEER_ADDRESS: 0x0012,
+  DATA: 0x0013,
+  REALM: 0x0014,
+  NONCE: 0x0015,
+  XOR_RELAYED_ADDRESS: 0x0016,
+  REQUESTED_TRANSPORT: 0x0019,
+  XOR_MAPPED_ADDRESS: 0x0020,
+  SOFTWARE: 0x8022,
+  FINGERPRINT: 0x8028
+};
+
+const TRANSPORT_UDP = 17;
+
+/**
+ * TURN Server Class
+ * Embedded STUN/TURN server (RFC 5389/5766) so media can be relayed
+ * through the proxy host when direct UDP to the streaming servers is
+ * blocked. Credentials are time-limited and issued per proxy session.
+ */
+class TurnServer {
+  constructor(options = {}) {
+    this.options = {
+      port: options.port || 3478,
+      host: options.host || '0.0.0.0',
+      realm: options.realm || 'geforcenow-proxy',
+      secret: options.secret || process.env.TURN_SECRET || crypto.randomBytes(32).toString('hex'),
+      externalAddress: options.externalAddress || null,
+      relayAddress: options.relayAddress || '0.0.0.0',
+      relayPortRange: options.relayPortRange || null,
+      enableTcp: options.enableTcp !== false,
+      credentialTtl: options.credentialTtl || (24 * 60 * 60), // seconds
+      nonceTtl: options.nonceTtl || (60 * 60), // seconds
+      defaultLifetime: options.defaultLifetime || 600, // seconds
+      maxLifetime: options.maxLifetime || 3600, // seconds
+      permissionLifetime: options.permissionLifetime || 300, // seconds
+      channelLifetime: options.channelLifetime || 600, // seconds
+      maxAllocations: options.maxAllocations || 500,
+      sweepInterval: options.sweepInterval || 30000,
+      // Relaying to private, loopback or link-local peers would expose the host's network
+      allowPrivatePeers: options.allowPrivatePeers === true
+    };
+    this.allocations = new Map();
+    // Allocations still binding their relay socket: key -> { transactionId, ready }
+    this.pendingAllocations = new Map();
+    // Session reference in a credential username -> { sessionId, expiresAt }
+    this.credentialSessions = new Map();
+    this.udpSocket = null;
+    this.tcpServer = null;
+    this.tcpSockets = new Set();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Start listening on UDP and, unless disabled, TCP
+   * @returns {Promise<void>} Resolves once all listeners are bound
+   */
+  start() {
+    const { port, host } = this.options;
+
+    const udpReady = new Promise((resolve, reject) => {
+      this.udpSocket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+      this.udpSocket.on('message', (msg, rinfo) => {
+        this.handlePacket(msg, {
+          protocol: 'udp',
+          address: rinfo.address,
+          port: rinfo.port,
+          send: (buf) => this.udpSocket.send(buf, rinfo.port, rinfo.address)
+        });
+      });
+      this.udpSocket.on('error', (error) => {
+        turnLogger.error('UDP error', { error });
+      });
+      this.udpSocket.once('error', reject);
+      this.udpSocket.bind(port, host, resolve);
+    });
+
+    const tcpReady = !this.options.enableTcp ? Promise.resolve() : new Promise((resolve, reject) => {
+      this.tcpServer = net.createServer((socket) => this.handleTcpConnection(socket));
+      this.tcpServer.once('error', reject);
+      this.tcpServer.listen(port, host, resolve);
+    });
+
+    this.sweepTimer = setInterval(() => this.sweep(), this.options.sweepInterval);
+
+    return Promise.all([udpReady, tcpReady]).then(() => {
+      turnLogger.info('Listening', { host, port, transports: this.options.enableTcp ? ['udp', 'tcp'] : ['udp'] });
+    });
+  }
+
+  /**
+   * Stop listening and release every allocation
+   */
+  close() {
+    clearInterval(this.sweepTimer);
+    this.pendingAllocations.clear();
+    for (const key of this.allocations.keys()) {
+      this.deleteAllocation(key);
+    }
+    if (this.udpSocket) this.udpSocket.close();
+    if (this.tcpServer) this.tcpServer.close();
+    for (const socket of this.tcpSockets) {
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Issue time-limited long-term credentials for a proxy session.
+   * The password is derived from the username, so nothing is stored. Page
+   * scripts can read the username, so it carries a session reference
+   * rather than the session ID.
+   * @param {string} sessionId - Proxy session ID
+   * @returns {Object} { username, credential, ttl }
+   */
+  issueCredentials(sessionId) {
+    const expiry = Math.floor(Date.now() / 1000) + this.options.credentialTtl;
+    const ref = sessionRef(sessionId);
+    const username = `${expiry}:${ref}`;
+    this.credentialSessions.set(ref, { sessionId, expiresAt: expiry * 1000 });
+    return {
+      username,
+      credential: this.derivePassword(username),
+      ttl: this.options.credentialTtl
+    };
+  }
+
+  /**
+   * Build an RTCPeerConnection iceServers list for a proxy session
+   * @param {string} sessionId - Proxy session ID
+   * @param {string} hostname - Hostname clients use to reach this server
+   * @returns {Array<Object>} iceServers entries
+   */
+  getIceServers(sessionId, hostname) {
+    const host = this.options.externalAddress || hostname;
+    const { port } = this.options;
+    const { username, credential } = this.issueCredentials(sessionId);
+    const turnUrls = [`turn:${host}:${port}?transport=udp`];
+    if (this.options.enableTcp) {
+      turnUrls.push(`turn:${host}:${port}?transport=tcp`);
+    }
+
+    return [
+      { urls: [`stun:${host}:${port}`] },
+      { urls: turnUrls, username, credential }
+    ];
+  }
+
+  /**
+   * Derive the password for a credential username
+   * @param {string} username - `<expiry>:<sessionRef>`
+   * @returns {string} Base64 HMAC-SHA1 password
+   */
+  derivePassword(username) {
+    return crypto.createHmac('sha1', this.options.secret).update(username).digest('base64');
+  }
+
+  /**
+   * Frame a TCP stream into STUN messages and ChannelData packets
+   * @param {net.Socket} socket - Client TCP socket
+   */
+  handleTcpConnection(socket) {
+    const transport = {
+      protocol: 'tcp',
+      address: socket.remoteAddress,
+      port: socket.remotePort,
+      send: (buf) => socket.writable && socket.write(buf)
+    };
+    let pending = Buffer.alloc(0);
+    this.tcpSockets.add(socket);
+
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+
+      while (pending.length >= 4) {
+        const kind = pending[0] >> 6;
+        let frameLength;
+        if (kind === 0) {
+          frameLength = 20 + pending.readUInt16BE(2);
+        } else if (kind === 1) {
+          // ChannelData is padded to a multiple of four over TCP
+          frameLength = 4 + Math.ceil(pending.readUInt16BE(2) / 4) * 4;
+        } else {
+          socket.destroy();
+          return;
+        }
+
+        if (pending.length < frameLength) break;
+        this.handlePacket(pending.subarray(0, frameLength), transport);
+        pending = pending.subarray(frameLength);
+      }
+    });
+
+    socket.on('close', () => {
+      this.tcpSockets.delete(socket);
+      this.pendingAllocations.delete(allocationKey(transport));
+      this.deleteAllocation(allocationKey(transport));
+    });
+
+    socket.on('error', (error) => {
+      turnLogger.error('TCP error', { error });
+    });
+  }
+
+  /**
+   * Handle a packet from a client
+   * @param {Buffer} packet - STUN message or ChannelData
+   * @param {Object} transport - Client transport descriptor
+   */
+  handlePacket(packet, transport) {
+    if (packet.length >= 4 && (packet[0] >> 6) === 1) {
+      this.handleChannelData(packet, transport);
+      return;
+    }
+
+    const message = parseStunMessage(packet);
+    if (!message) return;
+
+    try {
+      if (message.cls === STUN_CLASSES.INDICATION) {
+        if (message.method === STUN_METHODS.SEND) {
+          this.handleSendIndication(message, transport);
+        }
+        return;
+      }
+
+      if (message.cls !== STUN_CLASSES.REQUEST) return;
+
+      if (message.method === STUN_METHODS.BINDING) {
+        this.handleBinding(message, transport);
+        return;
+      }
+
+      const auth = this.authenticate(message, transport);
+      if (!auth) return;
+
+      switch (message.method) {
+        case STUN_METHODS.ALLOCATE:
+          this.handleAllocate(message, transport, auth);
+          break;
+        case STUN_METHODS.REFRESH:
+          this.handleRefresh(message, transport, auth);
+          break;
+        case STUN_METHODS.CREATE_PERMISSION:
+          this.handleCreatePermission(message, transport, auth);
+          break;
+        case STUN_METHODS.CHANNEL_BIND:
+          this.handleChannelBind(message, transport, auth);
+          break;
+        default:
+          this.sendError(message, transport, 400, 'Bad Request', auth.key);
+      }
+    } catch (error) {
+      turnLogger.error('Error handling request', { error });
+      this.sendError(message, transport, 500, 'Server Error');
+    }
+  }
+
+  /**
+   * Answer a Binding request with the client's reflexive address
+   * @param {Object} message - Parsed STUN message
+   * @param {Object} transport - Client transport descriptor
+   */
+  handleBinding(message, transport) {
+    this.sendResponse(message, transport, [
+      [STUN_ATTRS.XOR_MAPPED_ADDRESS, encodeXorAddress(transport.address, transport.port, message.transactionId)]
+    ]);
+  }
+
+  /**
+   * Verify long-term credentials on a request. Sends the appropriate
+   * challenge or error itself when verification fails.
+   * @param {Object} message - Parsed STUN message
+   * @param {Object} transport - Client transport descriptor
+   * @returns {Object|null} { username, key } on success
+   */
+  authenticate(message, transport) {
+    const username = message.getString(STUN_ATTRS.USERNAME);
+    const realm = message.getString(STUN_ATTRS.REALM);
+    const nonce = message.getString(STUN_ATTRS.NONCE);
+
+    if (message.integrityOffset === -1) {
+      this.sendChallenge(message, transport, 401, 'Unauthorized');
+      return null;
+    }
+
+    if (!username || !realm || !nonce) {
+      this.sendError(message, transport, 400, 'Bad Request');
+      return null;
+    }
+
+    if (!this.isValidNonce(nonce)) {
+      this.sendChallenge(message, transport, 438, 'Stale Nonce');
+      return null;
+    }
+
+    const expiry = parseInt(username.split(':')[0], 10);
+    if (!expiry || expiry * 1000 < Date.now() || realm !== this.options.realm) {
+      this.sendChallenge(message, transport, 401, 'Unauthorized');
+      return null;
+    }
+
+    const key = crypto.createHash('md5')
+      .update(`${username}:${realm}:${this.derivePassword(username)}`)
+      .digest();
+
+    if (!verifyMessageIntegrity(message, key)) {
+      this.sendChallenge(message, transport, 401, 'Unauthorized');
+      return null;
+    }
+
+    return { username, key };
+  }
+
+  /**
+   * Create a relay allocation for the client's 5-tuple
+   * @param {Object} message - Parsed STUN message
+   * @param {Object} transport - Client transport descriptor
+   * @param {Object} auth - Authenticated credentials
+   */
+  handleAllocate(message, transport, auth) {
+    const key = allocationKey(transport);
+    const existing = this.allocations.get(key);
+    const pending = this.pendingAllocations.get(key);
+
+    if (pending) {
+      if (pending.transactionId.equals(message.transactionId)) {
+        // Retransmission while the relay socket is still being bound
+        pending.ready.then((allocation) => {
+          if (allocation) this.sendAllocateSuccess(message, transport, auth, allocation);
+        });
+      } else {
+        this.sendError(message, transport, 437, 'Allocation Mismatch', auth.key);
+      }
+      return;
+    }
+
+    if (existing) {
+      if (existing.transactionId.equals(message.transactionId)) {
+        // Retransmission of the request that created this allocation
+        this.sendAllocateSuccess(message, transport, auth, existing);
+      } else {
+        this.sendError(message, transport, 437, 'Allocation Mismatch', auth.key);
+      }
+      return;
+    }
+
+    const requestedTransport = message.getAttribute(STUN_ATTRS.REQUESTED_TRANSPORT);
+    if (!requestedTransport) {
+      this.sendError(message, transport, 400, 'Bad Request', auth.key);
+      return;
+    }
+    if (requestedTransport[0] !== TRANSPORT_UDP) {
+      this.sendError(message, transport, 442, 'Unsupported Transport Protocol', auth.key);
+      return;
+    }
+
+    if (this.allocations.size + this.pendingAllocations.size >= this.options.maxAllocations) {
+      this.sendError(message, transport, 486, 'Allocation Quota Reached', auth.key);
+      return;
+    }
+
+    const lifetime = this.clampLifetime(message);
+
+    const entry = { transactionId: message.transactionId, ready: null };
+    this.pendingAllocations.set(key, entry);
+
+    entry.ready = this.bindRelaySocket().then((relaySocket) => {
+      // Closed, or the client went away, while the socket was being bound
+      if (this.pendingAllocations.get(key) !== entry) {
+        relaySocket.close();
+        return null;
+      }
+      this.pendingAllocations.delete(key);
+
+      const allocation = {
+        key,
+        transport,
+        username: auth.username,
+        transactionId: message.transactionId,
+        relaySocket,
+        relayPort: relaySocket.address().port,
+        expiresAt: Date.now() + lifetime * 1000,
+        permissions: new Map(),
+        channels: new Map(),
+        channelsByPeer: new Map(),
+        bytesRelayed: 0
+      };
+
+      relaySocket.on('message', (msg, rinfo) => this.handlePeerData(allocation, msg, rinfo));
+      this.allocations.set(key, allocation);
+      this.sendAllocateSuccess(message, transport, auth, allocation, lifetime);
+
+      turnLogger.info('Allocated relay port', {
+        relayPort: allocation.relayPort,
+        client: `${transport.address}:${transport.port}`,
+        sessionId: this.credentialSessionId(allocation.username)
+      });
+      return allocation;
+    }).catch((error) => {
+      if (this.pendingAllocations.get(key) === entry) {
+        this.pendingAllocations.delete(key);
+      }
+      turnLogger.error('Could not bind relay socket', { error });
+      this.sendError(message, transport, 508, 'Insufficient Capacity', auth.key);
+      return null;
+    });
+  }
+
+  /**
+   * Send a successful Allocate response
+   * @param {Object} message - Parsed STUN message
+   * @param {Object} transport - Client transport descriptor
+   * @param {Object} auth - Authenticated credentials
+   * @param {Object} allocation - Allocation
+   * @param {number} [lifetime] - Granted lifetime in seconds
+   */
+  sendAllocateSuccess(message, transport, auth, allocation, lifetime) {
+    const granted = lifetime || Math.max(0, Math.round((allocation.expiresAt - Date.now()) / 1000));
+    const relayedAddress = this.options.externalAddress || this.getLocalAddress(transport);
+
+    this.sendResponse(message, transport, [
+      [STUN_ATTRS.XOR_RELAYED_ADDRESS, encodeXorAddress(relayedAddress, allocation.relayPort, message.transactionId)],
+      [STUN_ATTRS.XOR_MAPPED_ADDRESS, encodeXorAddress(transport.address, transport.port, message.transactionId)],
+      [STUN_ATTRS.LIFETIME, encodeUInt32(granted)]
+    ], auth.key);
+  }
+
+  /**
+   * Refresh or delete an allocation
+   * @param {Object} message - Parsed STUN message
+   * @param {Object} transport - Client transport descriptor
+   * @param {Object} auth - Authenticated credentials
+   */
+  handleRefresh(message, transport, auth) {
+    const allocation = this.getOwnedAllocation(message, transport, auth);
+    if (!allocation) return;
+
+    const lifetime = this.clampLifetime(message);
+    if (lifetime === 0) {
+      this.deleteAllocation(allocation.key);
+    } else {
+      allocation.expiresAt = Date.now() + lifetime * 1000;
+    }
+
+    this.sendResponse(message, transport, [[STUN_ATTRS.LIFETIME, encodeUInt32(lifetime)]], auth.key);
+  }
+
+  /**
+   * Install permissions for one or more peer addresses
+   * @param {Object} message - Parsed STUN message
+   * @param {Object} transport - Client transport descriptor
+   * @param {Object} auth - Authenticated credentials
+   */
+  handleCreatePermission(message, transport, auth) {
+    const allocation = this.getOwnedAllocation(message, transport, auth);
+    if (!allocation) return;
+
+    const peers = message.getAttributes(STUN_ATTRS.XOR_PEER_ADDRESS)
+      .map(value => decodeXorAddress(value, message.transactionId))
+      .filter(Boolean);
+
+    if (peers.length === 0) {
+      this.sendError(message, transport, 400, 'Bad Request', auth.key);
+      return;
+    }
+    if (!peers.every(peer => this.isPeerAllowed(peer.address))) {
+      this.sendError(message, transport, 403, 'Forbidden', auth.key);
+      return;
+    }
+
+    const expiresAt = Date.now() + this.options.permissionLifetime * 1000;
+    for (const peer of peers) {
+      allocation.permissions.set(peer.address, expiresAt);
+    }
+
+    this.sendResponse(message, transport, [], auth.key);
+  }
+
+  /**
+   * Bind a channel number to a peer address
+   * @param {Object} message - Parsed STUN message
+   * @param {Object} transport - Client transport descriptor
+   * @param {Object} auth - Authenticated credentials
+   */
+  handleChannelBind(message, transport, auth) {
+    const allocation = this.getOwnedAllocation(message, transport, auth);
+    if (!allocation) return;
+
+    const channelAttr = message.getAttribute(STUN_ATTRS.CHANNEL_NUMBER);
+    const peerAttr = message.getAttribute(STUN_ATTRS.XOR_PEER_ADDRESS);
+    const peer = peerAttr && decodeXorAddress(peerAttr, message.transactionId);
+    const channel = channelAttr && channelAttr.length >= 2 ? channelAttr.readUInt16BE(0) : 0;
+
+    if (!peer || channel < 0x4000 || channel > 0x7FFE) {
+      this.sendError(message, transport, 400, 'Bad Request', auth.key);
+      return;
+    }
+    if (!this.isPeerAllowed(peer.address)) {
+      this.sendError(message, transport, 403, 'Forbidden', auth.key);
+      return;
+    }
+
+    const peerKey = `${peer.address}:${peer.port}`;
+    const boundChannel = allocation.channels.get(channel);
+    const boundPeer = allocation.channelsByPeer.get(peerKey);
+    if ((boundChannel && boundChannel.peerKey !== peerKey) || (boundPeer && boundPeer.channel !== channel)) {
+      this.sendError(message, transport, 400, 'Bad Request', auth.key);
+      return;
+    }
+
+    const now = Date.now();
+    const binding = { channel, peerKey, peer, expiresAt: now + this.options.channelLifetime * 1000 };
+    allocation.channels.set(channel, binding);
+    allocation.channelsByPeer.set(peerKey, binding);
+    allocation.permissions.set(peer.address, now + this.options.permissionLifetime * 1000);
+
+    this.sendResponse(message, transport, [], auth.key);
+  }
+
+  /**
+   * @param {string} address - Peer IP address
+   * @returns {boolean} True if the allocation may relay to this peer
+   */
+  isPeerAllowed(address) {
+    return this.options.allowPrivatePeers || !isPrivateAddress(address);
+  }
+
+  /**
+   * Relay a Send indication to its peer
+   * @param {Object} message - Parsed STUN message
+   * @param {Object} transport - Client transport descriptor
+   */
+  handleSendIndication(message, transport) {
+    const allocation = this.allocations.get(allocationKey(transport));
+    if (!allocation) return;
+
+    const peerAttr = message.getAttribute(STUN_ATTRS.XOR_PEER_ADDRESS);
+    const data = message.getAttribute(STUN_ATTRS.DATA);
+    const peer = peerAttr && decodeXorAddress(peerAttr, message.transactionId);
+    if (!peer || !data || !this.hasPermission(allocation, peer.address)) return;
+
+    allocation.bytesRelayed += data.length;
+    allocation.relaySocket.send(data, peer.port, peer.address);
+  }
+
+  /**
+   * Relay a ChannelData packet to its peer
+   * @param {Buffer} packet - ChannelData packet
+   * @param {Object} transport - Client transport descriptor
+   */
+  handleChannelData(packet, transport) {
+    const allocation = this.allocations.get(allocationKey(transport));
+    if (!allocation) return;
+
+    const binding = allocation.channels.get(packet.readUInt16BE(0));
+    const length = packet.readUInt16BE(2);
+    if (!binding || binding.expiresAt < Date.now() || packet.length < 4 + length) return;
+
+    allocation.bytesRelayed += length;
+    allocation.relaySocket.send(packet.subarray(4, 4 + length), binding.peer.port, binding.peer.address);
+  }
+
+  /**
+   * Relay data received from a peer back to the client
+   * @param {Object} allocation - Allocation
+   * @param {Buffer} data - Peer datagram
+   * @param {Object} rinfo - Peer address info
+   */
+  handlePeerData(allocation, data, rinfo) {
+    if (!this.hasPermission(allocation, rinfo.address)) return;
+
+    allocation.bytesRelayed += data.length;
+    const binding = allocation.channelsByPeer.get(`${rinfo.address}:${rinfo.port}`);
+
+    if (binding && binding.expiresAt >= Date.now()) {
+      const padding = allocation.transport.protocol === 'tcp' ? (4 - (data.length % 4)) % 4 : 0;
+      const packet = Buffer.alloc(4 + data.length + padding);
+      packet.writeUInt16BE(binding.channel, 0);
+      packet.writeUInt16BE(data.length, 2);
+      data.copy(packet, 4);
+      allocation.transport.send(packet);
+      return;
+    }
+
+    const transactionId = crypto.randomBytes(12);
+    allocation.transport.send(encodeStunMessage({
+      method: STUN_METHODS.DATA,
+      cls: STUN_CLASSES.INDICATION,
+      transactionId,
+      attributes: [
+        [STUN_ATTRS.XOR_PEER_ADDRESS, encodeXorAddress(rinfo.address, rinfo.port, transactionId)],
+        [STUN_ATTRS.DATA, data]
+      ]
+    }));
+  }
+
+  /**
+   * Look up the allocation for a request, checking it belongs to the
+   * authenticated user. Sends the error response itself when it does not.
+   * @param {Object} message - Parsed STUN message
+   * @param {Object} transport - Client transport descriptor
+   * @param {Object} auth - Authenticated credentials
+   * @returns {Object|null} Allocation
+   */
+  getOwnedAllocation(message, transport, auth) {
+    const allocation = this.allocations.get(allocationKey(transport));
+    if (!allocation) {
+      this.sendError(message, transport, 437, 'Allocation Mismatch', auth.key);
+      return null;
+    }
+    if (allocation.username !== auth.username) {
+      this.sendError(message, transport, 441, 'Wrong Credentials', auth.key);
+      return null;
+    }
+    return allocation;
+  }
+
+  /**
+   * Check whether a peer IP has a live permission
+   * @param {Object} allocation - Allocation
+   * @param {string} address - Peer IP address
+   * @returns {boolean} True if permitted
+   */
+  hasPermission(allocation, address) {
+    const expiresAt = allocation.permissions.get(address);
+    return Boolean(expiresAt && expiresAt >= Date.now());
+  }
+
+  /**
+   * Read the LIFETIME attribute and clamp it to the configured bounds
+   * @param {Object} message - Parsed STUN message
+   * @returns {number} Lifetime in seconds
+   */
+  clampLifetime(message) {
+    const attr = message.getAttribute(STUN_ATTRS.LIFETIME);
+    if (!attr) return this.options.defaultLifetime;
+
+    const requested = attr.readUInt32BE(0);
+    if (requested === 0) return 0;
+    return Math.min(Math.max(requested, this.options.defaultLifetime), this.options.maxLifetime);
+  }
+
+  /**
+   * Bind a UDP socket for relaying, inside the configured port range if any
+   * @returns {Promise<dgram.Socket>} Bound relay socket
+   */
+  bindRelaySocket() {
+    const { relayAddress, relayPortRange } = this.options;
+    const type = net.isIPv6(relayAddress) ? 'udp6' : 'udp4';
+
+    const tryBind = (attemptsLeft) => new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(type);
+      const port = relayPortRange
+        ? relayPortRange[0] + Math.floor(Math.random() * (relayPortRange[1] - relayPortRange[0] + 1))
+        : 0;
+
+      socket.once('error', (error) => {
+        socket.close();
+        if (relayPortRange && attemptsLeft > 1) {
+          resolve(tryBind(attemptsLeft - 1));
+        } else {
+          reject(error);
+        }
+      });
+      socket.bind(port, relayAddress, () => {
+        socket.removeAllListeners('error');
+        socket.on('error', (error) => {
+          turnLogger.error('Relay socket error', { error });
+        });
+        resolve(socket);
+      });
+    });
+
+    return tryBind(10);
+  }
+
+  /**
+   * Address to advertise as the relayed address when no external
+   * address is configured
+   * @param {Object} transport - Client transport descriptor
+   * @returns {string} IP address
+   */
+  getLocalAddress(transport) {
+    const { relayAddress } = this.options;
+    if (relayAddress !== '0.0.0.0' && relayAddress !== '::') return relayAddress;
+    return net.isIPv6(transport.address) && !transport.address.startsWith('::ffff:') ? '::1' : '127.0.0.1';
+  }
+
+  /**
+   * Release an allocation and its relay socket
+   * @param {string} key - Allocation key
+   */
+  deleteAllocation(key) {
+    const allocation = this.allocations.get(key);
+    if (!allocation) return;
+
+    allocation.relaySocket.close();
+    this.allocations.delete(key);
+    turnLogger.info('Released relay port', {
+      relayPort: allocation.relayPort,
+      bytesRelayed: allocation.bytesRelayed,
+      sessionId: this.credentialSessionId(allocation.username)
+    });
+  }
+
+  /**
+   * Drop expired allocations, permissions and channel bindings
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [ref, issued] of this.credentialSessions.entries()) {
+      if (issued.expiresAt < now) this.credentialSessions.delete(ref);
+    }
+    for (const [key, allocation] of this.allocations.entries()) {
+      if (allocation.expiresAt < now) {
+        this.deleteAllocation(key);
+        continue;
+      }
+      for (const [address, expiresAt] of allocation.permissions.entries()) {
+        if (expiresAt < now) allocation.permissions.delete(address);
+      }
+      for (const [channel, binding] of allocation.channels.entries()) {
+        if (binding.expiresAt < now) {
+          allocation.channels.delete(channel);
+          allocation.channelsByPeer.delete(binding.peerKey);
+        }
+      }
+    }
+  }
+
+  /**
+   * Session a TURN credential was issued to
+   * @param {string} username - `<expiry>:<sessionRef>`
+   * @returns {string|undefined} Session ID
+   */
+  credentialSessionId(username) {
+    const index = username ? username.indexOf(':') : -1;
+    const issued = index === -1 ? null : this.credentialSessions.get(username.slice(index + 1));
+    return issued ? issued.sessionId : undefined;
+  }
+
+  /**
+   * Create a stateless nonce that encodes its own issue time
+   * @returns {string} Nonce
+   */
+  createNonce() {
+    const issued = Math.floor(Date.now() / 1000).toString(16);
+    const mac = crypto.createHmac('sha1', this.options.secret).update(issued).digest('hex').slice(0, 16);
+    return `${issued}${mac}`;
+  }
+
+  /**
+   * Check a nonce was issued by this server and has not gone stale
+   * @param {string} nonce - Nonce from the request
+   * @returns {boolean} True if valid
+   */
+  isValidNonce(nonce) {
+    const issued = nonce.slice(0, -16);
+    const mac = crypto.createHmac('sha1', this.options.secret).update(issued).digest('hex').slice(0, 16);
+    const age = Math.floor(Date.now() / 1000) - parseInt(issued, 16);
+    return mac === nonce.slice(-16) && age >= 0 && age < this.options.nonceTtl;
+  }
+
+  /**
+   * Send a success response
+   * @param {Object} message - Request being answered
+   * @param {Object} transport - Client transport descriptor
+   * @param {Array} attributes - [type, value] pairs
+   * @param {Buffer} [key] - Long-term credential key for MESSAGE-INTEGRITY
+   */
+  sendResponse(message, transport, attributes, key) {
+    transport.send(encodeStunMessage({
+      method: message.method,
+      cls: STUN_CLASSES.SUCCESS,
+      transactionId: message.transactionId,
+      attributes
+    }, key));
+  }
+
+  /**
+   * Send an error response
+   * @param {Object} message - Request being answered
+   * @param {Object} transport - Client transport descriptor
+   * @param {number} code - STUN error code
+   * @param {string} reason - Reason phrase
+   * @param {Buffer} [key] - Long-term credential key for MESSAGE-INTEGRITY
+   * @param {Array} [extraAttributes] - Additional [type, value] pairs
+   */
+  sendError(message, transport, code, reason, key, extraAttributes = []) {
+    transport.send(encodeStunMessage({
+      method: message.method,
+      cls: STUN_CLASSES.ERROR,
+      transactionId: message.transactionId,
+      attributes: [[STUN_ATTRS.ERROR_CODE, encodeErrorCode(code, reason)], ...extraAttributes]
+    }, key));
+  }
+
+  /**
+   * Send an error carrying a fresh REALM and NONCE
+   * @param {Object} message - Request being answered
+   * @param {Object} transport - Client transport descriptor
+   * @param {number} code - STUN error code (401 or 438)
+   * @param {string} reason - Reason phrase
+   */
+  sendChallenge(message, transport, code, reason) {
+    this.sendError(message, transport, code, reason, null, [
+      [STUN_ATTRS.REALM, Buffer.from(this.options.realm)],
+      [STUN_ATTRS.NONCE, Buffer.from(this.createNonce())]
+    ]);
+  }
+
+  /**
+   * Get TURN statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    let bytesRelayed = 0;
+    for (const allocation of this.allocations.values()) {
+      bytesRelayed += allocation.bytesRelayed;
+    }
+    return {
+      activeAllocations: this.allocations.size,
+      bytesRelayed
+    };
+  }
+}
+
+/**
+ * Key an allocation by its client 5-tuple
+ * @param {Object} transport - Client transport descriptor
+ * @returns {string} Allocation key
+ */
+function allocationKey(transport) {
+  return `${transport.protocol}:${transport.address}:${transport.port}`;
+}
+
+/**
+ * Parse a STUN message
+ * @param {Buffer} buf - Raw packet
+ * @returns {Object|null} Parsed message, or null if not STUN
+ */
+function parseStunMessage(buf) {
+  if (buf.length < 20 || (buf[0] >> 6) !== 0) return null;
+  if (buf.readUInt32BE(4) !== STUN_MAGIC_COOKIE) return null;
+
+  const length = buf.readUInt16BE(2);
+  if (length % 4 !== 0 || buf.length < 20 + length) return null;
+
+  const type = buf.readUInt16BE(0);
+  const attributes = [];
+  let integrityOffset = -1;
+  let offset = 20;
+
+  while (offset + 4 <= 20 + length) {
+    const attrType = buf.readUInt16BE(offset);
+    const attrLength = buf.readUInt16BE(offset + 2);
+    if (offset + 4 + attrLength > 20 + length) return null;
+
+    // Attributes after MESSAGE-INTEGRITY (other than FINGERPRINT) are ignored
+    if (integrityOffset === -1 || attrType === STUN_ATTRS.FINGERPRINT) {
+      if (attrType === STUN_ATTRS.MESSAGE_INTEGRITY) integrityOffset = offset;
+      attributes.push({ type: attrType, value: buf.subarray(offset + 4, offset + 4 + attrLength) });
+    }
+    offset += 4 + Math.ceil(attrLength / 4) * 4;
+  }
+
+  const getAttributes = (attrType) => attributes.filter(a => a.type === attrType).map(a => a.value);
+
+  return {
+    method: (type & 0x000F) | ((type & 0x00E0) >> 1) | ((type & 0x3E00) >> 2),
+    cls: type & 0x0110,
+    transactionId: Buffer.from(buf.subarray(8, 20)),
+    raw: buf.subarray(0, 20 + length),
+    integrityOffset,
+    attributes,
+    getAttributes,
+    getAttribute: (attrType) => getAttributes(attrType)[0] || null,
+    getString: (attrType) => {
+      const value = getAttributes(attrType)[0];
+      return value ? value.toString('utf8') : null;
+    }
+  };
+}
+
+/**
+ * Encode a STUN message, appending MESSAGE-INTEGRITY when a key is given
+ * and always appending FINGERPRINT
+ * @param {Object} message - { method, cls, transactionId, attributes }
+ * @param {Buffer} [key] - Long-term credential key
+ * @returns {Buffer} Encoded message
+ */
+function encodeStunMessage({ method, cls, transactionId, attributes }, key) {
+  const type = (method & 0x000F) | ((method & 0x0070) << 1) | ((method & 0x0F80) << 2) | cls;
+  const body = attributes.map(([attrType, value]) => encodeAttribute(attrType, value));
+  let message = Buffer.concat([Buffer.alloc(20), ...body]);
+
+  message.writeUInt16BE(type, 0);
+  message.writeUInt32BE(STUN_MAGIC_COOKIE, 4);
+  transactionId.copy(message, 8);
+
+  if (key) {
+    // Length covers MESSAGE-INTEGRITY while the HMAC is computed
+    message.writeUInt16BE(message.length - 20 + 24, 2);
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    message = Buffer.concat([message, encodeAttribute(STUN_ATTRS.MESSAGE_INTEGRITY, hmac)]);
+  }
+
+  message.writeUInt16BE(message.length - 20 + 8, 2);
+  const fingerprint = encodeUInt32((crc32(message) ^ STUN_FINGERPRINT_XOR) >>> 0);
+  return Buffer.concat([message, encodeAttribute(STUN_ATTRS.FINGERPRINT, fingerprint)]);
+}
+
+/**
+ * Verify the MESSAGE-INTEGRITY attribute of a parsed message
+ * @param {Object} message - Parsed STUN message
+ * @param {Buffer} key - Long-term credential key
+ * @returns {boolean} True if the HMAC matches
+ */
+function verifyMessageIntegrity(message, key) {
+  const offset = message.integrityOffset;
+  const signed = Buffer.from(message.raw.subarray(0, offset));
+  signed.writeUInt16BE(offset - 20 + 24, 2);
+
+  const expected = crypto.createHmac('sha1', key).update(signed).digest();
+  const actual = message.raw.subarray(offset + 4, offset + 24);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Encode one attribute with its padding
+ * @param {number} type - Attribute type
+ * @param {Buffer} value - Attribute value
+ * @returns {Buffer} Encoded attribute
+ */
+function encodeAttribute(type, value) {
+  const padded = Buffer.alloc(4 + Math.ceil(value.length / 4) * 4);
+  padded.writeUInt16BE(type, 0);
+  padded.writeUInt16BE(value.length, 2);
+  value.copy(padded, 4);
+  return padded;
+}
+
+/**
+ * Encode an XOR-*-ADDRESS attribute value
+ * @param {string} address - IPv4 or IPv6 address
+ * @param {number} port - Port
+ * @param {Buffer} transactionId - Transaction ID
+ * @returns {Buffer} Attribute value
+ */
+function encodeXorAddress(address, port, transactionId) {
+  const ip = address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+  const family = net.isIPv4(ip) ? 1 : 2;
+  const raw = family === 1 ? Buffer.from(ip.split('.').map(Number)) : ipv6ToBuffer(ip);
+  const mask = Buffer.concat([encodeUInt32(STUN_MAGIC_COOKIE), transactionId]);
+
+  const value = Buffer.alloc(4 + raw.length);
+  value[1] = family;
+  value.writeUInt16BE(port ^ (STUN_MAGIC_COOKIE >>> 16), 2);
+  for (let i = 0; i < raw.length; i++) {
+    value[4 + i] = raw[i] ^ mask[i];
+  }
+  return value;
+}
+
+/**
+ * Decode an XOR-*-ADDRESS attribute value
+ * @param {Buffer} value - Attribute value
+ * @param {Buffer} transactionId - Transaction ID
+ * @returns {Object|null} { address, port }
+ */
+function decodeXorAddress(value, transactionId) {
+  const family = value[1];
+  const length = family === 1 ? 4 : family === 2 ? 16 : 0;
+  if (!length || value.length < 4 + length) return null;
+
+  const mask = Buffer.concat([encodeUInt32(STUN_MAGIC_COOKIE), transactionId]);
+  const raw = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    raw[i] = value[4 + i] ^ mask[i];
+  }
+
+  const port = value.readUInt16BE(2) ^ (STUN_MAGIC_COOKIE >>> 16);
+  // Round-trip IPv6 through URL so it matches the compressed form dgram reports
+  const address = family === 1
+    ? Array.from(raw).join('.')
+    : new URL(`http://[${Array.from({ length: 8 }, (_, i) => raw.readUInt16BE(i * 2).toString(16)).join(':')}]`)
+      .hostname.slice(1, -1);
+  return { address, port };
+}
+
+/**
+ * Expand an IPv6 address into 16 bytes
+ * @param {string} address - IPv6 address
+ * @returns {Buffer} Address bytes
+ */
+function ipv6ToBuffer(address) {
+  const [head, tail = ''] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const groups = address.includes('::')
+    ? [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts]
+    : headParts;
+
+  const buf = Buffer.alloc(16);
+  groups.forEach((group, i) => buf.writeUInt16BE(parseInt(group, 16) || 0, i * 2));
+  return buf;
+}
+
+/**
+ * Encode an ERROR-CODE attribute value
+ * @param {number} code - Error code (300-699)
+ * @param {string} reason - Reason phrase
+ * @returns {Buffer} Attribute value
+ */
+function encodeErrorCode(code, reason) {
+  const header = Buffer.from([0, 0, Math.floor(code / 100), code % 100]);
+  return Buffer.concat([header, Buffer.from(reason, 'utf8')]);
+}
+
+/**
+ * Encode a 32-bit unsigned integer
+ * @param {number} value - Value
+ * @returns {Buffer} Four bytes, big-endian
+ */
+function encodeUInt32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(value >>> 0, 0);
+  return buf;
+}
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 as used by the STUN FINGERPRINT attribute
+ * @param {Buffer} buf - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buf) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
   }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
 module.exports = {
   WebSocketRelay,
-  WebRTCRelay
+  WebRTCRelay,
+  TurnServer
 };
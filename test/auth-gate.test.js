@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthGate, hashPassword } = require('../src/auth-gate');
+const { configureLogging } = require('../src/logger');
+
+configureLogging({ level: 'silent' });
+
+const ADDRESS = '203.0.113.7';
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-gate-test-'));
+const usersFile = path.join(directory, 'users.json');
+fs.writeFileSync(usersFile, JSON.stringify({
+  users: [{ username: 'alice', passwordHash: hashPassword('correct horse') }]
+}));
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {string} Basic Authorization header
+ */
+function basic(username, password) {
+  return 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
+}
+
+/**
+ * Create a gate that counts the passwords it actually checks
+ * @param {number} maxFailures - Failed logins allowed per address
+ * @returns {AuthGate} Gate with a `checked` counter
+ */
+function createGate(maxFailures) {
+  const gate = new AuthGate({ usersFile, maxFailures, failureWindow: 60 * 60 * 1000 });
+  const verifyPassword = gate.verifyPassword.bind(gate);
+  gate.checked = 0;
+  gate.verifyPassword = (...args) => {
+    gate.checked++;
+    return verifyPassword(...args);
+  };
+  return gate;
+}
+
+test('lockout: failures beyond the limit are refused unchecked', async () => {
+  const gate = createGate(3);
+
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(await gate.verifyAuthorization(basic('alice', `guess ${i}`), ADDRESS), null);
+  }
+  assert.strictEqual(gate.checked, 3);
+  assert.ok(gate.failureDelay(ADDRESS) > 0);
+
+  // The right password is not checked either while the address is locked out
+  assert.strictEqual(await gate.verifyAuthorization(basic('alice', 'correct horse'), ADDRESS), null);
+  assert.strictEqual(gate.checked, 3);
+
+  // Other addresses are not affected
+  assert.ok(await gate.verifyAuthorization(basic('alice', 'correct horse'), '198.51.100.1'));
+});
+
+test('lockout: concurrent guesses cannot get past the limit', async () => {
+  const gate = createGate(3);
+
+  const results = await Promise.all(Array.from({ length: 10 }, (_, i) =>
+    gate.verifyAuthorization(basic('alice', `guess ${i}`), ADDRESS)));
+
+  assert.deepStrictEqual(results, new Array(10).fill(null));
+  assert.strictEqual(gate.checked, 3);
+});
+
+test('lockout: a successful login gives its attempt back', async () => {
+  const gate = createGate(1);
+
+  assert.deepStrictEqual(await gate.verifyAuthorization(basic('alice', 'correct horse'), ADDRESS),
+    { username: 'alice', method: 'basic' });
+  assert.strictEqual(gate.failureDelay(ADDRESS), 0);
+
+  assert.strictEqual(await gate.verifyAuthorization(basic('alice', 'wrong'), ADDRESS), null);
+  assert.strictEqual(gate.checked, 2);
+  assert.ok(gate.failureDelay(ADDRESS) > 0);
+});
+
+test('lockout: maxFailures 0 disables the limit', async () => {
+  const gate = createGate(0);
+
+  for (let i = 0; i < 5; i++) {
+    await gate.verifyAuthorization(basic('alice', `guess ${i}`), ADDRESS);
+  }
+  assert.strictEqual(gate.checked, 5);
+  assert.strictEqual(gate.failureDelay(ADDRESS), 0);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const axios = require('axios');
+const { HostPolicy, HostPolicyError, isPrivateAddress } = require('../src/host-policy');
+
+const PRIVATE_ADDRESSES = [
+  '10.1.2.3',
+  '127.0.0.1',
+  '169.254.169.254',
+  '172.16.0.1',
+  '192.168.1.1',
+  '100.64.0.1',
+  '0.0.0.0',
+  '::1',
+  '::',
+  'fd00::1',
+  'fe80::1%eth0',
+  // IPv4 embedded in IPv6: mapped, mapped in hex, NAT64 and 6to4
+  '::ffff:127.0.0.1',
+  '::ffff:7f00:1',
+  '64:ff9b::a9fe:a9fe',
+  '2002:c0a8:0101::1',
+  'not an address'
+];
+
+const PUBLIC_ADDRESSES = [
+  '8.8.8.8',
+  '216.228.121.1',
+  '2001:4860:4860::8888',
+  '::ffff:8.8.8.8',
+  '64:ff9b::808:808',
+  '2002:0808:0808::1'
+];
+
+for (const address of PRIVATE_ADDRESSES) {
+  test(`isPrivateAddress: ${address} is private`, () => {
+    assert.strictEqual(isPrivateAddress(address), true);
+  });
+}
+
+for (const address of PUBLIC_ADDRESSES) {
+  test(`isPrivateAddress: ${address} is public`, () => {
+    assert.strictEqual(isPrivateAddress(address), false);
+  });
+}
+
+test('assertAllowed: checks the allowlist, the denylist and IP literals', () => {
+  const policy = new HostPolicy({ allowedHosts: ['geforcenow.com', '*'], deniedHosts: ['evil.geforcenow.com'] });
+  const refuse = url => assert.throws(() => policy.assertAllowed(url), HostPolicyError);
+
+  assert.doesNotThrow(() => policy.assertAllowed('https://play.geforcenow.com/'));
+  assert.doesNotThrow(() => policy.assertAllowed('wss://8.8.8.8/stream'));
+  refuse('https://evil.geforcenow.com/');
+  refuse('http://127.0.0.1:3000/');
+  refuse('http://[::ffff:169.254.169.254]/latest/meta-data/');
+  refuse('file:///etc/passwd');
+  refuse('not a url');
+
+  const strict = new HostPolicy({ allowedHosts: ['geforcenow.com'] });
+  assert.throws(() => strict.assertAllowed('https://geforcenow.com.example.net/'), HostPolicyError);
+  policy.close();
+  strict.close();
+});
+
+test('lookup: refuses hostnames that resolve to private addresses', async () => {
+  const policy = new HostPolicy({ allowedHosts: ['localhost'] });
+
+  const error = await new Promise(resolve => policy.lookup('localhost', {}, resolve));
+  assert.ok(error instanceof HostPolicyError);
+  policy.close();
+});
+
+test('lookup: answers in dns.lookup form when private addresses are allowed', async () => {
+  const policy = new HostPolicy({ allowedHosts: ['localhost'], allowPrivate: true });
+
+  const [error, address, family] = await new Promise(resolve =>
+    policy.lookup('localhost', (...args) => resolve(args)));
+  assert.strictEqual(error, null);
+  assert.ok(isPrivateAddress(address));
+  assert.ok(family === 4 || family === 6);
+
+  const [allError, addresses] = await new Promise(resolve =>
+    policy.lookup('localhost', { all: true }, (...args) => resolve(args)));
+  assert.strictEqual(allError, null);
+  assert.ok(addresses.length > 0);
+  policy.close();
+});
+
+/**
+ * Run a test against a local server that redirects /redirect to `location`
+ * @param {Function} location - Called with the server's port, returns the redirect target
+ * @param {Function} run - Called with the server's port
+ */
+async function withRedirectServer(location, run) {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: location(server.address().port) });
+      return res.end();
+    }
+    res.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(server.address().port);
+  } finally {
+    server.close();
+  }
+}
+
+test('redirects: a hop to a host outside the allowlist is refused', async () => {
+  const policy = new HostPolicy({ allowedHosts: ['127.0.0.1'], allowPrivate: true });
+
+  await withRedirectServer(() => 'http://blocked.test/', async (port) => {
+    const error = await axios.get(`http://127.0.0.1:${port}/redirect`, {
+      ...policy.requestOptions(),
+      // As the proxy does: every hop is checked before it is followed
+      beforeRedirect: options => policy.assertAllowed(options.href)
+    }).catch(error => error);
+
+    assert.ok(HostPolicyError.from(error), `expected a host policy error, got ${error}`);
+  });
+  policy.close();
+});
+
+test('redirects: a hop to a name resolving to a private address is refused at connect time', async () => {
+  // 127.0.0.1 is an IP literal and so never looked up; the redirect to localhost is
+  const policy = new HostPolicy({ allowedHosts: ['127.0.0.1', 'localhost'] });
+
+  await withRedirectServer(port => `http://localhost:${port}/`, async (port) => {
+    const error = await axios.get(`http://127.0.0.1:${port}/redirect`, policy.requestOptions())
+      .catch(error => error);
+
+    assert.ok(HostPolicyError.from(error), `expected a host policy error, got ${error}`);
+  });
+  policy.close();
+});
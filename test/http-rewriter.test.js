@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const acorn = require('acorn');
+const { rewriteJavaScript } = require('../src/http-rewriter');
+
+const PROXY_BASE_URL = 'http://proxy.test';
+const TARGET_URL = 'https://play.geforcenow.com/app.js';
+const HELPER_START = ';(function(g){if(g.__gfnProxy)return;';
+const HELPER_END = '})(typeof globalThis!=="undefined"?globalThis:self);';
+
+// Scripts and the code they must turn into, with the helper shown as <helper>
+const JAVASCRIPT_FIXTURES = [
+  {
+    name: 'wrapped expression at the start of the script',
+    input: 'location.href = "/x"',
+    output: '<helper>__gfnProxy.loc(location).href = __gfnProxy.url("/x")'
+  },
+  {
+    name: 'wrapped call at the start of the script',
+    input: 'fetch("/a")',
+    output: '<helper>fetch(__gfnProxy.url("/a"))'
+  },
+  {
+    name: 'wrapped expression right after a directive',
+    input: '"use strict";location.href = "/x"',
+    output: '"use strict";<helper>__gfnProxy.loc(location).href = __gfnProxy.url("/x")'
+  },
+  {
+    name: 'wrapped expression right after a hashbang',
+    input: '#!/usr/bin/env node\nlocation.reload()',
+    output: '#!/usr/bin/env node\n<helper>__gfnProxy.loc(location).reload()'
+  },
+  {
+    name: 'postfix update of location',
+    input: 'location++',
+    output: '<helper>location++'
+  },
+  {
+    name: 'prefix update of location',
+    input: '--location',
+    output: '<helper>--location'
+  },
+  {
+    name: 'location as a for-in target',
+    input: 'for (location in o) {}',
+    output: '<helper>for (location in o) {}'
+  },
+  {
+    name: 'location as a for-of target',
+    input: 'for (location of o) {}',
+    output: '<helper>for (location of o) {}'
+  },
+  {
+    name: 'location in an export specifier',
+    input: 'var location = 1; export { location }',
+    output: '<helper>var location = 1; export { location }'
+  },
+  {
+    name: 'window.location as a for-in target',
+    input: 'for (window.location in o) {}',
+    output: '<helper>for (window.location in o) {}'
+  },
+  {
+    name: 'window.location in an array destructuring target',
+    input: '[window.location] = ["/x"]',
+    output: '<helper>[window.location] = ["/x"]'
+  },
+  {
+    name: 'window.location as an object destructuring value',
+    input: '({a: window.location} = o)',
+    output: '<helper>({a: window.location} = o)'
+  },
+  {
+    name: 'window.location with a destructuring default',
+    input: '[window.location = "/x"] = []',
+    output: '<helper>[window.location = "/x"] = []'
+  },
+  {
+    name: 'window.location as a destructuring rest element',
+    input: '[...window.location] = a; ({...window.location} = o)',
+    output: '<helper>[...window.location] = a; ({...window.location} = o)'
+  },
+  {
+    name: 'window.location in a nested destructuring for-of target',
+    input: 'for ({a: [window.location]} of o) {}',
+    output: '<helper>for ({a: [window.location]} of o) {}'
+  },
+  {
+    name: 'reads of location inside a destructuring source',
+    input: '[a] = [location.href]',
+    output: '<helper>[a] = [__gfnProxy.loc(location).href]'
+  },
+  {
+    name: 'reads of location next to a write',
+    input: 'var a = location.href; location++',
+    output: '<helper>var a = __gfnProxy.loc(location).href; location++'
+  }
+];
+
+/**
+ * @param {string} js - Rewritten JavaScript
+ * @returns {string} The same code with the injected helper replaced by <helper>
+ */
+function withoutHelper(js) {
+  const start = js.indexOf(HELPER_START);
+  const end = js.indexOf(HELPER_END, start);
+  if (start === -1 || end === -1) return js;
+  return js.slice(0, start) + '<helper>' + js.slice(end + HELPER_END.length);
+}
+
+for (const fixture of JAVASCRIPT_FIXTURES) {
+  test(`rewriteJavaScript: ${fixture.name}`, () => {
+    const output = rewriteJavaScript(fixture.input, PROXY_BASE_URL, TARGET_URL, { sourceMap: false });
+
+    assert.doesNotThrow(() => acorn.parse(output, {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      allowHashBang: true
+    }));
+    assert.strictEqual(withoutHelper(output), fixture.output);
+  });
+}
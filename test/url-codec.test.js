@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { UrlCodec } = require('../src/url-codec');
+
+const PROXY_BASE_URL = 'http://proxy.test';
+
+const TARGET_URLS = [
+  'https://play.geforcenow.com/',
+  'https://play.geforcenow.com/mall/index.html?lang=en_US#/games',
+  'http://static.nvidia.com:8080/a%20b/c.js?x=1&y=%2F',
+  'https://xn--bcher-kva.example/path'
+];
+
+for (const codec of ['plain', 'base64url', 'xor']) {
+  const urlCodec = new UrlCodec({ codec, key: 'test-key' });
+
+  test(`${codec}: encode and decode round trip`, () => {
+    for (const url of TARGET_URLS) {
+      const proxyUrl = urlCodec.encode(url, PROXY_BASE_URL);
+      assert.ok(proxyUrl.startsWith(`${PROXY_BASE_URL}/p/`), proxyUrl);
+      assert.strictEqual(urlCodec.decode(proxyUrl.slice(PROXY_BASE_URL.length)), url);
+    }
+  });
+
+  test(`${codec}: the client source encodes like the server`, () => {
+    const clientCodec = vm.runInNewContext(urlCodec.clientSource(), { URL, btoa, atob, decodeURIComponent });
+    for (const url of TARGET_URLS) {
+      const path = urlCodec.encode(url, '');
+      assert.strictEqual(clientCodec.encode(url), path);
+      assert.strictEqual(clientCodec.decode(path), url);
+    }
+  });
+
+  test(`${codec}: invalid proxy paths decode to null`, () => {
+    assert.strictEqual(urlCodec.decode('/other/https:play.geforcenow.com/'), null);
+    assert.strictEqual(urlCodec.decode('/p/'), null);
+    assert.strictEqual(urlCodec.decode('/p/%%%/x'), null);
+  });
+}
+
+test('plain: origins with a path or credentials do not decode', () => {
+  const urlCodec = new UrlCodec({ codec: 'plain' });
+  assert.strictEqual(urlCodec.decode('/p/javascript:alert(1)/'), null);
+  assert.strictEqual(urlCodec.decode('/p/https:user@play.geforcenow.com/'), null);
+});
+
+test('xor: the key changes the encoding', () => {
+  const url = 'https://play.geforcenow.com/';
+  const first = new UrlCodec({ codec: 'xor', key: 'one' });
+  const second = new UrlCodec({ codec: 'xor', key: 'two' });
+
+  assert.notStrictEqual(first.encode(url, ''), second.encode(url, ''));
+  assert.notStrictEqual(second.decode(first.encode(url, '')), url);
+});
+
+test('unknown codecs are refused', () => {
+  assert.throws(() => new UrlCodec({ codec: 'rot13' }), /Unknown URL codec/);
+});